@@ -0,0 +1,219 @@
+"use strict";
+const EventEmitter = require('events');
+const _ = require('lodash');
+const debug = require('debug')('CEWSC:AlertTracker');
+
+// how long should we wait after last alert received, before considering that initial state was fully received
+// (gateway does not signal the end of initial state, but it sends all alerts at once upon connection)
+const SYNC_DELAY = 1000;
+
+/*
+   Keeps track of the state of every ticker monitor alert, using 'tickerMonitor' notifications
+
+   Following events can be emitted
+
+   1) alertActivated, when an alert became active (including the first time an active alert is received)
+
+   2) alertDeactivated, when an alert which was active is not active anymore
+
+   3) alertRemoved, when an alert was not part of initial state sent by gateway after a reconnection
+
+   Data will be an object {id:integer,name:string,status:string,previousStatus:string,alert:object}
+
+   - status : new status of the alert (null for alertRemoved)
+   - previousStatus : previous status of the alert (null if alert was unknown)
+   - alert : last alert received from gateway
+
+   4) conditionChanged, when the status of a condition changed (only for alerts which were already known)
+
+   Data will be an object {id:integer,name:string,index:integer,status:string,previousStatus:string,condition:object}
+
+   - index : index of the condition in the list of conditions of the alert
+   - condition : condition received from gateway
+
+ */
+
+class AlertTracker extends EventEmitter
+{
+
+/**
+ * @param {object} options {syncDelay:integer} (optional)
+ *
+ * - syncDelay : how long (in ms) to wait after last alert received, before considering that initial state was fully received (default = 1000)
+ */
+constructor(options)
+{
+    super();
+    let opt = Object.assign({}, options);
+    this._syncDelay = undefined === opt.syncDelay ? SYNC_DELAY : opt.syncDelay;
+    // id => alert
+    this._alerts = new Map();
+    // set of alert ids received since sync started (null if no sync is in progress)
+    this._syncIds = null;
+    this._syncTimer = null;
+}
+
+/**
+ * Process an alert received from gateway
+ *
+ * @param {object} alert 'tickerMonitor' event
+ */
+processAlert(alert)
+{
+    let previous = this._alerts.get(alert.id);
+    this._alerts.set(alert.id, alert);
+    if (null !== this._syncIds)
+    {
+        this._syncIds.add(alert.id);
+        this._startSyncTimer();
+    }
+    let status = this._getStatus(alert);
+    let previousStatus = undefined === previous ? null : this._getStatus(previous);
+    if (undefined !== previous)
+    {
+        this._processConditions(alert, previous);
+    }
+    if (status === previousStatus)
+    {
+        return;
+    }
+    let evt = {id:alert.id,name:alert.name,status:status,previousStatus:previousStatus,alert:alert};
+    if ('active' == status)
+    {
+        this.emit('alertActivated', evt);
+    }
+    else if ('active' == previousStatus)
+    {
+        this.emit('alertDeactivated', evt);
+    }
+}
+
+/**
+ * Should be called once connection has been established, if gateway is going to send the state of every alert
+ *
+ * Alerts which are not received before sync ends will be removed
+ */
+startSync()
+{
+    this._syncIds = new Set();
+    this._startSyncTimer();
+}
+
+/**
+ * Cancels sync in progress (ie: when connection was lost before initial state was fully received)
+ */
+cancelSync()
+{
+    this._syncIds = null;
+    if (null !== this._syncTimer)
+    {
+        clearTimeout(this._syncTimer);
+        this._syncTimer = null;
+    }
+}
+
+/**
+ * Retrieves all alerts
+ *
+ * @return {object[]}
+ */
+getAlerts()
+{
+    return Array.from(this._alerts.values()).map((alert) => _.cloneDeep(alert));
+}
+
+/**
+ * Retrieves a single alert
+ *
+ * @param {integer} id alert id
+ * @return {object} alert or null if alert is unknown
+ */
+getAlert(id)
+{
+    let alert = this._alerts.get(id);
+    if (undefined === alert)
+    {
+        return null;
+    }
+    return _.cloneDeep(alert);
+}
+
+/**
+ * Removes all alerts (no event will be emitted)
+ */
+reset()
+{
+    this.cancelSync();
+    this._alerts.clear();
+}
+
+_startSyncTimer()
+{
+    if (null !== this._syncTimer)
+    {
+        clearTimeout(this._syncTimer);
+    }
+    this._syncTimer = setTimeout(() => {
+        this._syncTimer = null;
+        this._endSync();
+    }, this._syncDelay);
+}
+
+_endSync()
+{
+    let ids = this._syncIds;
+    this._syncIds = null;
+    let removed = [];
+    this._alerts.forEach((alert, id) => {
+        if (!ids.has(id))
+        {
+            removed.push(alert);
+        }
+    });
+    if (debug.enabled && 0 != removed.length)
+    {
+        debug(`${removed.length} alert(s) were removed`);
+    }
+    removed.forEach((alert) => {
+        this._alerts.delete(alert.id);
+        this.emit('alertRemoved', {id:alert.id,name:alert.name,status:null,previousStatus:this._getStatus(alert),alert:alert});
+    });
+}
+
+_processConditions(alert, previous)
+{
+    if (!Array.isArray(alert.conditions) || !Array.isArray(previous.conditions))
+    {
+        return;
+    }
+    alert.conditions.forEach((condition, index) => {
+        let status = this._getStatus(condition);
+        let previousStatus = null;
+        if (undefined !== previous.conditions[index])
+        {
+            previousStatus = this._getStatus(previous.conditions[index]);
+        }
+        if (status === previousStatus)
+        {
+            return;
+        }
+        this.emit('conditionChanged', {id:alert.id,name:alert.name,index:index,status:status,previousStatus:previousStatus,condition:condition});
+    });
+}
+
+_getStatus(obj)
+{
+    if (undefined === obj.status || null === obj.status)
+    {
+        return null;
+    }
+    if (undefined === obj.status.value)
+    {
+        return null;
+    }
+    return obj.status.value;
+}
+
+}
+
+module.exports = AlertTracker;
@@ -0,0 +1,74 @@
+"use strict";
+
+// default maximum delay
+const MAX_DELAY = 5 * 60 * 1000;
+
+/*
+   Computes delays between connection attempts
+
+   delay = min(initialDelay * factor ^ attempts, maxDelay), reduced by a random amount of up to 'jitter' percent
+
+   - initialDelay : delay before first retry (in ms)
+   - factor : exponential factor (1 = constant delay)
+   - maxDelay : maximum delay (in ms) (default = 5 minutes)
+   - jitter : float in [0,1] (ex: 0.5 means that delay will be randomly reduced by up to 50%)
+ */
+
+class Backoff
+{
+
+constructor(options)
+{
+    let opt = Object.assign({}, options);
+    this._initialDelay = opt.initialDelay;
+    this._factor = undefined === opt.factor ? 1 : opt.factor;
+    this._maxDelay = undefined === opt.maxDelay ? MAX_DELAY : opt.maxDelay;
+    if (this._maxDelay < this._initialDelay)
+    {
+        this._maxDelay = this._initialDelay;
+    }
+    this._jitter = undefined === opt.jitter ? 0 : opt.jitter;
+    // number of delays computed since last reset
+    this._attempts = 0;
+}
+
+/**
+ * Returns delay to wait before next attempt
+ *
+ * @return {integer} delay in ms
+ */
+next()
+{
+    let delay = this._initialDelay * Math.pow(this._factor, this._attempts);
+    if (delay > this._maxDelay)
+    {
+        delay = this._maxDelay;
+    }
+    // no need to increment once we reached maximum delay
+    else
+    {
+        ++this._attempts;
+    }
+    if (0 != this._jitter)
+    {
+        delay -= delay * this._jitter * Math.random();
+    }
+    return Math.round(delay);
+}
+
+/**
+ * Called once connection has been stable for long enough
+ */
+reset()
+{
+    this._attempts = 0;
+}
+
+getAttempts()
+{
+    return this._attempts;
+}
+
+}
+
+module.exports = Backoff;
@@ -0,0 +1,215 @@
+"use strict";
+const debug = require('debug')('CEWSC:ClientPool');
+const Client = require('./client');
+
+// number of failed connection attempts on a gateway before switching to next one
+const FAILOVER_AFTER = 1;
+
+// same default as WebSocketConnection
+const RETRY_RESET_AFTER = 60 * 1000;
+
+/*
+   Client connected to one gateway among a list of redundant gateways
+
+   Next gateway will be used when connection to active gateway is lost or cannot be established. A new session will be created
+   after each failover : subscriptions will only be restored on the new gateway if option autoResubscribe is true (default)
+
+   Same events & methods as Client are available
+
+   Following extra events can be emitted
+
+   1) activeGateway, when a connection has been established to a gateway different from the previous one (or for the first time)
+
+   Data will be an object {index:integer,uri:string}
+
+   - index : index of the gateway in the list of uris
+   - uri : uri of the gateway (without query parameters)
+
+   2) failover, when client is about to switch to next gateway
+
+   Data will be an object {reason:string,previous:{index:integer,uri:string},next:{index:integer,uri:string}}
+
+   - reason : 'disconnected' (connection was closed by gateway) or 'terminated' (connection could not be established)
+
+   Event 'terminated' will only be emitted once the maximum number of consecutive failovers has been reached (see option retryCount)
+ */
+
+class ClientPool extends Client
+{
+
+/**
+ * @param {string[]} uris list of gateway uris
+ * @param {object} options same options as Client + {failoverAfter:integer} (optional)
+ *
+ * - failoverAfter : number of failed connection attempts on a gateway before switching to next one (default = 1)
+ * - retryCount : maximum number of consecutive failovers without successful connection, before giving up (default = 'always'). Also used as number of retries for ticker monitor connection (unless overridden)
+ */
+constructor(uris, options)
+{
+    if (!Array.isArray(uris) || 0 == uris.length)
+    {
+        throw new Error("Argument 'uris' should be a non-empty array");
+    }
+    let opt = Object.assign({}, options);
+    let autoConnect = false !== opt.autoConnect;
+    let failoverAfter = FAILOVER_AFTER;
+    if (undefined !== opt.failoverAfter)
+    {
+        failoverAfter = parseInt(opt.failoverAfter);
+        if (isNaN(failoverAfter) || failoverAfter < 1)
+        {
+            throw new Error("Argument 'options.failoverAfter' should be an integer >= 1");
+        }
+    }
+    let maxFailovers = -1;
+    if (undefined !== opt.retryCount && 'always' !== opt.retryCount)
+    {
+        maxFailovers = parseInt(opt.retryCount);
+        if (isNaN(maxFailovers) || maxFailovers < 0)
+        {
+            throw new Error("Argument 'options.retryCount' should be an integer >= 0");
+        }
+    }
+    delete opt.failoverAfter;
+    opt.autoConnect = false;
+    super(uris[0], opt);
+    this._gateways = uris.map((uri) => {
+        return this._parseUri(uri);
+    });
+    // index of the gateway we're connected (or trying to connect) to
+    this._gatewayIndex = 0;
+    // index of the last gateway we successfully connected to
+    this._activeGatewayIndex = null;
+    // number of consecutive failovers without successful connection
+    this._failovers = 0;
+    this._maxFailovers = maxFailovers;
+    // number of failovers caused by a disconnection (only reset once connection has been stable for 'retryResetAfter' ms, since gateways can close connection right after accepting it)
+    this._disconnections = 0;
+    this._retryResetAfter = undefined === this._connectionOptions.retryResetAfter ? RETRY_RESET_AFTER : this._connectionOptions.retryResetAfter;
+    // RPC connection will fail after 'failoverAfter' attempts, so that we can switch to next gateway (ticker monitor connection keeps the retry settings passed in options)
+    this._connectionOptions.retryCount = failoverAfter - 1;
+    if (autoConnect)
+    {
+        this.connect();
+    }
+}
+
+/**
+ * Returns the gateway currently used
+ *
+ * @return {object} {index:integer,uri:string}
+ */
+getGateway()
+{
+    return this._getGatewayDescription(this._gatewayIndex);
+}
+
+/**
+ * Returns the list of gateways
+ *
+ * @return {object[]} [{index:integer,uri:string}]
+ */
+getGateways()
+{
+    return this._gateways.map((gateway, index) => {
+        return this._getGatewayDescription(index);
+    });
+}
+
+_getGatewayDescription(index)
+{
+    return {index:index, uri:this._gateways[index].uri};
+}
+
+_createConnection(delay)
+{
+    super._createConnection(delay);
+    let index = this._gatewayIndex;
+    this._connection.on('connected', () => {
+        this._failovers = 0;
+        if (index === this._activeGatewayIndex)
+        {
+            return;
+        }
+        this._activeGatewayIndex = index;
+        this.emit('activeGateway', this._getGatewayDescription(index));
+    });
+}
+
+_reconnectAfterDisconnection()
+{
+    if (1 == this._gateways.length)
+    {
+        super._reconnectAfterDisconnection();
+        return;
+    }
+    // connection was stable for long enough (backoff was reset as well)
+    if (0 != this._retryResetAfter && new Date().getTime() - this._connectedTimestamp >= this._retryResetAfter)
+    {
+        this._disconnections = 0;
+    }
+    this._failover('disconnected');
+    ++this._disconnections;
+    let delay;
+    // only wait once all gateways have been tried
+    if (0 == this._disconnections % this._gateways.length)
+    {
+        delay = this._backoff.next();
+        if (debug.enabled)
+        {
+            debug("Will try to reconnect in %dms", delay);
+        }
+    }
+    this._createConnection(delay);
+}
+
+_processTermination(counter, err)
+{
+    if (-1 != this._maxFailovers && this._failovers >= this._maxFailovers)
+    {
+        super._processTermination(counter, err);
+        return;
+    }
+    this._failover('terminated');
+    let delay;
+    // only wait once all gateways have been tried
+    if (0 == this._failovers % this._gateways.length)
+    {
+        delay = this._backoff.next();
+    }
+    this._createConnection(delay);
+}
+
+/**
+ * Switches to next gateway
+ *
+ * @param {string} reason disconnected|terminated
+ */
+_failover(reason)
+{
+    ++this._failovers;
+    let previous = this._gatewayIndex;
+    this._gatewayIndex = (previous + 1) % this._gateways.length;
+    let gateway = this._gateways[this._gatewayIndex];
+    if (debug.enabled)
+    {
+        debug(`Switching from gateway #${previous} to gateway #${this._gatewayIndex} (${reason})`);
+    }
+    this._uri = gateway.uri;
+    this._queryParams = gateway.queryParams;
+    this._isEphemeral = gateway.isEphemeral;
+    // always start a new session, subscriptions will be restored once we're ready
+    this._sessionId = null;
+    this._readyTimestamp = null;
+    // ticker monitor needs to be connected to the new gateway (unless a custom uri was defined)
+    if (!this._tickerMonitor.customUri)
+    {
+        this._tickerMonitor.uri = `${this._uri}tickerMonitor/`;
+        this._disconnectFromTickerMonitor();
+    }
+    this.emit('failover', {reason:reason, previous:this._getGatewayDescription(previous), next:this._getGatewayDescription(this._gatewayIndex)});
+}
+
+}
+
+module.exports = ClientPool;
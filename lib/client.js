@@ -5,10 +5,69 @@ const _ = require('lodash');
 const url = require('url');
 const querystring = require('querystring');
 const WebSocketConnection = require('./websocket-connection');
+const OrderBookManager = require('./order-book-manager');
+const GatewayError = require('./gateway-error');
+const CommandError = require('./command-error');
+const SubscriptionTracker = require('./subscription-tracker');
+const NotificationStream = require('./notification-stream');
+const KlineBuilder = require('./kline-builder');
+const Recorder = require('./recorder');
+const Backoff = require('./backoff');
+const TradeTracker = require('./trade-tracker');
+const AlertTracker = require('./alert-tracker');
+const NotificationNormalizer = require('./notification-normalizer');
+const QueueCoalescer = require('./queue-coalescer');
+const PairMatcher = require('./pair-matcher');
+const FeedWatchdog = require('./feed-watchdog');
+const NativeTransport = require('./native-transport');
 
 // how long should we wait before trying to reconnect upon disconnection
 const RETRY_DELAY = 10 * 1000;
 
+// how long should we wait for a command result (0 = no timeout)
+const COMMAND_TIMEOUT = 30 * 1000;
+
+// TLS options which can be passed to WS connections
+const TLS_OPTIONS = ['ca', 'cert', 'key', 'passphrase', 'pfx', 'rejectUnauthorized'];
+
+// message sent to check RPC connection when transport does not support WS PING (gateway will reply with an error which is enough to know connection is alive)
+const KEEPALIVE_MESSAGE = JSON.stringify({m:'ping',i:'keepalive'});
+
+// what to do when queue is full
+const QUEUE_OVERFLOW_DROP_OLDEST = 'dropOldest';
+const QUEUE_OVERFLOW_DROP_LATEST = 'dropLatest';
+const QUEUE_OVERFLOW_ERROR = 'error';
+const QUEUE_OVERFLOW_POLICIES = [QUEUE_OVERFLOW_DROP_OLDEST, QUEUE_OVERFLOW_DROP_LATEST, QUEUE_OVERFLOW_ERROR];
+
+// commands which can safely be sent again after a reconnection
+const IDEMPOTENT_COMMANDS = [
+    'getPairs',
+    'subscribeToTickers', 'unsubscribeFromTickers', 'unsubscribeFromAllTickers',
+    'subscribeToOrderBooks', 'unsubscribeFromOrderBooks', 'unsubscribeFromAllOrderBooks', 'resyncOrderBooks',
+    'subscribeToTrades', 'unsubscribeFromTrades', 'unsubscribeFromAllTrades',
+    'subscribeToKlines', 'unsubscribeFromKlines', 'unsubscribeFromAllKlines',
+    'unsubscribe'
+];
+
+// how long should pairs retrieved to resolve a filter be cached (0 = forever)
+const PAIRS_CACHE_TTL = 60 * 60 * 1000;
+
+// commands which discard subscriptions done using a filter (command => subscription method)
+const FILTER_SUBSCRIPTION_REMOVAL_COMMANDS = {
+    unsubscribeFromAllTickers:'subscribeToTickers',
+    unsubscribeFromAllOrderBooks:'subscribeToOrderBooks',
+    unsubscribeFromAllTrades:'subscribeToTrades',
+    unsubscribeFromAllKlines:'subscribeToKlines'
+};
+
+// subscription commands which can be batched together (command => type)
+const BATCHABLE_COMMANDS = {
+    subscribeToTickers:'tickers', unsubscribeFromTickers:'tickers',
+    subscribeToOrderBooks:'orderBooks', unsubscribeFromOrderBooks:'orderBooks',
+    subscribeToTrades:'trades', unsubscribeFromTrades:'trades',
+    subscribeToKlines:'klines', unsubscribeFromKlines:'klines'
+};
+
 class Client extends EventEmitter
 {
 
@@ -55,6 +114,28 @@ class Client extends EventEmitter
 
     Data will be an object {sessionId:string,isNew:boolean}
 
+    6) resubscribed, when subscriptions were automatically restored after gateway created a new session (only if options.autoResubscribe is true)
+
+    Event will be emitted once gateway replied to all subscription commands
+
+    Data will be an object {sessionId:string,subscriptions:object,errors:array}
+
+    - sessionId : new session id
+    - subscriptions : restored subscriptions {exchange:{tickers:array,orderBooks:array,trades:array,klines:{interval:array}}}
+    - errors : list of commands which failed [{command:string,params:object,error:Error}] (error will be a GatewayError or a CommandError)
+
+    7) recordError, when messages cannot be written to record file (only if options.recordFile is defined)
+
+    Data will be an object {file:string,error:err}
+
+    8) authError, when gateway rejected handshake because of invalid credentials (HTTP 401 or 403)
+
+    Event will be emitted instead of connectionError (or before terminated if there is no retry left)
+
+    Data will be an object {connectionId:integer,attempts:integer,error:err}
+
+    Reconnection will be automatic (credentials provider will be called again if options.credentials is defined)
+
     Following other events can be emitted
 
     - ticker : one per exchange/pair combination
@@ -63,6 +144,10 @@ class Client extends EventEmitter
     - trades : one per exchange/pair combination
     - kline : one per exchange/pair/interval combination
     - tickerMonitor : one per alert
+    - alertActivated, alertDeactivated, alertRemoved, conditionChanged : each time state of a ticker monitor alert changed (see AlertTracker)
+    - managedOrderBook : one per exchange/pair combination, each time local order book changed (only if options.manageOrderBooks is defined)
+    - stale : when a subscription did not receive any notification for too long (only if options.watchdog is defined, see FeedWatchdog)
+    - newPairs : when new pairs matching a filter used in a subscribeTo* method were listed (only if options.pairsCache.refreshInterval is defined)
 
     If options.globalListener is true, all exchange related events will be emitted using 'notification' event with following format :
 
@@ -72,66 +157,137 @@ class Client extends EventEmitter
         "pair":string,
         "data":object
     }
+
+    Exchange related events are also emitted using scoped event names (whether or not options.globalListener is true)
+
+    - ticker:{exchange}:{pair} (ex: ticker:binance:USDT-BTC)
+    - orderBook:{exchange}:{pair}
+    - orderBookUpdate:{exchange}:{pair}
+    - trades:{exchange}:{pair}
+    - managedOrderBook:{exchange}:{pair}
+    - kline:{exchange}:{pair}:{interval} (ex: kline:kucoin:USDT-ETH:1h)
+
+    Wildcard '*' can be used to match any value for a given part (ex: ticker:*:USDT-BTC, kline:binance:*:1h)
 */
 
 constructor(uri, options)
 {
     super();
 
-    let u = url.parse(uri);
+    let gateway = this._parseUri(uri);
     // the uri we want to connect to
-    if (u.protocol != 'ws:' && u.protocol != 'wss:')
-    {
-        throw new Error("Argument 'uri' should start with 'ws://' or 'wss://'");
-    }
-    this._uri = `${u.protocol}//${u.host}`;
-    if (null !== u.pathname)
-    {
-        this._uri += u.pathname;
-    }
-    else
-    {
-        this._uri += '/';
-    }
-    this._queryParams = {};
-
+    this._uri = gateway.uri;
+    this._queryParams = gateway.queryParams;
     // sessionId to use
-    this._sessionId = null;
-
-    // parse query
-    if (null !== u.query)
-    {
-        let hash = querystring.parse(u.query);
-        _.forEach(hash, (value, key) => {
-            if ('sid' == key)
-            {
-                this._sessionId = value;
-                return;
-            }
-            this._queryParams[key] = value;
-        });
-    }
-    this._isEphemeral = false;
-    if (('true' === this._queryParams['expires'] || '1' === this._queryParams['expires']) &&
-        ('0' === this._queryParams['timeout']))
-    {
-        this._isEphemeral = true;
-    }
+    this._sessionId = gateway.sessionId;
+    this._isEphemeral = gateway.isEphemeral;
 
     // ticker monitor connection
     this._tickerMonitor = {
         enabled:false,
+        // uri without query parameters
         uri:`${this._uri}tickerMonitor/`,
+        // extra query parameters
+        queryParams:{},
+        // whether or not uri was defined in options (otherwise it is derived from gateway uri)
+        customUri:false,
+        // types of alerts to emit (active, inactive), alert tracker always receives both
+        types:['active'],
+        // whether or not gateway should send the state of every alert upon connection
+        getInitialState:false,
+        // how long to wait after last alert received, before considering that initial state was fully received (null = AlertTracker default)
+        syncDelay:null,
+        // options passed to WebSocketConnection (inherited from RPC connection unless overridden)
+        connectionOptions:{},
+        // used to compute delay between connection attempts
+        backoff:null,
+        // keep track of how many connections were performed
+        connectionCounter:0,
         connection:null
     }
 
+    // keep track of the state of ticker monitor alerts (only if options.tickerMonitor.enabled is true)
+    this._alertTracker = null;
+
     // whether or not client wants to have a global listener for all exchange related events
     this._globalListener = false;
 
+    // used to maintain local order books (only if options.manageOrderBooks is defined)
+    this._orderBookManager = null;
+
+    // used to build klines from trades (only if buildKlines was called)
+    this._klineBuilder = null;
+
+    // used to record raw messages (only if options.recordFile is defined)
+    this._recorder = null;
+
+    // used to drop duplicate trades & detect gaps (only if options.trackTrades is defined)
+    this._tradeTracker = null;
+
+    // used to validate & normalize notifications (only if options.normalizeNotifications is true)
+    this._normalizer = null;
+
+    // used to detect subscriptions which stopped receiving notifications (only if options.watchdog is defined)
+    this._watchdog = null;
+    // whether or not stale subscriptions should be restored automatically
+    this._watchdogRecover = false;
+
+    // keep track of listeners for scoped events (ie: ticker:binance:USDT-BTC)
+    this._scopedListeners = {
+        // number of listeners for scoped events (with or without wildcards)
+        count:0,
+        // event name => {parts:array,count:integer} (only for event names containing wildcards)
+        patterns:{},
+        // listeners used to update counters
+        hooks:{
+            newListener:(eventName) => {
+                this._updateScopedListeners(eventName, 1);
+            },
+            removeListener:(eventName) => {
+                this._updateScopedListeners(eventName, -1);
+            }
+        }
+    };
+    this._watchScopedListeners();
+
+    // whether or not subscriptions should be restored automatically when gateway session is new
+    this._autoResubscribe = true;
+    this._subscriptionTracker = new SubscriptionTracker();
+
     // whether or not socket should be connected automatically
     let autoConnect = true;
 
     this._retryDelay = RETRY_DELAY;
+    let backoffOptions = {};
+    let tickerMonitorOptions = {connectionOptions:{}, backoffOptions:{}};
+    let transport;
+    // default timeout for commands
+    this._commandTimeout = COMMAND_TIMEOUT;
+    // whether or not idempotent commands without result should be sent again after reconnection
+    this._resendOnReconnect = false;
+    // maximum number of messages in queue (0 = no limit)
+    this._maxQueueSize = 0;
+    this._queueOverflow = QUEUE_OVERFLOW_DROP_OLDEST;
+    // used to merge queued subscription commands before sending them (null if options.coalesceQueue is false)
+    this._queueCoalescer = new QueueCoalescer();
+    // pairs retrieved to resolve filters passed to subscribeTo* methods
+    this._pairsCache = {
+        // how long (in ms) pairs should be cached (0 = forever)
+        ttl:PAIRS_CACHE_TTL,
+        // how often (in ms) pairs should be refreshed for filter subscriptions (0 = never)
+        refreshInterval:0,
+        // whether or not new pairs should be subscribed to automatically after a refresh
+        autoSubscribe:false,
+        // exchange|filter => {exchange:string,filter:object,pairs:array,timestamp:integer,promise:Promise}
+        entries:{},
+        timer:null
+    };
+    // whether or not pairs passed to subscribeTo* methods should be checked against the pairs supported by the exchange
+    this._strictPairs = false;
+    // subscriptions done using a filter (method|exchange|interval|filter => {method:string,exchange:string,interval:string,filter:object,cacheKey:string})
+    this._filterSubscriptions = {};
+    // how long (in ms) subscription commands should be delayed to be merged together (null if options.batchSubscriptions is not defined)
+    this._batchDelay = null;
     this._connectionOptions = {}
     if (undefined !== options)
     {
@@ -146,6 +302,34 @@ constructor(uri, options)
                 this._globalListener = true;
             }
         }
+        if (false === options.autoResubscribe)
+        {
+            this._autoResubscribe = false;
+        }
+        if (undefined !== options.recordFile)
+        {
+            if ('string' !== typeof options.recordFile || '' == options.recordFile)
+            {
+                throw new Error("Argument 'options.recordFile' should be a non-empty string");
+            }
+            this._initializeRecorder(options.recordFile);
+        }
+        if (undefined !== options.manageOrderBooks && false !== options.manageOrderBooks)
+        {
+            this._initializeOrderBookManager(options.manageOrderBooks);
+        }
+        if (undefined !== options.trackTrades && false !== options.trackTrades)
+        {
+            this._initializeTradeTracker(options.trackTrades);
+        }
+        if (true === options.normalizeNotifications)
+        {
+            this._normalizer = new NotificationNormalizer();
+        }
+        if (undefined !== options.watchdog && false !== options.watchdog)
+        {
+            this._initializeWatchdog(options.watchdog);
+        }
         if (undefined !== options.sessionId)
         {
             let sid = options.sessionId.trim();
@@ -154,78 +338,133 @@ constructor(uri, options)
                 this._sessionId = sid;
             }
         }
-        if (undefined !== options.apiKey && '' != options.apiKey)
+        let parsed = this._parseConnectionOptions(options, 'options');
+        this._connectionOptions = parsed.connectionOptions;
+        backoffOptions = parsed.backoffOptions;
+        if (undefined !== options.transport)
+        {
+            if ('ws' !== options.transport && 'native' !== options.transport && 'function' != typeof options.transport)
+            {
+                throw new Error("Argument 'options.transport' should be 'ws', 'native' or a WebSocket constructor");
+            }
+            if ('native' === options.transport && null === NativeTransport.getGlobalWebSocket())
+            {
+                throw new Error("Argument 'options.transport' cannot be 'native' since WebSocket is not supported by this environment");
+            }
+            transport = options.transport;
+        }
+        if (undefined !== this._connectionOptions.retryDelay)
         {
-            this._connectionOptions.apiKey = options.apiKey;
+            this._retryDelay = this._connectionOptions.retryDelay;
         }
-        // retry count
-        if (undefined !== options.retryCount)
+        if (undefined !== options.commandTimeout)
         {
-            if ('always' === options.retryCount)
+            let value = parseInt(options.commandTimeout);
+            if (isNaN(value) || value < 0)
             {
-                this._connectionOptions.retryCount = -1;
+                throw new Error("Argument 'options.commandTimeout' should be an integer >= 0");
             }
-            else
+            this._commandTimeout = value;
+        }
+        if (true === options.resendOnReconnect)
+        {
+            this._resendOnReconnect = true;
+        }
+        if (undefined !== options.maxQueueSize)
+        {
+            let value = parseInt(options.maxQueueSize);
+            if (isNaN(value) || value < 0)
             {
-                let value = parseInt(options.retryCount);
-                if (isNaN(value) || value < 0)
-                {
-                    throw new Error("Argument 'options.retryCount' should be an integer >= 0");
-                }
-                this._connectionOptions.retryCount = value;
+                throw new Error("Argument 'options.maxQueueSize' should be an integer >= 0");
             }
+            this._maxQueueSize = value;
         }
-        if (undefined !== options.retryDelay)
+        if (undefined !== options.queueOverflow)
         {
-            let value = parseInt(options.retryDelay);
-            if (isNaN(value) || value < 1000)
+            if (!QUEUE_OVERFLOW_POLICIES.includes(options.queueOverflow))
             {
-                throw new Error("Argument 'options.retryDelay' should be an integer >= 1000");
+                throw new Error(`Argument 'options.queueOverflow' should be one of [${QUEUE_OVERFLOW_POLICIES.join(',')}]`);
             }
-            this._connectionOptions.retryDelay = value;
-            this._retryDelay = value;
+            this._queueOverflow = options.queueOverflow;
+        }
+        if (false === options.coalesceQueue)
+        {
+            this._queueCoalescer = null;
+        }
+        if (undefined !== options.pairsCache)
+        {
+            this._parsePairsCacheOptions(options.pairsCache);
+        }
+        if (true === options.strictPairs)
+        {
+            this._strictPairs = true;
         }
-        if (undefined !== options.pingTimeout)
+        if (undefined !== options.batchSubscriptions && false !== options.batchSubscriptions)
         {
-            let value = parseInt(options.pingTimeout);
-            if (isNaN(value) || value < 1000)
+            this._batchDelay = 0;
+            if ('object' == typeof options.batchSubscriptions && undefined !== options.batchSubscriptions.delay)
             {
-                throw new Error("Argument 'options.pingTimeout' should be an integer >= 1000");
+                let value = parseInt(options.batchSubscriptions.delay);
+                if (isNaN(value) || value < 0)
+                {
+                    throw new Error("Argument 'options.batchSubscriptions.delay' should be an integer >= 0");
+                }
+                this._batchDelay = value;
             }
-            this._connectionOptions.pingTimeout = value;
         }
         // ticker monitor
         if (undefined !== options.tickerMonitor)
         {
-            if (true === options.tickerMonitor.enabled)
+            if (undefined !== options.tickerMonitor.uri)
             {
-                this._tickerMonitor.enabled = true;
-                let params = {types:'active','emit':false};
-                if (undefined !== options.tickerMonitor.types)
+                let u = url.parse(options.tickerMonitor.uri);
+                if (u.protocol != 'ws:' && u.protocol != 'wss:')
                 {
-                    let types = [];
-                    if (true === options.tickerMonitor.types.active)
-                    {
-                        types.push('active');
-                    }
-                    if (true === options.tickerMonitor.types.inactive)
-                    {
-                        types.push('inactive');
-                    }
-                    if (0 != types.length)
-                    {
-                        params.types = types.join(',');
-                    }
+                    throw new Error("Argument 'options.tickerMonitor.uri' should start with 'ws://' or 'wss://'");
                 }
-                if (true === options.tickerMonitor.getInitialState)
+                this._tickerMonitor.uri = `${u.protocol}//${u.host}${null === u.pathname ? '/' : u.pathname}`;
+                if (null !== u.query)
                 {
-                    params.emit = true;
+                    this._tickerMonitor.queryParams = querystring.parse(u.query);
                 }
-                this._tickerMonitor.uri += `?types=${params.types}&emit=${params.emit}`;
+                this._tickerMonitor.customUri = true;
             }
+            if (undefined !== options.tickerMonitor.syncDelay)
+            {
+                let value = parseInt(options.tickerMonitor.syncDelay);
+                if (isNaN(value) || value < 1)
+                {
+                    throw new Error("Argument 'options.tickerMonitor.syncDelay' should be an integer >= 1");
+                }
+                this._tickerMonitor.syncDelay = value;
+            }
+            tickerMonitorOptions = this._parseConnectionOptions(options.tickerMonitor, 'options.tickerMonitor');
+            this._updateTickerMonitorSettings(options.tickerMonitor);
         }
     }
 
+    if (undefined !== transport)
+    {
+        this._connectionOptions.transport = transport;
+    }
+    // ticker monitor connection inherits options of RPC connection, unless they were overridden
+    this._tickerMonitor.connectionOptions = Object.assign({}, this._connectionOptions, tickerMonitorOptions.connectionOptions);
+    // only RPC connection can be checked using keepalive messages (only used if transport does not support WS PING)
+    this._connectionOptions.keepaliveMessage = KEEPALIVE_MESSAGE;
+    let tickerMonitorBackoffOptions = Object.assign({}, backoffOptions, tickerMonitorOptions.backoffOptions);
+    tickerMonitorBackoffOptions.initialDelay = RETRY_DELAY;
+    if (undefined !== this._tickerMonitor.connectionOptions.retryDelay)
+    {
+        tickerMonitorBackoffOptions.initialDelay = this._tickerMonitor.connectionOptions.retryDelay;
+    }
+    this._tickerMonitor.backoff = new Backoff(tickerMonitorBackoffOptions);
+    this._tickerMonitor.connectionOptions.backoff = this._tickerMonitor.backoff;
+
+    // used to compute delay between connection attempts (shared by all RPC connections)
+    backoffOptions.initialDelay = this._retryDelay;
+    this._backoff = new Backoff(backoffOptions);
+    this._connectionOptions.backoff = this._backoff;
+
     // keep track of how many connections were performed
     this._connectionCounter = 0;
     this._connection = null;
@@ -233,13 +472,31 @@ constructor(uri, options)
     this._connectedTimestamp = null;
     // timestamp when 'ready' event was emitted
     this._readyTimestamp = null;
+    // number of times 'ready' event was emitted
+    this._readyCounter = 0;
+
+    // statistics (see getStats)
+    this._stats = {
+        // number of messages received on RPC connection
+        messages:0,
+        // number of messages received on ticker monitor connection
+        tickerMonitorMessages:0,
+        // type => exchange => pair => number of notifications
+        notifications:{},
+        commands:{sent:0, failed:0},
+        // timestamp of last message received (RPC or ticker monitor)
+        lastMessageTimestamp:null
+    };
 
     // id of next command
     this._nextCommandId = 1;
-    // mapping commandId => callback
+    // mapping commandId => {message:object,timeout:integer,idempotent:boolean,sent:boolean,timer:object,cb:function}
     this._callbacks = {};
     // queue used when trying to send commands while ws is not connected yet
     this._queue = [];
+    // subscription commands waiting to be merged {key:string,family:string,command:string,params:object,callers:array} (in the order they should be executed)
+    this._batches = [];
+    this._batchTimer = null;
 
     if (autoConnect)
     {
@@ -247,6 +504,218 @@ constructor(uri, options)
     }
 }
 
+/**
+ * Parses connection related options
+ *
+ * @param {object} options
+ * @param {string} name name of the argument (used in error messages)
+ * @return {object} {connectionOptions:object,backoffOptions:object}
+ */
+_parseConnectionOptions(options, name)
+{
+    let connectionOptions = {};
+    let backoffOptions = {};
+    if (undefined !== options.apiKey && '' != options.apiKey)
+    {
+        connectionOptions.apiKey = options.apiKey;
+    }
+    // retry count
+    if (undefined !== options.retryCount)
+    {
+        if ('always' === options.retryCount)
+        {
+            connectionOptions.retryCount = -1;
+        }
+        else
+        {
+            let value = parseInt(options.retryCount);
+            if (isNaN(value) || value < 0)
+            {
+                throw new Error(`Argument '${name}.retryCount' should be an integer >= 0`);
+            }
+            connectionOptions.retryCount = value;
+        }
+    }
+    if (undefined !== options.retryDelay)
+    {
+        let value = parseInt(options.retryDelay);
+        if (isNaN(value) || value < 1000)
+        {
+            throw new Error(`Argument '${name}.retryDelay' should be an integer >= 1000`);
+        }
+        connectionOptions.retryDelay = value;
+    }
+    if (undefined !== options.retryFactor)
+    {
+        let value = parseFloat(options.retryFactor);
+        if (isNaN(value) || value < 1)
+        {
+            throw new Error(`Argument '${name}.retryFactor' should be a float >= 1`);
+        }
+        backoffOptions.factor = value;
+    }
+    if (undefined !== options.retryMaxDelay)
+    {
+        let value = parseInt(options.retryMaxDelay);
+        if (isNaN(value) || value < 1000)
+        {
+            throw new Error(`Argument '${name}.retryMaxDelay' should be an integer >= 1000`);
+        }
+        backoffOptions.maxDelay = value;
+    }
+    if (undefined !== options.retryJitter)
+    {
+        let value = parseFloat(options.retryJitter);
+        if (isNaN(value) || value < 0 || value > 1)
+        {
+            throw new Error(`Argument '${name}.retryJitter' should be a float in [0,1]`);
+        }
+        backoffOptions.jitter = value;
+    }
+    if (undefined !== options.retryResetAfter)
+    {
+        let value = parseInt(options.retryResetAfter);
+        if (isNaN(value) || value < 0)
+        {
+            throw new Error(`Argument '${name}.retryResetAfter' should be an integer >= 0`);
+        }
+        connectionOptions.retryResetAfter = value;
+    }
+    if (undefined !== options.pingTimeout)
+    {
+        let value = parseInt(options.pingTimeout);
+        if (isNaN(value) || value < 1000)
+        {
+            throw new Error(`Argument '${name}.pingTimeout' should be an integer >= 1000`);
+        }
+        connectionOptions.pingTimeout = value;
+    }
+    if (undefined !== options.handshakeTimeout)
+    {
+        let value = parseInt(options.handshakeTimeout);
+        if (isNaN(value) || value < 0)
+        {
+            throw new Error(`Argument '${name}.handshakeTimeout' should be an integer >= 0`);
+        }
+        connectionOptions.handshakeTimeout = value;
+    }
+    if (undefined !== options.headers)
+    {
+        if (null === options.headers || 'object' != typeof options.headers || Array.isArray(options.headers))
+        {
+            throw new Error(`Argument '${name}.headers' should be an object`);
+        }
+        _.forEach(options.headers, (value, key) => {
+            if ('string' != typeof value)
+            {
+                throw new Error(`Argument '${name}.headers.${key}' should be a string`);
+            }
+        });
+        connectionOptions.headers = Object.assign({}, options.headers);
+    }
+    if (undefined !== options.agent)
+    {
+        if (null === options.agent || 'object' != typeof options.agent)
+        {
+            throw new Error(`Argument '${name}.agent' should be an http.Agent`);
+        }
+        connectionOptions.agent = options.agent;
+    }
+    if (undefined !== options.proxy)
+    {
+        if (undefined !== options.agent)
+        {
+            throw new Error(`Arguments '${name}.agent' & '${name}.proxy' cannot be used together`);
+        }
+        let u = 'string' == typeof options.proxy ? url.parse(options.proxy) : null;
+        if (null === u || (u.protocol != 'http:' && u.protocol != 'https:'))
+        {
+            throw new Error(`Argument '${name}.proxy' should start with 'http://' or 'https://' (use '${name}.agent' for other kinds of proxy, such as SOCKS)`);
+        }
+        // ensure agent can be created so that connection attempts cannot fail because of an invalid proxy
+        try
+        {
+            // only loaded when needed so that Node.js 'http' & 'tls' modules are not required in browsers
+            const HttpProxyAgent = require('./http-proxy-agent');
+            new HttpProxyAgent(options.proxy, false);
+        }
+        catch (e)
+        {
+            throw new Error(`Argument '${name}.proxy' is not a valid proxy uri : ${e.message}`);
+        }
+        connectionOptions.proxy = options.proxy;
+    }
+    if (undefined !== options.tls)
+    {
+        if (null === options.tls || 'object' != typeof options.tls)
+        {
+            throw new Error(`Argument '${name}.tls' should be an object`);
+        }
+        if (undefined !== options.tls.rejectUnauthorized && 'boolean' != typeof options.tls.rejectUnauthorized)
+        {
+            throw new Error(`Argument '${name}.tls.rejectUnauthorized' should be a boolean`);
+        }
+        connectionOptions.tls = _.pick(options.tls, TLS_OPTIONS);
+    }
+    if (undefined !== options.credentials)
+    {
+        if ('function' != typeof options.credentials)
+        {
+            throw new Error(`Argument '${name}.credentials' should be a function`);
+        }
+        connectionOptions.credentials = options.credentials;
+    }
+    return {connectionOptions:connectionOptions, backoffOptions:backoffOptions};
+}
+
+/**
+ * Parses a gateway uri
+ *
+ * @param {string} uri
+ * @return {object} {uri:string,queryParams:object,sessionId:string,isEphemeral:boolean}
+ */
+_parseUri(uri)
+{
+    let u = url.parse(uri);
+    if (u.protocol != 'ws:' && u.protocol != 'wss:')
+    {
+        throw new Error("Argument 'uri' should start with 'ws://' or 'wss://'");
+    }
+    let gateway = {
+        uri:`${u.protocol}//${u.host}`,
+        queryParams:{},
+        sessionId:null,
+        isEphemeral:false
+    };
+    if (null !== u.pathname)
+    {
+        gateway.uri += u.pathname;
+    }
+    else
+    {
+        gateway.uri += '/';
+    }
+    // parse query
+    if (null !== u.query)
+    {
+        let hash = querystring.parse(u.query);
+        _.forEach(hash, (value, key) => {
+            if ('sid' == key)
+            {
+                gateway.sessionId = value;
+                return;
+            }
+            gateway.queryParams[key] = value;
+        });
+    }
+    if (('true' === gateway.queryParams['expires'] || '1' === gateway.queryParams['expires']) &&
+        ('0' === gateway.queryParams['timeout']))
+    {
+        gateway.isEphemeral = true;
+    }
+    return gateway;
+}
+
 _getUri()
 {
     let uri = this._uri;
@@ -281,41 +750,534 @@ getSessionId()
     return this._sessionId;
 }
 
+_initializeRecorder(file)
+{
+    let self = this;
+    this._recorder = new Recorder(file);
+    this._recorder.on('error', function(err){
+        self.emit('recordError', {file:file,error:err});
+    });
+}
+
 /**
- * Reconnect WS
- *
+ * @param {boolean|object} opt true or {includeOrderBook:boolean}
  */
-reconnect()
+_initializeOrderBookManager(opt)
 {
-    if (null === this._connection)
+    let managerOptions = {};
+    if ('object' == typeof opt && true === opt.includeOrderBook)
     {
-        return;
+        managerOptions.includeOrderBook = true;
     }
-    let connection = this._connection;
-    connection.disconnect();
-    this._createConnection();
+    let self = this;
+    this._orderBookManager = new OrderBookManager(managerOptions);
+    this._orderBookManager.on('orderBook', function(evt){
+        self._emitNotification.call(self, 'managedOrderBook', evt);
+    });
+    // a gap was detected in cseq sequence, ask gateway for a new full order book
+    this._orderBookManager.on('desync', function(evt){
+        if (debug.enabled)
+        {
+            debug("Order book '%s|%s' needs to be resynced : expected cseq = %d, cseq = %d", evt.exchange, evt.pair, evt.expectedCseq, evt.cseq);
+        }
+        self.resyncOrderBooks(evt.exchange, [evt.pair]);
+    });
 }
 
-/*
- * Connect WS
- *
- * Should not be necessary since connection will happen automatically on first call to 'execute' method
+/**
+ * @param {boolean|object} opt true or {maxIds:integer,sequentialIds:boolean|string[]}
  */
-connect()
+_initializeTradeTracker(opt)
 {
-    // create if needed
-    if (null !== this._connection)
+    let trackerOptions = {};
+    if ('object' == typeof opt)
     {
-        return;
+        if (undefined !== opt.maxIds)
+        {
+            let value = parseInt(opt.maxIds);
+            if (isNaN(value) || value < 1)
+            {
+                throw new Error("Argument 'options.trackTrades.maxIds' should be an integer >= 1");
+            }
+            trackerOptions.maxIds = value;
+        }
+        if (undefined !== opt.sequentialIds)
+        {
+            if ('boolean' != typeof opt.sequentialIds && !Array.isArray(opt.sequentialIds))
+            {
+                throw new Error("Argument 'options.trackTrades.sequentialIds' should be a boolean or an array");
+            }
+            trackerOptions.sequentialIds = opt.sequentialIds;
+        }
     }
-    this._createConnection();
+    let self = this;
+    this._tradeTracker = new TradeTracker(trackerOptions);
+    this._tradeTracker.on('gap', function(evt){
+        // use same unit as normalized trades
+        if (null !== self._normalizer)
+        {
+            ['from', 'to'].forEach((key) => {
+                evt[key].timestamp = NotificationNormalizer.toMilliseconds(evt[key].timestamp);
+            });
+        }
+        self.emit('tradesGap', evt);
+    });
 }
 
-isConnected()
+_initializeWatchdog(opt)
 {
-    if (null === this._connection)
+    let watchdogOptions = {};
+    if ('object' == typeof opt)
     {
-        return false;
+        if (undefined !== opt.threshold)
+        {
+            if ('object' == typeof opt.threshold)
+            {
+                watchdogOptions.threshold = {};
+                ['tickers', 'orderBooks', 'trades', 'klines'].forEach((type) => {
+                    if (undefined === opt.threshold[type])
+                    {
+                        return;
+                    }
+                    let value = parseInt(opt.threshold[type]);
+                    if (isNaN(value) || value < 0)
+                    {
+                        throw new Error(`Argument 'options.watchdog.threshold.${type}' should be an integer >= 0`);
+                    }
+                    watchdogOptions.threshold[type] = value;
+                });
+            }
+            else
+            {
+                let value = parseInt(opt.threshold);
+                if (isNaN(value) || value < 1)
+                {
+                    throw new Error("Argument 'options.watchdog.threshold' should be an integer >= 1 or an object");
+                }
+                watchdogOptions.threshold = value;
+            }
+        }
+        if (undefined !== opt.checkInterval)
+        {
+            let value = parseInt(opt.checkInterval);
+            if (isNaN(value) || value < 1)
+            {
+                throw new Error("Argument 'options.watchdog.checkInterval' should be an integer >= 1");
+            }
+            watchdogOptions.checkInterval = value;
+        }
+        if (true === opt.recover)
+        {
+            this._watchdogRecover = true;
+        }
+    }
+    let self = this;
+    this._watchdog = new FeedWatchdog(watchdogOptions);
+    this._watchdog.on('stale', function(evt){
+        self.emit('stale', evt);
+        if (self._watchdogRecover)
+        {
+            self._recoverStaleSubscription(evt);
+        }
+    });
+}
+
+/**
+ * Tries to restore a subscription which stopped receiving notifications
+ *
+ * - order books will be resynced
+ * - other subscriptions will be cancelled and done again
+ *
+ * @param {object} evt 'stale' event
+ */
+_recoverStaleSubscription(evt)
+{
+    if (debug.enabled)
+    {
+        debug(`Trying to recover stale subscription : ${JSON.stringify(evt)}`);
+    }
+    // give subscription another chance before emitting 'stale' again
+    this._watchdog.touch(evt.type, evt.exchange, evt.pair, evt.interval);
+    if ('orderBooks' == evt.type)
+    {
+        this.resyncOrderBooks(evt.exchange, [evt.pair]);
+        return;
+    }
+    let commands = {
+        tickers:['unsubscribeFromTickers', 'subscribeToTickers'],
+        trades:['unsubscribeFromTrades', 'subscribeToTrades'],
+        klines:['unsubscribeFromKlines', 'subscribeToKlines']
+    };
+    let params = {exchange:evt.exchange, pairs:[evt.pair]};
+    if (undefined !== evt.interval)
+    {
+        params.interval = evt.interval;
+    }
+    // execute is used directly to keep local state (ie: trades tracker, klines builder)
+    this.execute(commands[evt.type][0], params);
+    this.execute(commands[evt.type][1], Object.assign({}, params, {reset:false}));
+}
+
+/**
+ * Parses options.pairsCache
+ *
+ * @param {object} opt {ttl:integer,refreshInterval:integer,autoSubscribe:boolean}
+ */
+_parsePairsCacheOptions(opt)
+{
+    if (null === opt || 'object' != typeof opt)
+    {
+        throw new Error("Argument 'options.pairsCache' should be an object");
+    }
+    ['ttl', 'refreshInterval'].forEach((name) => {
+        if (undefined === opt[name])
+        {
+            return;
+        }
+        let value = parseInt(opt[name]);
+        if (isNaN(value) || value < 0)
+        {
+            throw new Error(`Argument 'options.pairsCache.${name}' should be an integer >= 0`);
+        }
+        this._pairsCache[name] = value;
+    });
+    if (true === opt.autoSubscribe)
+    {
+        this._pairsCache.autoSubscribe = true;
+    }
+}
+
+/**
+ * Updates ticker monitor settings
+ *
+ * @param {object} opt {enabled:boolean,types:{active:boolean,inactive:boolean},getInitialState:boolean}
+ * @return {boolean} true if connection needs to be re-established
+ */
+_updateTickerMonitorSettings(opt)
+{
+    let changed = false;
+    if (undefined !== opt.enabled)
+    {
+        let enabled = true === opt.enabled;
+        if (enabled != this._tickerMonitor.enabled)
+        {
+            this._tickerMonitor.enabled = enabled;
+            changed = true;
+        }
+        if (enabled && null === this._alertTracker)
+        {
+            this._initializeAlertTracker();
+        }
+    }
+    if (undefined !== opt.types)
+    {
+        let types = [];
+        if (true === opt.types.active)
+        {
+            types.push('active');
+        }
+        if (true === opt.types.inactive)
+        {
+            types.push('inactive');
+        }
+        // only active alerts by default
+        if (0 == types.length)
+        {
+            types.push('active');
+        }
+        // no need to reconnect since both types of alerts are always received
+        this._tickerMonitor.types = types;
+    }
+    if (undefined !== opt.getInitialState)
+    {
+        let getInitialState = true === opt.getInitialState;
+        if (getInitialState != this._tickerMonitor.getInitialState)
+        {
+            this._tickerMonitor.getInitialState = getInitialState;
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+_initializeAlertTracker()
+{
+    let trackerOptions = {};
+    if (null !== this._tickerMonitor.syncDelay)
+    {
+        trackerOptions.syncDelay = this._tickerMonitor.syncDelay;
+    }
+    let self = this;
+    this._alertTracker = new AlertTracker(trackerOptions);
+    ['alertActivated', 'alertDeactivated', 'alertRemoved', 'conditionChanged'].forEach((eventName) => {
+        this._alertTracker.on(eventName, function(evt){
+            self.emit(eventName, evt);
+        });
+    });
+}
+
+/**
+ * Retrieves current subscriptions (only subscriptions accepted by gateway are returned)
+ *
+ * @return {object} {exchange:{tickers:array,orderBooks:array,trades:array,klines:{interval:array}}}
+ */
+getSubscriptions()
+{
+    return this._subscriptionTracker.getSubscriptions();
+}
+
+/**
+ * Retrieves statistics
+ *
+ * @return {object}
+ */
+getStats()
+{
+    let now = Date.now();
+    let isConnected = this.isConnected();
+    let stats = {
+        connectionCounter:this._connectionCounter,
+        isConnected:isConnected,
+        isReady:this.isReady(),
+        // how long connection has been connected (in ms)
+        connectionUptime:null,
+        // for how long session has been ready (in ms)
+        readyUptime:null,
+        // how long ago last message was received (in ms)
+        lastMessageAge:null,
+        queueLength:this._queue.length,
+        pendingCommands:Object.keys(this._callbacks).length,
+        commands:{sent:this._stats.commands.sent,failed:this._stats.commands.failed},
+        messages:{
+            rpc:this._stats.messages,
+            tickerMonitor:this._stats.tickerMonitorMessages,
+            notifications:_.cloneDeep(this._stats.notifications)
+        }
+    };
+    if (isConnected && null !== this._connectedTimestamp)
+    {
+        stats.connectionUptime = now - this._connectedTimestamp;
+    }
+    if (isConnected && null !== this._readyTimestamp)
+    {
+        stats.readyUptime = now - this._readyTimestamp;
+    }
+    if (null !== this._stats.lastMessageTimestamp)
+    {
+        stats.lastMessageAge = now - this._stats.lastMessageTimestamp;
+    }
+    return stats;
+}
+
+/**
+ * Changes ticker monitor settings. Ticker monitor connection will be re-established if needed
+ *
+ * @param {object} opt {enabled:boolean,types:{active:boolean,inactive:boolean},getInitialState:boolean}
+ */
+setTickerMonitorSettings(opt)
+{
+    if (undefined === opt || null === opt || 'object' != typeof opt)
+    {
+        throw new Error("Argument 'opt' should be an object");
+    }
+    if (!this._updateTickerMonitorSettings(opt))
+    {
+        return;
+    }
+    let isConnected = null !== this._tickerMonitor.connection;
+    this._disconnectFromTickerMonitor();
+    // only connect if RPC connection exists (otherwise ticker monitor will be connected with RPC connection)
+    if (this._tickerMonitor.enabled && (isConnected || null !== this._connection))
+    {
+        this._connectToTickerMonitor(false);
+    }
+}
+
+/**
+ * Retrieves ticker monitor settings
+ *
+ * @return {object} {enabled:boolean,uri:string,types:{active:boolean,inactive:boolean},getInitialState:boolean,isConnected:boolean}
+ */
+getTickerMonitorSettings()
+{
+    return {
+        enabled:this._tickerMonitor.enabled,
+        uri:this._tickerMonitor.uri,
+        types:{
+            active:this._tickerMonitor.types.includes('active'),
+            inactive:this._tickerMonitor.types.includes('inactive')
+        },
+        getInitialState:this._tickerMonitor.getInitialState,
+        isConnected:null !== this._tickerMonitor.connection && this._tickerMonitor.connection.isConnected()
+    };
+}
+
+/**
+ * Retrieves the state of all ticker monitor alerts (only if options.tickerMonitor.enabled is true)
+ *
+ * @return {object[]}
+ */
+getAlerts()
+{
+    if (null === this._alertTracker)
+    {
+        return [];
+    }
+    return this._alertTracker.getAlerts();
+}
+
+/**
+ * Retrieves the state of a single ticker monitor alert (only if options.tickerMonitor.enabled is true)
+ *
+ * @param {integer} id alert id
+ * @return {object} alert or null if alert is unknown
+ */
+getAlert(id)
+{
+    if (null === this._alertTracker)
+    {
+        return null;
+    }
+    return this._alertTracker.getAlert(id);
+}
+
+/**
+ * Creates an async iterable over notifications
+ *
+ * Example : for await (const evt of client.stream('ticker', {exchange:'binance', pair:'USDT-BTC'})) {...}
+ *
+ * @param {string} type notification type (ticker, orderBook, orderBookUpdate, trades, kline, managedOrderBook, tickerMonitor)
+ * @param {object} filter used to only keep some notifications, each property can be a string or an array (ex: {exchange:'binance',pair:['USDT-BTC','USDT-ETH'],interval:'5m'}) (optional)
+ * @param {object} opt {bufferSize:integer,overflow:string} (optional)
+ * @return {NotificationStream}
+ */
+stream(type, filter, opt)
+{
+    if ('string' !== typeof type || '' == type)
+    {
+        throw new Error("Argument 'type' should be a non-empty string");
+    }
+    let eventName = type;
+    let checks = [];
+    // all exchange related notifications are emitted using 'notification' event
+    if (this._globalListener && 'tickerMonitor' != type)
+    {
+        eventName = 'notification';
+        checks.push((evt) => type === evt.notification);
+    }
+    _.forEach(filter, (value, key) => {
+        if (undefined === value)
+        {
+            return;
+        }
+        if (Array.isArray(value))
+        {
+            checks.push((evt) => value.includes(evt[key]));
+            return;
+        }
+        checks.push((evt) => value === evt[key]);
+    });
+    let fn;
+    if (0 != checks.length)
+    {
+        fn = (evt) => checks.every((check) => check(evt));
+    }
+    return new NotificationStream(this, eventName, fn, opt);
+}
+
+/**
+ * Whether or not client maintains local order books (ie: options.manageOrderBooks is defined)
+ *
+ * When true, client will take care of resyncing order books when a gap is detected
+ *
+ * @return {boolean}
+ */
+isManagingOrderBooks()
+{
+    return null !== this._orderBookManager;
+}
+
+/**
+ * Retrieves a copy of local order book for a given pair (only if options.manageOrderBooks is defined)
+ *
+ * @param {string} exchange exchange identifier
+ * @param {string} pair pair (ex: USDT-BTC)
+ * @param {integer} limit maximum number of entries to return for each side (optional)
+ * @return {object} {cseq:integer,buy:array,sell:array} or null if order book is not available
+ */
+getOrderBook(exchange, pair, limit)
+{
+    if (null === this._orderBookManager)
+    {
+        return null;
+    }
+    if (undefined !== limit)
+    {
+        limit = parseInt(limit);
+        if (isNaN(limit) || limit < 1)
+        {
+            throw new Error("Argument 'limit' should be an integer >= 1");
+        }
+    }
+    return this._orderBookManager.getOrderBook(exchange, pair, limit);
+}
+
+/**
+ * Removes all listeners, or those of a given event (see EventEmitter.removeAllListeners)
+ *
+ * Listeners used to keep track of scoped events are registered again if they were removed
+ *
+ * @param {string} eventName (optional)
+ * @return {Client}
+ */
+removeAllListeners(eventName)
+{
+    super.removeAllListeners.apply(this, arguments);
+    if (0 == arguments.length)
+    {
+        this._scopedListeners.count = 0;
+        this._scopedListeners.patterns = {};
+    }
+    this._watchScopedListeners();
+    return this;
+}
+
+/**
+ * Reconnect WS
+ *
+ */
+reconnect()
+{
+    if (null === this._connection)
+    {
+        return;
+    }
+    let connection = this._connection;
+    connection.disconnect();
+    this._processConnectionLoss();
+    this._createConnection();
+}
+
+/*
+ * Connect WS
+ *
+ * Should not be necessary since connection will happen automatically on first call to 'execute' method
+ */
+connect()
+{
+    // create if needed
+    if (null !== this._connection)
+    {
+        return;
+    }
+    this._createConnection();
+}
+
+isConnected()
+{
+    if (null === this._connection)
+    {
+        return false;
     }
     return this._connection.isConnected()
 }
@@ -333,6 +1295,10 @@ _checkExchange(exchange)
     }
 }
 
+/**
+ * @param {string} exchange exchange identifier
+ * @param {array} pairs list of pairs
+ */
 _checkExchangeAndPairs(exchange, pairs)
 {
     if ('string' !== typeof exchange || '' == exchange)
@@ -345,12 +1311,146 @@ _checkExchangeAndPairs(exchange, pairs)
     }
 }
 
+/**
+ * Checks whether or not all pairs are supported by the exchange
+ *
+ * @param {string} exchange exchange identifier
+ * @param {array} pairs list of pairs
+ * @param {array} supportedPairs list of pairs supported by the exchange
+ * @return {Error} error listing unsupported pairs or null if all pairs are supported
+ */
+_validatePairs(exchange, pairs, supportedPairs)
+{
+    let supported = new Set(supportedPairs);
+    let errors = [];
+    pairs.forEach((pair) => {
+        if (supported.has(pair))
+        {
+            return;
+        }
+        let error = `'${pair}'`;
+        let suggestions = PairMatcher.findClosest(pair, supportedPairs);
+        if (0 != suggestions.length)
+        {
+            error += ` (did you mean ${suggestions.map((p) => `'${p}'`).join(' or ')} ?)`;
+        }
+        errors.push(error);
+    });
+    if (0 != errors.length)
+    {
+        return new Error(`Unsupported pair(s) on exchange '${exchange}' : ${errors.join(', ')}`);
+    }
+    return null;
+}
+
+/**
+ * Calls a function sending a subscription command, once pairs have been checked against the pairs supported by the exchange (only if options.strictPairs is true)
+ *
+ * Unsupported pairs are reported like gateway errors (promise will be rejected & callback will be called), whether or not supported pairs had to be retrieved first
+ *
+ * @param {string} exchange exchange identifier
+ * @param {array} pairs list of pairs
+ * @param {function} cb callback passed to the subscription method (will be called if pairs cannot be retrieved or are unsupported)
+ * @param {function} fn function sending the subscription command
+ * @return {Promise} promise which will be resolved with command result
+ */
+_executeWithSupportedPairs(exchange, pairs, cb, fn)
+{
+    if (!this._strictPairs)
+    {
+        return fn();
+    }
+    if (undefined !== cb && 'function' != typeof cb)
+    {
+        throw new Error("Argument 'cb' should be a function");
+    }
+    let supportedPairs = this._getFreshPairs(this._getPairsCacheKey(exchange, {}));
+    // no need to wait, so that commands are sent in the same order as methods were called
+    if (null !== supportedPairs)
+    {
+        return this._executeIfPairsAreSupported(exchange, pairs, supportedPairs, cb, fn);
+    }
+    let promise = this._getCachedPairs(exchange, {}).then((list) => {
+        // use retrieved pairs even if they are already outdated (ie: with a very small ttl)
+        return this._executeIfPairsAreSupported(exchange, pairs, list, cb, fn);
+    }, (err) => {
+        if (debug.enabled)
+        {
+            debug(`Could not retrieve pairs supported by '${exchange}' : ${err.message}`);
+        }
+        if (undefined !== cb)
+        {
+            cb(null, err);
+        }
+        throw err;
+    });
+    // avoid unhandled rejections when caller does not use the promise
+    promise.catch(() => {});
+    return promise;
+}
+
+/**
+ * @param {string} exchange exchange identifier
+ * @param {array} pairs list of pairs
+ * @param {array} supportedPairs list of pairs supported by the exchange
+ * @param {function} cb callback passed to the subscription method (optional)
+ * @param {function} fn function sending the subscription command
+ * @return {Promise} promise which will be resolved with command result
+ */
+_executeIfPairsAreSupported(exchange, pairs, supportedPairs, cb, fn)
+{
+    let err = this._validatePairs(exchange, pairs, supportedPairs);
+    if (null === err)
+    {
+        return fn();
+    }
+    if (debug.enabled)
+    {
+        debug(`Could not subscribe on '${exchange}' : ${err.message}`);
+    }
+    let promise = Promise.reject(err);
+    // callback is called asynchronously, like when pairs had to be retrieved first
+    promise.catch((e) => {
+        if (undefined !== cb)
+        {
+            cb(null, e);
+        }
+    });
+    return promise;
+}
+
+/**
+ * Used to support both (reset, cb) & (cb) as optional arguments
+ *
+ * @param {boolean|function} reset
+ * @param {function} cb
+ * @return {object} {reset:boolean,cb:function}
+ */
+_getResetAndCallback(reset, cb)
+{
+    let args = {reset:false, cb:cb};
+    if (true === reset || false === reset)
+    {
+        args.reset = reset;
+    }
+    // probably a callback
+    else if ('function' == typeof reset)
+    {
+        args.cb = reset;
+    }
+    // any other value (ie: null) is ignored
+    return args;
+}
+
 /**
  * Retrieves existing pairs
  *
+ * NB: it is also possible to call method using getPairs(exchange, cb)
+ *
  * @param {string} exchange exchange id
- * @param {object} filter {currency:string,baseCurrency:string}
- * @param {function} cb callback to call (mandatory)
+ * @param {object} filter {currency:string,baseCurrency:string} (optional)
+ * @param {function} cb callback to call (optional)
+ * @return {Promise} promise which will be resolved with the list of pairs
  */
 getPairs(exchange, filter, cb)
 {
@@ -359,29 +1459,303 @@ getPairs(exchange, filter, cb)
         exchange:exchange
     }
     // cb might have been passed as second parameter
-    if (undefined === cb)
+    if ('function' == typeof filter)
+    {
+        cb = filter;
+    }
+    else if (undefined !== filter && null !== filter)
     {
-        if ('function' != typeof(filter))
+        if (undefined !== filter.currency && '' !== filter.currency)
         {
-            throw new Error("Argument 'cb' is mandatory");
+            params.filter = {currency:filter.currency};
+        }
+        else if (undefined !== filter.baseCurrency && '' !== filter.baseCurrency)
+        {
+            params.filter = {baseCurrency:filter.baseCurrency};
         }
-        cb = filter;
+    }
+    return this.execute('getPairs', params, cb);
+}
+
+/**
+ * Whether or not argument passed to a subscribeTo* method is a filter
+ *
+ * @param {array|object} pairs
+ * @return {boolean}
+ */
+_isPairsFilter(pairs)
+{
+    return null !== pairs && 'object' == typeof pairs && !Array.isArray(pairs);
+}
+
+/**
+ * Returns the filter to pass to getPairs
+ *
+ * @param {object} filter {currency:string,baseCurrency:string}
+ * @return {object} {currency:string} or {baseCurrency:string}
+ */
+_getPairsFilter(filter)
+{
+    if ('string' == typeof filter.currency && '' != filter.currency)
+    {
+        return {currency:filter.currency};
+    }
+    if ('string' == typeof filter.baseCurrency && '' != filter.baseCurrency)
+    {
+        return {baseCurrency:filter.baseCurrency};
+    }
+    throw new Error("Argument 'pairs' should be an array or an object {currency:string,baseCurrency:string}");
+}
+
+_getPairsCacheKey(exchange, filter)
+{
+    if (undefined !== filter.currency)
+    {
+        return `${exchange}|currency:${filter.currency}`;
+    }
+    if (undefined !== filter.baseCurrency)
+    {
+        return `${exchange}|baseCurrency:${filter.baseCurrency}`;
+    }
+    return `${exchange}|*`;
+}
+
+/**
+ * Retrieves cached pairs if they did not expire
+ *
+ * @param {string} key cache key
+ * @return {string[]} list of pairs (or null if pairs are not in cache)
+ */
+_getFreshPairs(key)
+{
+    let entry = this._pairsCache.entries[key];
+    if (undefined === entry || null === entry.pairs)
+    {
+        return null;
+    }
+    if (0 != this._pairsCache.ttl && Date.now() - entry.timestamp >= this._pairsCache.ttl)
+    {
+        return null;
+    }
+    return entry.pairs;
+}
+
+/**
+ * Retrieves pairs matching a filter, using cache if possible
+ *
+ * @param {string} exchange exchange identifier
+ * @param {object} filter {currency:string} or {baseCurrency:string} (use {} to retrieve all pairs)
+ * @param {boolean} refresh if true, cache will be ignored (optional, default = false)
+ * @return {Promise} promise which will be resolved with the list of pairs
+ */
+_getCachedPairs(exchange, filter, refresh)
+{
+    let key = this._getPairsCacheKey(exchange, filter);
+    let entry = this._pairsCache.entries[key];
+    if (undefined === entry)
+    {
+        entry = {exchange:exchange, filter:filter, pairs:null, timestamp:null, promise:null};
+        this._pairsCache.entries[key] = entry;
+    }
+    if (true !== refresh)
+    {
+        let pairs = this._getFreshPairs(key);
+        if (null !== pairs)
+        {
+            return Promise.resolve(pairs.slice());
+        }
+    }
+    // only one request at a time
+    if (null === entry.promise)
+    {
+        entry.promise = this.getPairs(exchange, filter).then((result) => {
+            entry.promise = null;
+            entry.pairs = Object.keys(result);
+            entry.timestamp = Date.now();
+            return entry.pairs;
+        }, (err) => {
+            entry.promise = null;
+            throw err;
+        });
+    }
+    return entry.promise.then((pairs) => pairs.slice());
+}
+
+/**
+ * Subscribes to all pairs matching a filter
+ *
+ * @param {string} method subscription method (subscribeToTickers, subscribeToOrderBooks, subscribeToTrades, subscribeToKlines)
+ * @param {string} exchange exchange identifier
+ * @param {object} filter {currency:string,baseCurrency:string}
+ * @param {string} interval klines interval (only for subscribeToKlines)
+ * @param {boolean|function} reset
+ * @param {function} cb
+ * @return {Promise} promise which will be resolved with command result
+ */
+_subscribeUsingFilter(method, exchange, filter, interval, reset, cb)
+{
+    this._checkExchange(exchange);
+    let pairsFilter = this._getPairsFilter(filter);
+    if ('subscribeToKlines' == method && ('string' !== typeof interval || '' == interval))
+    {
+        throw new Error("Argument 'interval' should be a non-empty string");
+    }
+    let args = this._getResetAndCallback(reset, cb);
+    if (undefined !== args.cb && 'function' != typeof args.cb)
+    {
+        throw new Error("Argument 'cb' should be a function");
+    }
+    let promise = this._getCachedPairs(exchange, pairsFilter).then((pairs) => {
+        if (debug.enabled)
+        {
+            debug(`Filter ${JSON.stringify(pairsFilter)} matched ${pairs.length} pair(s) on '${exchange}'`);
+        }
+        let p;
+        if ('subscribeToKlines' == method)
+        {
+            p = this.subscribeToKlines(exchange, pairs, interval, args.reset);
+        }
+        else
+        {
+            p = this[method](exchange, pairs, args.reset);
+        }
+        // must be done after subscription since a reset would discard filter subscriptions
+        this._addFilterSubscription(method, exchange, pairsFilter, interval);
+        return p;
+    });
+    if (undefined !== args.cb)
+    {
+        promise.then((result) => {
+            args.cb(result, null);
+        }, (err) => {
+            args.cb(null, err);
+        });
+    }
+    // avoid unhandled rejections when caller does not use the promise
+    promise.catch(() => {});
+    return promise;
+}
+
+_addFilterSubscription(method, exchange, filter, interval)
+{
+    let cacheKey = this._getPairsCacheKey(exchange, filter);
+    let key = `${method}|${exchange}|${undefined === interval ? '' : interval}|${cacheKey}`;
+    this._filterSubscriptions[key] = {method:method, exchange:exchange, interval:interval, filter:filter, cacheKey:cacheKey};
+    this._schedulePairsRefresh();
+}
+
+/**
+ * Discards filter subscriptions when subscriptions they were used for are discarded
+ *
+ * @param {string} command command which is about to be executed
+ * @param {object} params command parameters
+ */
+_updateFilterSubscriptions(command, params)
+{
+    if (_.isEmpty(this._filterSubscriptions))
+    {
+        return;
+    }
+    let exchange = undefined === params ? undefined : params.exchange;
+    let method;
+    if ('unsubscribe' == command)
+    {
+        method = null;
+    }
+    else if (undefined !== FILTER_SUBSCRIPTION_REMOVAL_COMMANDS[command])
+    {
+        method = FILTER_SUBSCRIPTION_REMOVAL_COMMANDS[command];
+    }
+    // previous subscriptions will be discarded (for all intervals in case of klines)
+    else if (command.startsWith('subscribeTo') && true === params.reset)
+    {
+        method = command;
     }
     else
     {
-        if (undefined !== filter)
+        return;
+    }
+    Object.keys(this._filterSubscriptions).forEach((key) => {
+        let sub = this._filterSubscriptions[key];
+        if (undefined !== exchange && sub.exchange != exchange)
+        {
+            return;
+        }
+        if (null !== method && sub.method != method)
         {
-            if (undefined !== filter.currency && '' !== filter.currency)
+            return;
+        }
+        delete this._filterSubscriptions[key];
+    });
+}
+
+_schedulePairsRefresh()
+{
+    if (0 == this._pairsCache.refreshInterval || null !== this._pairsCache.timer || _.isEmpty(this._filterSubscriptions))
+    {
+        return;
+    }
+    this._pairsCache.timer = setTimeout(() => {
+        this._pairsCache.timer = null;
+        this._refreshPairs();
+    }, this._pairsCache.refreshInterval);
+}
+
+/**
+ * Refreshes pairs for all filter subscriptions, emits 'newPairs' when new pairs were listed and subscribes to them
+ * if options.pairsCache.autoSubscribe is true
+ */
+_refreshPairs()
+{
+    let entries = {};
+    _.forEach(this._filterSubscriptions, (sub) => {
+        entries[sub.cacheKey] = this._pairsCache.entries[sub.cacheKey];
+    });
+    Promise.all(_.map(entries, (entry, cacheKey) => {
+        let previous = null === entry.pairs ? [] : entry.pairs;
+        return this._getCachedPairs(entry.exchange, entry.filter, true).then((pairs) => {
+            let newPairs = pairs.filter((pair) => !previous.includes(pair));
+            if (0 == newPairs.length)
             {
-                params.filter = {currency:filter.currency};
+                return;
             }
-            else if (undefined !== filter.baseCurrency && '' !== filter.baseCurrency)
+            if (debug.enabled)
             {
-                params.filter = {baseCurrency:filter.baseCurrency};
+                debug(`${newPairs.length} new pair(s) matching filter ${JSON.stringify(entry.filter)} on '${entry.exchange}' : ${newPairs.join(',')}`);
             }
+            this.emit('newPairs', {exchange:entry.exchange, filter:Object.assign({}, entry.filter), pairs:newPairs});
+            if (!this._pairsCache.autoSubscribe)
+            {
+                return;
+            }
+            _.forEach(this._filterSubscriptions, (sub) => {
+                if (sub.cacheKey != cacheKey)
+                {
+                    return;
+                }
+                if ('subscribeToKlines' == sub.method)
+                {
+                    this.subscribeToKlines(sub.exchange, newPairs, sub.interval);
+                }
+                else
+                {
+                    this[sub.method](sub.exchange, newPairs);
+                }
+            });
+        }).catch((err) => {
+            if (debug.enabled)
+            {
+                debug(`Could not refresh pairs matching filter ${JSON.stringify(entry.filter)} on '${entry.exchange}' : ${err.message}`);
+            }
+        });
+    })).then(() => {
+        // client was disconnected in the meantime
+        if (null === this._connection)
+        {
+            return;
         }
-    }
-    this.execute('getPairs', params, cb);
+        this._schedulePairsRefresh();
+    });
 }
 
 /**
@@ -390,9 +1764,10 @@ getPairs(exchange, filter, cb)
  * NB: it is also possible to call method using subscribeToTickers(exchange, pairs, cb)
  *
  * @param {string} exchange exchange identifier
- * @param {array} pairs list of pairs (ex: ["USDT-BTC",...])
+ * @param {array|object} pairs list of pairs (ex: ["USDT-BTC",...]) or filter {currency:string,baseCurrency:string} (pairs will be retrieved using getPairs)
  * @param {boolean} reset if true, existing subscriptions will be discarded and replaced by new ones (optional, default = false)
  * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
  */
 
 /*
@@ -418,25 +1793,20 @@ getPairs(exchange, filter, cb)
 */
 subscribeToTickers(exchange, pairs, reset, cb)
 {
-    this._checkExchangeAndPairs(exchange, pairs);
-    let params = {
-        exchange:exchange,
-        reset:false,
-        pairs:pairs
-    }
-    if (undefined !== reset)
+    if (this._isPairsFilter(pairs))
     {
-        if (true === reset || false === reset)
-        {
-            params.reset = reset;
-        }
-        // probably a callback
-        else if ('function' == typeof reset)
-        {
-            cb = reset;
-        }
+        return this._subscribeUsingFilter('subscribeToTickers', exchange, pairs, undefined, reset, cb);
+    }
+    this._checkExchangeAndPairs(exchange, pairs);
+    let params = {
+        exchange:exchange,
+        reset:false,
+        pairs:pairs
     }
-    this.execute('subscribeToTickers', params, cb);
+    let args = this._getResetAndCallback(reset, cb);
+    params.reset = args.reset;
+    cb = args.cb;
+    return this._executeWithSupportedPairs(exchange, pairs, cb, () => this._executeBatched('subscribeToTickers', params, cb));
 }
 
 /**
@@ -445,6 +1815,7 @@ subscribeToTickers(exchange, pairs, reset, cb)
  * @param {string} exchange exchange identifier
  * @param {array} pairs list of pairs (ex: ["USDT-BTC",...])
  * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
  */
 unsubscribeFromTickers(exchange, pairs, cb)
 {
@@ -453,7 +1824,7 @@ unsubscribeFromTickers(exchange, pairs, cb)
         exchange:exchange,
         pairs:pairs
     }
-    this.execute('unsubscribeFromTickers', params, cb);
+    return this._executeBatched('unsubscribeFromTickers', params, cb);
 }
 
 /**
@@ -461,6 +1832,7 @@ unsubscribeFromTickers(exchange, pairs, cb)
  *
  * @param {string} exchange exchange identifier
  * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
  */
 unsubscribeFromAllTickers(exchange, cb)
 {
@@ -468,7 +1840,7 @@ unsubscribeFromAllTickers(exchange, cb)
     let params = {
         exchange:exchange
     }
-    this.execute('unsubscribeFromAllTickers', params, cb);
+    return this.execute('unsubscribeFromAllTickers', params, cb);
 }
 
 /**
@@ -481,9 +1853,10 @@ unsubscribeFromAllTickers(exchange, cb)
  * NB: it is also possible to call method using subscribeToOrderBooks(exchange, pairs, cb)
  *
  * @param {string} exchange exchange identifier
- * @param {array} pairs list of pairs (ex: ["USDT-BTC",...])
+ * @param {array|object} pairs list of pairs (ex: ["USDT-BTC",...]) or filter {currency:string,baseCurrency:string} (pairs will be retrieved using getPairs)
  * @param {boolean} reset if true, existing subscriptions will be discarded and replaced by new ones (optional, default = false)
  * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
  */
 
 /*
@@ -555,25 +1928,27 @@ unsubscribeFromAllTickers(exchange, cb)
 */
 subscribeToOrderBooks(exchange, pairs, reset, cb)
 {
+    if (this._isPairsFilter(pairs))
+    {
+        return this._subscribeUsingFilter('subscribeToOrderBooks', exchange, pairs, undefined, reset, cb);
+    }
     this._checkExchangeAndPairs(exchange, pairs);
     let params = {
         exchange:exchange,
         reset:false,
         pairs:pairs
     }
-    if (undefined !== reset)
-    {
-        if (true === reset || false === reset)
-        {
-            params.reset = reset;
-        }
-        // probably a callback
-        else if ('function' == typeof reset)
+    let args = this._getResetAndCallback(reset, cb);
+    params.reset = args.reset;
+    cb = args.cb;
+    return this._executeWithSupportedPairs(exchange, pairs, cb, () => {
+        // previous subscriptions will be discarded
+        if (params.reset && null !== this._orderBookManager)
         {
-            cb = reset;
+            this._orderBookManager.keep(exchange, pairs);
         }
-    }
-    this.execute('subscribeToOrderBooks', params, cb);
+        return this._executeBatched('subscribeToOrderBooks', params, cb);
+    });
 }
 
 /**
@@ -582,6 +1957,7 @@ subscribeToOrderBooks(exchange, pairs, reset, cb)
  * @param {string} exchange exchange identifier
  * @param {array} pairs list of pairs (ex: ["USDT-BTC",...])
  * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
  */
 
 /*
@@ -596,7 +1972,7 @@ subscribeToOrderBooks(exchange, pairs, reset, cb)
          exchange:exchange,
          pairs:pairs
      }
-     this.execute('resyncOrderBooks', params, cb);
+     return this.execute('resyncOrderBooks', params, cb);
  }
 
 /**
@@ -605,6 +1981,7 @@ subscribeToOrderBooks(exchange, pairs, reset, cb)
  * @param {string} exchange exchange identifier
  * @param {array} pairs list of pairs (ex: ["USDT-BTC",...])
  * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
  */
 unsubscribeFromOrderBooks(exchange, pairs, cb)
 {
@@ -613,7 +1990,11 @@ unsubscribeFromOrderBooks(exchange, pairs, cb)
         exchange:exchange,
         pairs:pairs
     }
-    this.execute('unsubscribeFromOrderBooks', params, cb);
+    if (null !== this._orderBookManager)
+    {
+        this._orderBookManager.remove(exchange, pairs);
+    }
+    return this._executeBatched('unsubscribeFromOrderBooks', params, cb);
 }
 
 /**
@@ -621,6 +2002,7 @@ unsubscribeFromOrderBooks(exchange, pairs, cb)
  *
  * @param {string} exchange exchange identifier
  * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
  */
 unsubscribeFromAllOrderBooks(exchange, cb)
 {
@@ -628,7 +2010,11 @@ unsubscribeFromAllOrderBooks(exchange, cb)
     let params = {
         exchange:exchange
     }
-    this.execute('unsubscribeFromAllOrderBooks', params, cb);
+    if (null !== this._orderBookManager)
+    {
+        this._orderBookManager.remove(exchange);
+    }
+    return this.execute('unsubscribeFromAllOrderBooks', params, cb);
 }
 
 /**
@@ -637,9 +2023,10 @@ unsubscribeFromAllOrderBooks(exchange, cb)
  * NB: it is also possible to call method using subscribeToTrades(exchange, pairs, cb)
  *
  * @param {string} exchange exchange identifier
- * @param {array} pairs list of pairs (ex: ["USDT-BTC",...])
+ * @param {array|object} pairs list of pairs (ex: ["USDT-BTC",...]) or filter {currency:string,baseCurrency:string} (pairs will be retrieved using getPairs)
  * @param {boolean} reset if true, existing subscriptions will be discarded and replaced by new ones (optional, default = false)
  * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
  */
 
 /*
@@ -670,245 +2057,722 @@ unsubscribeFromAllOrderBooks(exchange, cb)
 */
 subscribeToTrades(exchange, pairs, reset, cb)
 {
+    if (this._isPairsFilter(pairs))
+    {
+        return this._subscribeUsingFilter('subscribeToTrades', exchange, pairs, undefined, reset, cb);
+    }
+    this._checkExchangeAndPairs(exchange, pairs);
+    let params = {
+        exchange:exchange,
+        reset:false,
+        pairs:pairs
+    }
+    let args = this._getResetAndCallback(reset, cb);
+    params.reset = args.reset;
+    cb = args.cb;
+    return this._executeWithSupportedPairs(exchange, pairs, cb, () => {
+        // previous subscriptions will be discarded
+        if (params.reset)
+        {
+            if (null !== this._tradeTracker)
+            {
+                this._tradeTracker.keep(exchange, pairs);
+            }
+            if (null !== this._klineBuilder)
+            {
+                this._klineBuilder.keep(exchange, pairs);
+            }
+        }
+        return this._executeBatched('subscribeToTrades', params, cb);
+    });
+}
+
+/**
+ * Unsubscribe from trades for a list of pairs
+ *
+ * @param {string} exchange exchange identifier
+ * @param {array} pairs list of pairs (ex: ["USDT-BTC",...])
+ * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
+ */
+unsubscribeFromTrades(exchange, pairs, cb)
+{
+    this._checkExchangeAndPairs(exchange, pairs);
+    let params = {
+        exchange:exchange,
+        pairs:pairs
+    }
+    if (null !== this._klineBuilder)
+    {
+        pairs.forEach((pair) => {
+            this._klineBuilder.remove(exchange, pair);
+        });
+    }
+    if (null !== this._tradeTracker)
+    {
+        this._tradeTracker.remove(exchange, pairs);
+    }
+    return this._executeBatched('unsubscribeFromTrades', params, cb);
+}
+
+/**
+ * Unsubscribe from all trades we are currently subscribed to
+ *
+ * @param {string} exchange exchange identifier
+ * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
+ */
+unsubscribeFromAllTrades(exchange, cb)
+{
+    this._checkExchange(exchange);
+    let params = {
+        exchange:exchange
+    }
+    if (null !== this._klineBuilder)
+    {
+        this._klineBuilder.remove(exchange);
+    }
+    if (null !== this._tradeTracker)
+    {
+        this._tradeTracker.remove(exchange);
+    }
+    return this.execute('unsubscribeFromAllTrades', params, cb);
+}
+
+/**
+ * Subscribe to klines for a list of pairs
+ *
+ * NB: it is also possible to call method using subscribeToKlines(exchange, pairs, interval, cb)
+ *
+ * @param {string} exchange exchange identifier
+ * @param {array|object} pairs list of pairs (ex: ["USDT-BTC",...]) or filter {currency:string,baseCurrency:string} (pairs will be retrieved using getPairs)
+ * @param {string} klines interval (ex: 5m)
+ * @param {boolean} reset if true, existing subscriptions will be discarded and replaced by new ones (optional, default = false)
+ * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
+ */
+/*
+    Following events will be triggered :
+
+    - one 'kline' event per pair/interval, with following data
+
+    {
+        "exchange":"binance",
+        "pair":"USDT-ETH",
+        "interval":"5m",
+        "data":{
+            "timestamp":1515410100,
+            "open":1135.5,
+            "close":1131.76,
+            "high":1136.3,
+            "low":1130.13,
+            "volume":74.30783
+        }
+    }
+*/
+subscribeToKlines(exchange, pairs, interval, reset, cb)
+{
+    if (this._isPairsFilter(pairs))
+    {
+        return this._subscribeUsingFilter('subscribeToKlines', exchange, pairs, interval, reset, cb);
+    }
     this._checkExchangeAndPairs(exchange, pairs);
+    if ('string' !== typeof interval || '' == interval)
+    {
+        throw new Error("Argument 'interval' should be a non-empty string");
+    }
     let params = {
         exchange:exchange,
+        interval:interval,
         reset:false,
         pairs:pairs
     }
-    if (undefined !== reset)
+    let args = this._getResetAndCallback(reset, cb);
+    params.reset = args.reset;
+    cb = args.cb;
+    return this._executeWithSupportedPairs(exchange, pairs, cb, () => this._executeBatched('subscribeToKlines', params, cb));
+}
+
+/**
+ * Unsubscribe from klines for a list of pairs
+ *
+ * NB: it is also possible to call method using unsubscribeFromKlines(exchange, pairs, cb)
+ *
+ * @param {string} exchange exchange identifier
+ * @param {array} pairs list of pairs (ex: ["USDT-BTC",...])
+ * @param {interval} string kline interval (ex: 5m) (optional, if not defined will unsubscribe for all intervals)
+ * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
+ */
+unsubscribeFromKlines(exchange, pairs, interval, cb)
+{
+    this._checkExchangeAndPairs(exchange, pairs);
+    let params = {
+        exchange:exchange,
+        pairs:pairs
+    }
+    if (undefined !== interval)
+    {
+        // probably a callback
+        if ('function' == typeof interval)
+        {
+            cb = interval;
+        }
+        else
+        {
+            if ('string' !== typeof interval || '' == interval)
+            {
+                throw new Error("Argument 'interval' should be a non-empty string");
+            }
+            params.interval = interval;
+        }
+    }
+    return this._executeBatched('unsubscribeFromKlines', params, cb);
+}
+
+/**
+ * Unsubscribe from all klines we are currently subscribed to
+ *
+ * @param {string} exchange exchange identifier
+ * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
+ */
+unsubscribeFromAllKlines(exchange, cb)
+{
+    this._checkExchange(exchange);
+    let params = {
+        exchange:exchange
+    }
+    return this.execute('unsubscribeFromAllKlines', params, cb);
+}
+
+/**
+ * Build klines locally from trades, for any interval (this will automatically subscribe to trades)
+ *
+ * Built klines will be emitted using 'kline' event (with source = 'local')
+ *
+ * @param {string} exchange exchange identifier
+ * @param {array} pairs list of pairs (ex: ["USDT-BTC",...])
+ * @param {string} interval klines interval (ex: 2m, 7m, 3h, 1d, 1w)
+ * @param {function} cb callback to call upon receiving result of trades subscription (optional)
+ * @return {Promise} promise which will be resolved with result of trades subscription
+ */
+buildKlines(exchange, pairs, interval, cb)
+{
+    this._checkExchangeAndPairs(exchange, pairs);
+    if ('string' !== typeof interval || '' == interval)
+    {
+        throw new Error("Argument 'interval' should be a non-empty string");
+    }
+    // will throw an error if interval is not supported
+    KlineBuilder.getDuration(interval);
+    if (null === this._klineBuilder)
+    {
+        let self = this;
+        this._klineBuilder = new KlineBuilder();
+        this._klineBuilder.on('kline', function(evt){
+            if (null !== self._normalizer)
+            {
+                evt = self._normalizer.normalize('kline', evt);
+            }
+            self._emitNotification.call(self, 'kline', evt);
+        });
+    }
+    pairs.forEach((pair) => {
+        this._klineBuilder.add(exchange, pair, interval);
+    });
+    return this.subscribeToTrades(exchange, pairs, cb);
+}
+
+/**
+ * Stop building klines locally (trades subscriptions will be kept)
+ *
+ * @param {string} exchange exchange identifier
+ * @param {array} pairs list of pairs (ex: ["USDT-BTC",...])
+ * @param {string} interval klines interval (optional, if not defined will stop building klines for all intervals)
+ */
+stopBuildingKlines(exchange, pairs, interval)
+{
+    this._checkExchangeAndPairs(exchange, pairs);
+    if (null === this._klineBuilder)
+    {
+        return;
+    }
+    pairs.forEach((pair) => {
+        this._klineBuilder.remove(exchange, pair, interval);
+    });
+}
+
+/**
+ * Unsubscribe globally for a given exchange or all exchanges
+ *
+ * @param {string} exchange exchange identifier (optional, if not defined subscriptions will be cancelled for all exchanges)
+ * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
+ */
+unsubscribe(exchange, cb)
+{
+    let params = {};
+    if (undefined !== exchange)
+    {
+        if ('function' != typeof exchange)
+        {
+            this._checkExchange(exchange);
+            params.exchange = exchange;
+        }
+        else
+        {
+            cb = exchange;
+        }
+    }
+    if (null !== this._orderBookManager)
+    {
+        this._orderBookManager.remove(params.exchange);
+    }
+    if (null !== this._klineBuilder)
+    {
+        this._klineBuilder.remove(params.exchange);
+    }
+    if (null !== this._tradeTracker)
+    {
+        this._tradeTracker.remove(params.exchange);
+    }
+    return this.execute('unsubscribe', params, cb);
+}
+
+/**
+ * Used to call any methods
+ *
+ * Returned promise will be rejected with a GatewayError if gateway returned an error or with a CommandError if
+ * no result was received (timeout or disconnection). If promise is not used, errors will be silently ignored (unless a callback was provided)
+ *
+ * @param {string} command command to execute
+ * @param {object} params command parameters (optional)
+ * @param {function} cb callback to call upon receiving command result (optional)
+ * @param {object} opt {timeout:integer,idempotent:boolean} (optional)
+ * @return {Promise} promise which will be resolved with command result
+ */
+execute(command, params, cb, opt)
+{
+    let message = {
+        m:command
+    }
+    if (undefined !== params)
+    {
+        message.p = params;
+    }
+    if (undefined !== cb && 'function' != typeof cb)
+    {
+        throw new Error("Argument 'cb' should be a function");
+    }
+    // ensure batched subscription commands are sent before this one
+    if (0 != this._batches.length)
+    {
+        this._flushBatches();
+    }
+    // command would need to be queued but queue is full (command will fail once promise has been created)
+    let queueFull = QUEUE_OVERFLOW_ERROR == this._queueOverflow && this._mustQueue() && this._isQueueFull();
+    if (!queueFull)
+    {
+        this._updateFilterSubscriptions(command, params);
+    }
+    let timeout = this._commandTimeout;
+    let idempotent = IDEMPOTENT_COMMANDS.includes(command);
+    if (undefined !== opt)
+    {
+        if (undefined !== opt.timeout)
+        {
+            timeout = parseInt(opt.timeout);
+            if (isNaN(timeout) || timeout < 0)
+            {
+                throw new Error("Argument 'opt.timeout' should be an integer >= 0");
+            }
+        }
+        if (undefined !== opt.idempotent)
+        {
+            idempotent = true === opt.idempotent;
+        }
+    }
+    message.i = this._nextCommandId++;
+    let promise = new Promise((resolve, reject) => {
+        this._callbacks[message.i] = {
+            message:message,
+            timeout:timeout,
+            idempotent:idempotent,
+            // whether or not message was sent over WS
+            sent:false,
+            timer:null,
+            cb:(result, error) => {
+                if (null !== error)
+                {
+                    ++this._stats.commands.failed;
+                    if (error instanceof CommandError)
+                    {
+                        reject(error);
+                    }
+                    else
+                    {
+                        reject(new GatewayError(command, error));
+                    }
+                }
+                else
+                {
+                    // only keep track of subscriptions accepted by gateway
+                    this._updateSubscriptions(command, params);
+                    resolve(result);
+                }
+                if (undefined !== cb)
+                {
+                    cb(result, error);
+                }
+            }
+        };
+    });
+    // avoid unhandled rejections when caller does not use the promise
+    promise.catch(() => {});
+    if (queueFull)
     {
-        if (true === reset || false === reset)
-        {
-            params.reset = reset;
-        }
-        // probably a callback
-        else if ('function' == typeof reset)
+        if (debug.enabled)
         {
-            cb = reset;
+            debug(`Queue is full, rejecting message : ${JSON.stringify(message)}`);
         }
+        this._failCommand(message.i, new CommandError(command, CommandError.QUEUE_FULL, 'queue is full'));
+        return promise;
     }
-    this.execute('subscribeToTrades', params, cb);
+    this._send([message]);
+    return promise;
 }
 
 /**
- * Unsubscribe from trades for a list of pairs
+ * Updates tracked subscriptions once a command succeeded
  *
- * @param {string} exchange exchange identifier
- * @param {array} pairs list of pairs (ex: ["USDT-BTC",...])
- * @param {function} cb callback to call upon receiving command result (optional)
+ * @param {string} command command which succeeded
+ * @param {object} params command parameters
  */
-unsubscribeFromTrades(exchange, pairs, cb)
+_updateSubscriptions(command, params)
 {
-    this._checkExchangeAndPairs(exchange, pairs);
-    let params = {
-        exchange:exchange,
-        pairs:pairs
+    this._subscriptionTracker.update(command, params);
+    if (null !== this._watchdog)
+    {
+        this._watchdog.setSubscriptions(this._subscriptionTracker.getSubscriptions());
     }
-    this.execute('unsubscribeFromTrades', params, cb);
 }
 
 /**
- * Unsubscribe from all trades we are currently subscribed to
+ * Executes a subscription command, merging it with other commands for the same method/exchange/interval issued
+ * within options.batchSubscriptions.delay (commands will be executed immediately if options.batchSubscriptions is not defined)
  *
- * @param {string} exchange exchange identifier
+ * @param {string} command command to execute
+ * @param {object} params command parameters {exchange:string,pairs:array,interval:string,reset:boolean}
  * @param {function} cb callback to call upon receiving command result (optional)
+ * @return {Promise} promise which will be resolved with command result
  */
-unsubscribeFromAllTrades(exchange, cb)
+_executeBatched(command, params, cb)
 {
-    this._checkExchange(exchange);
-    let params = {
-        exchange:exchange
-    }
-    this.execute('unsubscribeFromAllTrades', params, cb);
-}
-
-/**
- * Subscribe to klines for a list of pairs
- *
- * NB: it is also possible to call method using subscribeToKlines(exchange, pairs, interval, cb)
- *
- * @param {string} exchange exchange identifier
- * @param {array} pairs list of pairs (ex: ["USDT-BTC",...])
- * @param {string} klines interval (ex: 5m)
- * @param {boolean} reset if true, existing subscriptions will be discarded and replaced by new ones (optional, default = false)
- * @param {function} cb callback to call upon receiving command result (optional)
- */
-/*
-    Following events will be triggered :
-
-    - one 'kline' event per pair/interval, with following data
-
+    // commands with reset cannot be merged
+    if (null === this._batchDelay || true === params.reset)
     {
-        "exchange":"binance",
-        "pair":"USDT-ETH",
-        "interval":"5m",
-        "data":{
-            "timestamp":1515410100,
-            "open":1135.5,
-            "close":1131.76,
-            "high":1136.3,
-            "low":1130.13,
-            "volume":74.30783
-        }
+        return this.execute(command, params, cb);
     }
-*/
-subscribeToKlines(exchange, pairs, interval, reset, cb)
-{
-    this._checkExchangeAndPairs(exchange, pairs);
-    if ('string' !== typeof interval || '' == interval)
+    if (undefined !== cb && 'function' != typeof cb)
     {
-        throw new Error("Argument 'interval' should be a non-empty string");
-    }
-    let params = {
-        exchange:exchange,
-        interval:interval,
-        reset:false,
-        pairs:pairs
+        throw new Error("Argument 'cb' should be a function");
     }
-    if (undefined !== reset)
+    let family = `${params.exchange}|${BATCHABLE_COMMANDS[command]}`;
+    let key = `${family}|${command}|${undefined === params.interval ? '' : params.interval}`;
+    let batch = null;
+    // only merge with the last batch of the same family, to preserve the order of subscribe/unsubscribe
+    for (let i = this._batches.length - 1; i >= 0; --i)
     {
-        if (true === reset || false === reset)
+        if (this._batches[i].family != family)
         {
-            params.reset = reset;
+            continue;
         }
-        // probably a callback
-        else if ('function' == typeof reset)
+        if (this._batches[i].key == key)
+        {
+            batch = this._batches[i];
+        }
+        break;
+    }
+    if (null === batch)
+    {
+        batch = {key:key, family:family, command:command, params:Object.assign({}, params, {pairs:[]}), callers:[]};
+        this._batches.push(batch);
+    }
+    params.pairs.forEach((pair) => {
+        if (!batch.params.pairs.includes(pair))
         {
-            cb = reset;
+            batch.params.pairs.push(pair);
         }
+    });
+    let promise = new Promise((resolve, reject) => {
+        batch.callers.push({resolve:resolve, reject:reject, cb:cb});
+    });
+    // avoid unhandled rejections when caller does not use the promise
+    promise.catch(() => {});
+    if (null === this._batchTimer)
+    {
+        this._batchTimer = setTimeout(() => {
+            this._batchTimer = null;
+            this._flushBatches();
+        }, this._batchDelay);
     }
-    this.execute('subscribeToKlines', params, cb);
+    return promise;
 }
 
 /**
- * Unsubscribe from klines for a list of pairs
- *
- * NB: it is also possible to call method using unsubscribeFromKlines(exchange, pairs, cb)
- *
- * @param {string} exchange exchange identifier
- * @param {array} pairs list of pairs (ex: ["USDT-BTC",...])
- * @param {interval} string kline interval (ex: 5m) (optional, if not defined will unsubscribe for all intervals)
- * @param {function} cb callback to call upon receiving command result (optional)
+ * Executes all batched subscription commands
  */
-unsubscribeFromKlines(exchange, pairs, interval, cb)
+_flushBatches()
 {
-    this._checkExchangeAndPairs(exchange, pairs);
-    let params = {
-        exchange:exchange,
-        pairs:pairs
-    }
-    if (undefined !== interval)
+    if (null !== this._batchTimer)
     {
-        // probably a callback
-        if ('function' == typeof reset)
+        clearTimeout(this._batchTimer);
+        this._batchTimer = null;
+    }
+    let batches = this._batches;
+    this._batches = [];
+    batches.forEach((batch) => {
+        if (debug.enabled && batch.callers.length > 1)
         {
-            cb = interval;
+            debug(`Merged ${batch.callers.length} '${batch.command}' command(s) for '${batch.params.exchange}' (${batch.params.pairs.length} pair(s))`);
         }
-        else
+        let promise;
+        try
         {
-            if ('string' !== typeof interval || '' == interval)
-            {
-                throw new Error("Argument 'interval' should be a non-empty string");
-            }
-            params.interval = interval;
+            promise = this.execute(batch.command, batch.params, (result, error) => {
+                batch.callers.forEach((caller) => {
+                    if (undefined !== caller.cb)
+                    {
+                        caller.cb(result, error);
+                    }
+                });
+            });
         }
-    }
-    this.execute('unsubscribeFromKlines', params, cb);
+        catch (e)
+        {
+            this._failBatch(batch, e);
+            return;
+        }
+        promise.then((result) => {
+            batch.callers.forEach((caller) => {
+                caller.resolve(result);
+            });
+        }, (err) => {
+            batch.callers.forEach((caller) => {
+                caller.reject(err);
+            });
+        });
+    });
 }
 
 /**
- * Unsubscribe from all klines we are currently subscribed to
+ * Calls callbacks of a batch with an error
  *
- * @param {string} exchange exchange identifier
- * @param {function} cb callback to call upon receiving command result (optional)
+ * @param {object} batch
+ * @param {Error} err
  */
-unsubscribeFromAllKlines(exchange, cb)
+_failBatch(batch, err)
 {
-    this._checkExchange(exchange);
-    let params = {
-        exchange:exchange
-    }
-    this.execute('unsubscribeFromAllKlines', params, cb);
+    batch.callers.forEach((caller) => {
+        caller.reject(err);
+        if (undefined !== caller.cb)
+        {
+            caller.cb(null, err);
+        }
+    });
 }
-///
 
 /**
- * Unsubscribe globally for a given exchange or all exchanges
+ * Send a list of objects over WS
  *
- * @param {string} exchange exchange identifier (optional, if not defined subscriptions will be cancelled for all exchanges)
- * @param {function} cb callback to call upon receiving command result (optional)
+ * @param {object} list list of data to send (each entry will be serialized to JSON and sent individually)
  */
-unsubscribe(exchange, cb)
+_send(list)
 {
-    let params = {};
-    if (undefined !== exchange)
+    if (this._mustQueue())
     {
-        if ('function' != typeof exchange)
+        this._queueMessages(list);
+        // create if needed
+        if (null === this._connection)
         {
-            this._checkExchange(exchange);
-            params.exchange = exchange;
+            this._createConnection();
         }
-        else
+        return;
+    }
+    for (var i = 0; i < list.length; ++i)
+    {
+        if (debug.enabled)
         {
-            cb = exchange;
+            debug(`Sending message : ${JSON.stringify(list[i])}`);
         }
+        this._connection.send(JSON.stringify(list[i]));
+        ++this._stats.commands.sent;
+        this._startCommandTimer(list[i].i);
     }
-    this.execute('unsubscribe', params, cb);
 }
 
-/*
- * Used to call any methods
+/**
+ * Starts timeout timer after a command was sent over WS
+ *
+ * @param {integer} id command id
  */
-execute(command, params, cb)
+_startCommandTimer(id)
 {
-    let message = {
-        m:command
+    let entry = this._callbacks[id];
+    if (undefined === entry)
+    {
+        return;
     }
-    if (undefined !== params)
+    entry.sent = true;
+    if (0 == entry.timeout)
     {
-        message.p = params;
+        return;
     }
-    if (undefined !== cb)
+    if (null !== entry.timer)
     {
-        message.i = this._nextCommandId++;
-        this._callbacks[message.i] = cb;
+        clearTimeout(entry.timer);
     }
-    this._send([message]);
+    entry.timer = setTimeout(() => {
+        entry.timer = null;
+        if (debug.enabled)
+        {
+            debug(`Command #${id} timed out after ${entry.timeout}ms : ${JSON.stringify(entry.message)}`);
+        }
+        this._failCommand(id, new CommandError(entry.message.m, CommandError.TIMEOUT, `no result received after ${entry.timeout}ms`));
+    }, entry.timeout);
 }
 
 /**
- * Send a list of objects over WS
+ * Removes a pending command and calls its callback with an error
  *
- * @param {object} list list of data to send (each entry will be serialized to JSON and sent individually)
+ * @param {integer} id command id
+ * @param {CommandError} err
  */
-_send(list)
+_failCommand(id, err)
 {
-    // create if needed
-    if (null === this._connection)
+    let entry = this._callbacks[id];
+    if (undefined === entry)
     {
-        this._queueMessages(list);
-        this._createConnection();
         return;
     }
-    if (!this._connection.isConnected())
+    delete this._callbacks[id];
+    if (null !== entry.timer)
     {
-        this._queueMessages(list);
-        return;
+        clearTimeout(entry.timer);
+    }
+    entry.cb(null, err);
+}
+
+/**
+ * Called when connection was lost. Commands which were sent but didn't receive any result will either fail or will be
+ * sent again after reconnection (only if options.resendOnReconnect is true and command is idempotent)
+ */
+_processConnectionLoss()
+{
+    // trades received after reconnection will need to be checked for gaps
+    if (null !== this._tradeTracker)
+    {
+        this._tradeTracker.processConnectionLoss();
+    }
+    // no notification can be received until we're ready again
+    if (null !== this._watchdog)
+    {
+        this._watchdog.stop();
+    }
+    let resend = [];
+    let failed = [];
+    _.forEach(this._callbacks, (entry, id) => {
+        if (!entry.sent)
+        {
+            return;
+        }
+        if (null !== entry.timer)
+        {
+            clearTimeout(entry.timer);
+            entry.timer = null;
+        }
+        if (this._resendOnReconnect && entry.idempotent)
+        {
+            entry.sent = false;
+            resend.push(entry.message);
+            return;
+        }
+        failed.push(id);
+    });
+    if (0 != resend.length)
+    {
+        if (debug.enabled)
+        {
+            debug(`${resend.length} command(s) will be sent again after reconnection`);
+        }
+        this._queue = resend.concat(this._queue);
+        this._trimQueue();
+    }
+    failed.forEach((id) => {
+        let entry = this._callbacks[id];
+        this._failCommand(id, new CommandError(entry.message.m, CommandError.DISCONNECTED, 'connection was lost'));
+    });
+}
+
+/**
+ * Whether or not messages need to be queued (connection is not ready yet)
+ *
+ * @return {boolean}
+ */
+_mustQueue()
+{
+    if (null === this._connection || !this._connection.isConnected())
+    {
+        return true;
     }
     // we didn't receive 'hello' message yet
-    if (null === this._readyTimestamp)
+    return null === this._readyTimestamp;
+}
+
+/**
+ * Whether or not queue is full (queued commands will be coalesced first if possible)
+ *
+ * @return {boolean}
+ */
+_isQueueFull()
+{
+    if (0 == this._maxQueueSize || this._queue.length < this._maxQueueSize)
+    {
+        return false;
+    }
+    this._coalesceQueue();
+    return this._queue.length >= this._maxQueueSize;
+}
+
+/**
+ * Ensures queue does not exceed maximum size after commands were added to the front of the queue (queued commands will be coalesced first if possible)
+ *
+ * Commands in excess will fail with a CommandError (code = queueFull) : oldest commands if options.queueOverflow is dropOldest, latest commands otherwise
+ */
+_trimQueue()
+{
+    if (0 == this._maxQueueSize || this._queue.length <= this._maxQueueSize)
     {
-        this._queueMessages(list);
         return;
     }
-    for (var i = 0; i < list.length; ++i)
+    this._coalesceQueue();
+    while (this._queue.length > this._maxQueueSize)
     {
+        let dropped;
+        if (QUEUE_OVERFLOW_DROP_OLDEST == this._queueOverflow)
+        {
+            dropped = this._queue.shift();
+        }
+        else
+        {
+            dropped = this._queue.pop();
+        }
         if (debug.enabled)
         {
-            debug(`Sending message : ${JSON.stringify(list[i])}`);
+            debug(`Queue is full, dropping message : ${JSON.stringify(dropped)}`);
         }
-        this._connection.send(JSON.stringify(list[i]));
+        this._failCommand(dropped.i, new CommandError(dropped.m, CommandError.QUEUE_FULL, 'queue is full'));
     }
 }
 
@@ -919,12 +2783,110 @@ _queueMessages(list)
 {
     for (var i = 0; i < list.length; ++i)
     {
+        if (this._isQueueFull())
+        {
+            let dropped = list[i];
+            if (QUEUE_OVERFLOW_DROP_OLDEST == this._queueOverflow)
+            {
+                dropped = this._queue.shift();
+                this._queue.push(list[i]);
+            }
+            if (debug.enabled)
+            {
+                debug(`Queue is full, dropping message : ${JSON.stringify(dropped)}`);
+            }
+            this._failCommand(dropped.i, new CommandError(dropped.m, CommandError.QUEUE_FULL, 'queue is full'));
+            continue;
+        }
+        if (debug.enabled)
+        {
+            debug(`Queuing message : ${JSON.stringify(list[i])}`);
+        }
+        this._queue.push(list[i]);
+    }
+}
+
+/**
+ * Replaces queued subscription commands with the minimal equivalent set of commands
+ */
+_coalesceQueue()
+{
+    if (null === this._queueCoalescer || this._queue.length < 2)
+    {
+        return;
+    }
+    let queue = [];
+    this._queueCoalescer.coalesce(this._queue).forEach((group) => {
+        // nothing was merged
+        if (group.messages === group.sources)
+        {
+            queue.push(group.messages[0]);
+            return;
+        }
+        let entries = [];
+        group.sources.forEach((message) => {
+            let entry = this._callbacks[message.i];
+            if (undefined !== entry)
+            {
+                delete this._callbacks[message.i];
+                entries.push(entry);
+            }
+        });
         if (debug.enabled)
         {
-            debug(`Queuing message : ${JSON.stringify(list[i])}`);
+            debug(`Coalesced ${group.sources.length} queued command(s) into ${group.messages.length} command(s)`);
+        }
+        // commands cancelled each other
+        if (0 == group.messages.length)
+        {
+            entries.forEach((entry) => {
+                entry.cb(true, null);
+            });
+            return;
+        }
+        // use the longest timeout (0 means no timeout)
+        let timeout = 0;
+        if (!entries.some((entry) => 0 == entry.timeout))
+        {
+            timeout = Math.max(...entries.map((entry) => entry.timeout));
         }
-        this._queue.push(list[i]);
-    }
+        // source callbacks will be called once all messages got a result
+        let remaining = group.messages.length;
+        let error = null;
+        let result = true;
+        group.messages.forEach((message) => {
+            message.i = this._nextCommandId++;
+            this._callbacks[message.i] = {
+                message:message,
+                timeout:timeout,
+                idempotent:true,
+                sent:false,
+                timer:null,
+                cb:(r, e) => {
+                    if (null !== e)
+                    {
+                        if (null === error)
+                        {
+                            error = e;
+                        }
+                    }
+                    else
+                    {
+                        result = r;
+                    }
+                    if (0 != --remaining)
+                    {
+                        return;
+                    }
+                    entries.forEach((entry) => {
+                        entry.cb(null === error ? result : null, error);
+                    });
+                }
+            };
+            queue.push(message);
+        });
+    });
+    this._queue = queue;
 }
 
 /**
@@ -941,6 +2903,7 @@ _processQueue()
     {
         return;
     }
+    this._coalesceQueue();
     for (var i = 0; i < this._queue.length; ++i)
     {
         if (debug.enabled)
@@ -948,6 +2911,8 @@ _processQueue()
             debug(`Sending message from queue : ${JSON.stringify(this._queue[i])}`);
         }
         this._connection.send(JSON.stringify(this._queue[i]));
+        ++this._stats.commands.sent;
+        this._startCommandTimer(this._queue[i].i);
     }
     this._queue = [];
 }
@@ -956,6 +2921,8 @@ _createConnection(delay)
 {
     // try to connect tickerMonitor socket if necessary
     this._connectToTickerMonitor(false);
+    // restart pairs refresh if client was disconnected
+    this._schedulePairsRefresh();
     let self = this;
     let counter = ++this._connectionCounter;
     let connection = new WebSocketConnection(this._getUri(), this._connectionOptions);
@@ -966,16 +2933,21 @@ _createConnection(delay)
     connection.on('disconnected', function(data){
         if (debug.enabled)
         {
-            debug("Connection #%d disconnected (will try to reconnect in %dms) : code = %d, reason = '%s'", counter, self._retryDelay, data.code, data.reason);
+            debug("Connection #%d disconnected : code = %d, reason = '%s'", counter, data.code, data.reason);
+        }
+        if (null !== self._recorder)
+        {
+            self._recorder.recordEvent('rpc', 'disconnected', {connectionId:counter,code:data.code,reason:data.reason});
         }
         self.emit('disconnected', {connectionId:counter,code:data.code,reason:data.reason});
+        self._processConnectionLoss();
         // reset session information
         if (self._isEphemeral)
         {
             self._sessionId = null;
             self._readyTimestamp = null;
         }
-        self._createConnection.call(self, self._retryDelay);
+        self._reconnectAfterDisconnection();
     });
 
     /*
@@ -987,7 +2959,7 @@ _createConnection(delay)
         {
             if (debug.enabled)
             {
-                debug("Connection #%d failed (will try to reconnect in %dms) : attempts = %d, error = '%s'", counter, self._retryDelay, err.attempts, JSON.stringify(err.error));
+                debug("Connection #%d failed (will try to reconnect) : attempts = %d, error = '%s'", counter, err.attempts, JSON.stringify(err.error));
             }
             self.emit('connectionError', {connectionId:counter,attempts:err.attempts,error:err.error});
             return;
@@ -997,7 +2969,23 @@ _createConnection(delay)
         {
             debug("Connection #%d failed (no more retry left) : attempts = %d, error = '%s'", counter, err.attempts, JSON.stringify(err.error));
         }
-        self.emit('terminated', {connectionId:counter,attempts:err.attempts,error:err.error});
+        self._processTermination(counter, err);
+    });
+
+    /*
+     Gateway rejected credentials (connection retry will be automatic if possible)
+     */
+    connection.on('authError', function(err){
+        if (debug.enabled)
+        {
+            debug("Connection #%d was rejected by gateway (%s) : attempts = %d, error = '%s'", counter, err.retry ? 'will try to reconnect' : 'no more retry left', err.attempts, JSON.stringify(err.error));
+        }
+        self.emit('authError', {connectionId:counter,attempts:err.attempts,error:err.error});
+        // no more retry
+        if (!err.retry)
+        {
+            self._processTermination(counter, err);
+        }
     });
 
     /*
@@ -1009,10 +2997,18 @@ _createConnection(delay)
             debug("Connection #%d connected", counter);
         }
         self._connectedTimestamp = new Date().getTime();
+        if (null !== self._recorder)
+        {
+            self._recorder.recordEvent('rpc', 'connected', {connectionId:counter});
+        }
         self.emit('connected', {connectionId:counter});
     });
 
     connection.on('message', function(message){
+        if (null !== self._recorder)
+        {
+            self._recorder.recordMessage('rpc', message);
+        }
         self._processMessage.call(self, message);
     });
 
@@ -1042,6 +3038,57 @@ _createConnection(delay)
     }
 }
 
+/**
+ * Called when connection was disconnected by gateway
+ */
+_reconnectAfterDisconnection()
+{
+    // delay will keep increasing until connection has been stable for long enough (see options.retryResetAfter)
+    let delay = this._backoff.next();
+    if (debug.enabled)
+    {
+        debug("Will try to reconnect in %dms", delay);
+    }
+    this._createConnection(delay);
+}
+
+/**
+ * Called when connection failed and no retry is left
+ *
+ * @param {integer} counter connection counter
+ * @param {object} err {attempts:integer,error:object}
+ */
+_processTermination(counter, err)
+{
+    // commands would never be sent since connection won't be retried until client calls reconnect
+    this._failPendingCommands('connection was terminated');
+    this.emit('terminated', {connectionId:counter,attempts:err.attempts,error:err.error});
+}
+
+/**
+ * Fails all pending commands (batched, queued & sent) using a CommandError (code = disconnected)
+ *
+ * @param {string} reason error message
+ */
+_failPendingCommands(reason)
+{
+    if (null !== this._batchTimer)
+    {
+        clearTimeout(this._batchTimer);
+        this._batchTimer = null;
+    }
+    let batches = this._batches;
+    this._batches = [];
+    batches.forEach((batch) => {
+        this._failBatch(batch, new CommandError(batch.command, CommandError.DISCONNECTED, reason));
+    });
+    this._queue = [];
+    Object.keys(this._callbacks).forEach((id) => {
+        let entry = this._callbacks[id];
+        this._failCommand(id, new CommandError(entry.message.m, CommandError.DISCONNECTED, reason));
+    });
+}
+
 _connectToTickerMonitor(force, delay)
 {
     if (!this._tickerMonitor.enabled)
@@ -1053,32 +3100,68 @@ _connectToTickerMonitor(force, delay)
         return;
     }
     let self = this;
-    let connection = new WebSocketConnection(this._tickerMonitor.uri);
+    let counter = ++this._tickerMonitor.connectionCounter;
+    let connection = new WebSocketConnection(this._getTickerMonitorUri(), this._tickerMonitor.connectionOptions);
 
     /*
      WS connection has been disconnected by gateway
      */
     connection.on('disconnected', function(data){
-        if (debug.enabled)
-        {
-            debug("TickerMonitor connection disconnected (will try to reconnect in %dms) : code = %d, reason = '%s'", self._retryDelay, data.code, data.reason);
-        }
+        // initial state won't be fully received
+        self._alertTracker.cancelSync();
+        self.emit('tickerMonitorDisconnected', {connectionId:counter,code:data.code,reason:data.reason});
         // if we got code 4404, it means that tickerMonitor service is not enabled (don't try to reconnect)
         if (4404 == data.code)
         {
+            if (debug.enabled)
+            {
+                debug("TickerMonitor connection #%d disconnected (service is not enabled on gateway)", counter);
+            }
             return;
         }
-        self._connectToTickerMonitor.call(self, true, self._retryDelay);
+        let delay = self._tickerMonitor.backoff.next();
+        if (debug.enabled)
+        {
+            debug("TickerMonitor connection #%d disconnected (will try to reconnect in %dms) : code = %d, reason = '%s'", counter, delay, data.code, data.reason);
+        }
+        self._connectToTickerMonitor.call(self, true, delay);
     });
 
     /*
      A connection error occured (connection retry will be automatic if possible)
      */
     connection.on('connectionError', function(err){
-        // retry should always be possible
+        // retry is possible
+        if (err.retry)
+        {
+            if (debug.enabled)
+            {
+                debug("TickerMonitor connection #%d failed (will try to reconnect) : attempts = %d, error = '%s'", counter, err.attempts, JSON.stringify(err.error));
+            }
+            self.emit('tickerMonitorConnectionError', {connectionId:counter,attempts:err.attempts,error:err.error});
+            return;
+        }
+        // no more retry
+        if (debug.enabled)
+        {
+            debug("TickerMonitor connection #%d failed (no more retry left) : attempts = %d, error = '%s'", counter, err.attempts, JSON.stringify(err.error));
+        }
+        self._processTickerMonitorTermination.call(self, connection, counter, err);
+    });
+
+    /*
+     Gateway rejected credentials (connection retry will be automatic if possible)
+     */
+    connection.on('authError', function(err){
         if (debug.enabled)
         {
-            debug("TickerMonitor connection failed (will try to reconnect in %dms) : attempts = %d, error = '%s'", self._retryDelay, err.attempts, JSON.stringify(err.error));
+            debug("TickerMonitor connection #%d was rejected by gateway (%s) : attempts = %d, error = '%s'", counter, err.retry ? 'will try to reconnect' : 'no more retry left', err.attempts, JSON.stringify(err.error));
+        }
+        self.emit('tickerMonitorAuthError', {connectionId:counter,attempts:err.attempts,error:err.error});
+        // no more retry
+        if (!err.retry)
+        {
+            self._processTickerMonitorTermination.call(self, connection, counter, err);
         }
     });
 
@@ -1088,11 +3171,21 @@ _connectToTickerMonitor(force, delay)
     connection.on('connected', function(){
         if (debug.enabled)
         {
-            debug("TickerMonitor connection connected");
+            debug("TickerMonitor connection #%d connected", counter);
+        }
+        // alerts which are not part of initial state were removed
+        if (self._tickerMonitor.getInitialState)
+        {
+            self._alertTracker.startSync();
         }
+        self.emit('tickerMonitorConnected', {connectionId:counter});
     });
 
     connection.on('message', function(message){
+        if (null !== self._recorder)
+        {
+            self._recorder.recordMessage('tickerMonitor', message);
+        }
         self._processTickerMonitorMessage.call(self, message);
     });
 
@@ -1107,8 +3200,8 @@ _connectToTickerMonitor(force, delay)
         else
         {
             setTimeout(function(){
-                // disconnection probably requested by client
-                if (null === self._tickerMonitor.connection)
+                // disconnection probably requested by client or connection was replaced
+                if (connection !== self._tickerMonitor.connection)
                 {
                     return;
                 }
@@ -1122,13 +3215,68 @@ _connectToTickerMonitor(force, delay)
     }
 }
 
+/**
+ * Called when ticker monitor connection failed and no retry is left
+ *
+ * @param {object} connection WebSocketConnection object
+ * @param {integer} counter connection counter
+ * @param {object} err {attempts:integer,error:object}
+ */
+_processTickerMonitorTermination(connection, counter, err)
+{
+    // connection was replaced in the meantime
+    if (connection === this._tickerMonitor.connection)
+    {
+        // ensure a new connection will be created upon reconnect
+        this._tickerMonitor.connection = null;
+    }
+    this.emit('tickerMonitorTerminated', {connectionId:counter,attempts:err.attempts,error:err.error});
+}
+
+/**
+ * Closes ticker monitor connection
+ */
+_disconnectFromTickerMonitor()
+{
+    if (null === this._tickerMonitor.connection)
+    {
+        return;
+    }
+    if (debug.enabled)
+    {
+        debug("Ticker Monitor socket will be disconnected");
+    }
+    let connection = this._tickerMonitor.connection;
+    this._tickerMonitor.connection = null;
+    connection.disconnect();
+    this._alertTracker.cancelSync();
+}
+
+_getTickerMonitorUri()
+{
+    // always ask for both types of alerts so that alert tracker is notified when an alert is deactivated
+    let params = Object.assign({}, this._tickerMonitor.queryParams, {
+        types:'active,inactive',
+        emit:this._tickerMonitor.getInitialState
+    });
+    return this._tickerMonitor.uri + '?' + querystring.stringify(params);
+}
+
 /*
  * Can be called to disconnect. Client won't reconnect automatically unless methods (connect,execute) are called again
  */
 disconnect()
 {
+    // stop refreshing pairs (refresh will restart upon reconnection)
+    if (null !== this._pairsCache.timer)
+    {
+        clearTimeout(this._pairsCache.timer);
+        this._pairsCache.timer = null;
+    }
     if (null === this._connection && null === this._tickerMonitor.connection)
     {
+        // batched commands might be waiting for connection to be created
+        this._failPendingCommands('client was disconnected');
         return;
     }
     // close RPC connection
@@ -1143,16 +3291,27 @@ disconnect()
         connection.disconnect();
     }
     // close tickerMonitor connection
-    if (null !== this._tickerMonitor.connection)
+    this._disconnectFromTickerMonitor();
+    // close record file
+    if (null !== this._recorder)
     {
-        if (debug.enabled)
-        {
-            debug("Ticker Monitor socket will be disconnected");
-        }
-        let connection = this._tickerMonitor.connection;
-        this._tickerMonitor.connection = null;
-        connection.disconnect();
+        this._recorder.close();
     }
+    // discard klines being built
+    if (null !== this._klineBuilder)
+    {
+        this._klineBuilder.reset();
+    }
+    if (null !== this._tradeTracker)
+    {
+        this._tradeTracker.processConnectionLoss();
+    }
+    if (null !== this._watchdog)
+    {
+        this._watchdog.stop();
+    }
+    // fail all pending commands (including the ones which were not sent yet)
+    this._failPendingCommands('client was disconnected');
 }
 
 /**
@@ -1160,15 +3319,40 @@ disconnect()
  */
 _processTickerMonitorMessage(message)
 {
+    ++this._stats.tickerMonitorMessages;
+    this._stats.lastMessageTimestamp = Date.now();
     try
     {
         let data = JSON.parse(message);
+        // ignore messages without alert
+        if (null === data || 'object' != typeof data || null === data.d || 'object' != typeof data.d ||
+            null === data.d.status || 'object' != typeof data.d.status)
+        {
+            if (debug.enabled)
+            {
+                debug(`Received invalid TickerMonitor message : ${message}`);
+            }
+            return;
+        }
         if (debug.enabled)
         {
             let obj = {id:data.d.id, name:data.d.name,status:data.d.status.value,timestamp:data.d.status.timestamp};
             debug(`Received TickerMonitor message : ${JSON.stringify(obj)}`);
         }
-        this.emit(data.n, data.d);
+        if ('tickerMonitor' != data.n)
+        {
+            this.emit(data.n, data.d);
+            return;
+        }
+        if (null !== this._alertTracker)
+        {
+            this._alertTracker.processAlert(data.d);
+        }
+        // only emit types of alerts requested by user
+        if (this._tickerMonitor.types.includes(data.d.status.value))
+        {
+            this.emit(data.n, data.d);
+        }
     }
     // ignore non json messages
     catch (e)
@@ -1186,6 +3370,8 @@ _processTickerMonitorMessage(message)
  */
 _processMessage(message)
 {
+    ++this._stats.messages;
+    this._stats.lastMessageTimestamp = Date.now();
     let data;
     try
     {
@@ -1208,10 +3394,26 @@ _processMessage(message)
             debug(`Received 'hello' message : sid = '${data.hello.sid}'`);
         }
         this._sessionId = data.hello.sid;
+        // trades received in a new session should still be compared with previous ones (to detect trades missed while session was being re-created)
+        if (data.hello.isNew && null !== this._tradeTracker)
+        {
+            this._tradeTracker.processConnectionLoss();
+        }
         if (null === this._readyTimestamp || data.hello.isNew)
         {
             this._readyTimestamp = new Date().getTime();
+            ++this._readyCounter;
             this.emit('ready', {sessionId:data.hello.sid,isNew:data.hello.isNew});
+            // previous subscriptions were lost
+            if (data.hello.isNew && this._readyCounter > 1 && this._autoResubscribe)
+            {
+                this._resubscribe();
+            }
+        }
+        // notifications are expected from now on
+        if (null !== this._watchdog)
+        {
+            this._watchdog.start();
         }
         this._processQueue();
         return;
@@ -1251,15 +3453,216 @@ _processMessage(message)
     }
 }
 
+/**
+ * Restores all subscriptions after gateway created a new session
+ */
+_resubscribe()
+{
+    if (this._subscriptionTracker.isEmpty())
+    {
+        return;
+    }
+    let sessionId = this._sessionId;
+    let subscriptions = this._subscriptionTracker.getSubscriptions();
+    let errors = [];
+    let list = this._subscriptionTracker.getCommands().map((obj) => {
+        if (debug.enabled)
+        {
+            debug(`Restoring subscriptions : ${JSON.stringify(obj)}`);
+        }
+        return this.execute(obj.command, obj.params).catch((e) => {
+            errors.push({command:obj.command,params:obj.params,error:e});
+        });
+    });
+    Promise.all(list).then(() => {
+        this.emit('resubscribed', {sessionId:sessionId,subscriptions:subscriptions,errors:errors});
+    });
+}
+
 _processNotificationMessage(data)
+{
+    this._updateNotificationStats(data.n, data.d);
+    if (null !== this._watchdog)
+    {
+        this._watchdog.processNotification(data.n, data.d);
+    }
+    // notification emitted to client (raw notification is still used internally)
+    let evt = data.d;
+    if (null !== this._normalizer)
+    {
+        try
+        {
+            evt = this._normalizer.normalize(data.n, data.d);
+        }
+        catch (e)
+        {
+            if (debug.enabled)
+            {
+                debug(`Received invalid '${data.n}' notification : ${e.message}`);
+            }
+            this.emit('invalidNotification', {notification:data.n, data:data.d, error:e});
+            return;
+        }
+    }
+    if (null !== this._tradeTracker && 'trades' == data.n)
+    {
+        let raw = data.d;
+        data.d = this._tradeTracker.processTrades(raw);
+        // all trades were duplicates
+        if (null === data.d)
+        {
+            return;
+        }
+        // some trades were duplicates
+        if (data.d !== raw)
+        {
+            if (evt === raw)
+            {
+                evt = data.d;
+            }
+            else
+            {
+                let kept = new Set(data.d.data);
+                evt = Object.assign({}, evt, {data:evt.data.filter((trade, index) => kept.has(raw.data[index]))});
+            }
+        }
+    }
+    this._emitNotification(data.n, evt);
+    if (null !== this._klineBuilder && 'trades' == data.n)
+    {
+        this._klineBuilder.processTrades(data.d);
+    }
+    if (null !== this._orderBookManager)
+    {
+        switch (data.n)
+        {
+            case 'orderBook':
+                this._orderBookManager.processOrderBook(data.d);
+                break;
+            case 'orderBookUpdate':
+                this._orderBookManager.processOrderBookUpdate(data.d);
+                break;
+        }
+    }
+}
+
+_updateNotificationStats(type, evt)
+{
+    if (null === evt || 'object' != typeof evt)
+    {
+        return;
+    }
+    let exchange = evt.exchange;
+    let pair = evt.pair;
+    if (undefined === this._stats.notifications[type])
+    {
+        this._stats.notifications[type] = {};
+    }
+    if (undefined === this._stats.notifications[type][exchange])
+    {
+        this._stats.notifications[type][exchange] = {};
+    }
+    if (undefined === this._stats.notifications[type][exchange][pair])
+    {
+        this._stats.notifications[type][exchange][pair] = 0;
+    }
+    ++this._stats.notifications[type][exchange][pair];
+}
+
+/**
+ * Emits a notification, either as an individual event or using global 'notification' event
+ *
+ * @param {string} name notification name (ticker, orderBook ...)
+ * @param {object} evt event data
+ */
+_emitNotification(name, evt)
 {
     if (!this._globalListener)
     {
-        this.emit(data.n, data.d);
+        this.emit(name, evt);
+    }
+    else
+    {
+        evt.notification = name;
+        this.emit('notification', evt);
+    }
+    if (0 != this._scopedListeners.count)
+    {
+        this._emitScopedNotification(name, evt);
+    }
+}
+
+/**
+ * Emits a notification using scoped event names (ie: ticker:binance:USDT-BTC)
+ *
+ * @param {string} name notification name (ticker, orderBook ...)
+ * @param {object} evt event data
+ */
+_emitScopedNotification(name, evt)
+{
+    let parts = [name, evt.exchange, evt.pair];
+    if ('kline' == name)
+    {
+        parts.push(evt.interval);
+    }
+    this.emit(parts.join(':'), evt);
+    _.forEach(this._scopedListeners.patterns, (pattern, eventName) => {
+        if (pattern.parts.length != parts.length)
+        {
+            return;
+        }
+        for (let i = 0; i < parts.length; ++i)
+        {
+            if ('*' != pattern.parts[i] && pattern.parts[i] != parts[i])
+            {
+                return;
+            }
+        }
+        this.emit(eventName, evt);
+    });
+}
+
+/**
+ * Ensures listeners used to keep track of scoped events are registered
+ */
+_watchScopedListeners()
+{
+    _.forEach(this._scopedListeners.hooks, (listener, eventName) => {
+        if (!this.listeners(eventName).includes(listener))
+        {
+            this.on(eventName, listener);
+        }
+    });
+}
+
+/**
+ * Called each time a listener is added or removed
+ *
+ * @param {string} eventName
+ * @param {integer} increment 1 if a listener was added, -1 if a listener was removed
+ */
+_updateScopedListeners(eventName, increment)
+{
+    if ('string' != typeof eventName || -1 == eventName.indexOf(':'))
+    {
+        return;
+    }
+    this._scopedListeners.count += increment;
+    if (-1 == eventName.indexOf('*'))
+    {
         return;
     }
-    data.d.notification = data.n;
-    this.emit('notification', data.d);
+    let pattern = this._scopedListeners.patterns[eventName];
+    if (undefined === pattern)
+    {
+        pattern = {parts:eventName.split(':'),count:0};
+        this._scopedListeners.patterns[eventName] = pattern;
+    }
+    pattern.count += increment;
+    if (0 == pattern.count)
+    {
+        delete this._scopedListeners.patterns[eventName];
+    }
 }
 
 _processResultMessage(data)
@@ -1269,11 +3672,15 @@ _processResultMessage(data)
     {
         return;
     }
-    let cb = this._callbacks[data.i];
+    let entry = this._callbacks[data.i];
     delete this._callbacks[data.i];
+    if (null !== entry.timer)
+    {
+        clearTimeout(entry.timer);
+    }
     try
     {
-        cb(data.r, null);
+        entry.cb(data.r, null);
     }
     catch (e)
     {
@@ -1289,11 +3696,15 @@ _processErrorMessage(data)
     {
         return;
     }
-    let cb = this._callbacks[data.i];
+    let entry = this._callbacks[data.i];
     delete this._callbacks[data.i];
+    if (null !== entry.timer)
+    {
+        clearTimeout(entry.timer);
+    }
     try
     {
-        cb(null, data.e);
+        entry.cb(null, data.e);
     }
     catch (e)
     {
@@ -0,0 +1,32 @@
+"use strict";
+
+/*
+   Error used when a command failed on client side (ie: no reply was received from gateway)
+
+   - command : name of the command which failed (ex: subscribeToTickers)
+   - code : one of the following
+     - timeout : no reply was received before timeout
+     - disconnected : connection was lost or client disconnected before a reply was received
+     - unsupported : command cannot be sent (ie: when replaying a recorded file)
+     - queueFull : command could not be queued because queue was full (see options.maxQueueSize)
+ */
+
+class CommandError extends Error
+{
+
+constructor(command, code, message)
+{
+    super(`Command '${command}' failed : ${message}`);
+    this.name = 'CommandError';
+    this.command = command;
+    this.code = code;
+}
+
+}
+
+CommandError.TIMEOUT = 'timeout';
+CommandError.DISCONNECTED = 'disconnected';
+CommandError.UNSUPPORTED = 'unsupported';
+CommandError.QUEUE_FULL = 'queueFull';
+
+module.exports = CommandError;
@@ -0,0 +1,226 @@
+"use strict";
+const EventEmitter = require('events');
+const debug = require('debug')('CEWSC:ConsolidatedOrderBook');
+const OrderBookManager = require('./order-book-manager');
+
+/*
+   Consolidates order books of a single pair across multiple exchanges
+
+   Order books are built from 'orderBook' snapshots & 'orderBookUpdate' diffs received by client
+
+   Following events can be emitted
+
+   1) bestPrices, each time best bid or best ask changed
+
+   Data will be an object {pair:string,bid:object,ask:object}
+
+   - bid : {exchange:string,rate:float,quantity:float} (null if no exchange has buy entries)
+   - ask : {exchange:string,rate:float,quantity:float} (null if no exchange has sell entries)
+
+   2) orderBook, each time one of the order books changed (only emitted if there are listeners)
+
+   Data will be an object {pair:string,data:{buy:array,sell:array}}
+
+   - buy : list of {exchange:string,rate:float,quantity:float} sorted by descending rate
+   - sell : list of {exchange:string,rate:float,quantity:float} sorted by ascending rate
+
+   3) desync, when order book of an exchange was dropped because a gap was detected (it won't be part of consolidated order book until it is resynced)
+
+   Data will be an object {exchange:string,pair:string,expectedCseq:integer,cseq:integer}
+
+ */
+
+class ConsolidatedOrderBook extends EventEmitter
+{
+
+/**
+ * @param {object} client Client instance
+ * @param {string} pair pair to consolidate (ex: USDT-BTC)
+ * @param {string[]} exchanges list of exchanges
+ */
+constructor(client, pair, exchanges)
+{
+    super();
+    if ('string' != typeof pair || '' == pair)
+    {
+        throw new Error("Argument 'pair' should be a non-empty string");
+    }
+    if (!Array.isArray(exchanges) || 0 == exchanges.length)
+    {
+        throw new Error("Argument 'exchanges' should be a non-empty array");
+    }
+    this._client = client;
+    this._pair = pair;
+    this._exchanges = exchanges.slice();
+    // exchange => {buy:array,sell:array}
+    this._orderBooks = {};
+    this._bestPrices = {bid:null, ask:null};
+    // whole order books are needed to compute consolidated order book
+    this._orderBookManager = new OrderBookManager({includeOrderBook:true});
+    this._orderBookManager.on('orderBook', (evt) => {
+        this._orderBooks[evt.exchange] = evt.data;
+        this._update();
+    });
+    this._orderBookManager.on('desync', (evt) => {
+        delete this._orderBooks[evt.exchange];
+        this.emit('desync', evt);
+        // client will take care of resync if it is managing order books itself
+        if (!this._client.isManagingOrderBooks())
+        {
+            if (debug.enabled)
+            {
+                debug("Order book '%s|%s' needs to be resynced : expected cseq = %d, cseq = %d", evt.exchange, evt.pair, evt.expectedCseq, evt.cseq);
+            }
+            this._client.resyncOrderBooks(evt.exchange, [evt.pair]);
+        }
+        this._update();
+    });
+    // event name => listener
+    this._listeners = {};
+    // exchanges for which subscription was done by this object (order books which were not subscribed before start)
+    this._ownedExchanges = [];
+    this._started = false;
+}
+
+/**
+ * Subscribes to order books on all exchanges
+ *
+ * Order books will be subscribed again even if they were already subscribed, in order to receive a full order book
+ *
+ * @return {Promise} resolved once all subscriptions have been done
+ */
+start()
+{
+    if (!this._started)
+    {
+        this._started = true;
+        let subscriptions = this._client.getSubscriptions();
+        this._ownedExchanges = this._exchanges.filter((exchange) => {
+            return undefined === subscriptions[exchange] || !subscriptions[exchange].orderBooks.includes(this._pair);
+        });
+        this._exchanges.forEach((exchange) => {
+            let orderBookEvent = `orderBook:${exchange}:${this._pair}`;
+            this._listeners[orderBookEvent] = (evt) => {
+                this._orderBookManager.processOrderBook(evt);
+            };
+            let orderBookUpdateEvent = `orderBookUpdate:${exchange}:${this._pair}`;
+            this._listeners[orderBookUpdateEvent] = (evt) => {
+                this._orderBookManager.processOrderBookUpdate(evt);
+            };
+        });
+        Object.keys(this._listeners).forEach((eventName) => {
+            this._client.on(eventName, this._listeners[eventName]);
+        });
+    }
+    return Promise.all(this._exchanges.map((exchange) => {
+        return this._client.subscribeToOrderBooks(exchange, [this._pair]);
+    }));
+}
+
+/**
+ * Discards consolidated order book and unsubscribes from order books which were not subscribed before calling start
+ *
+ * @return {Promise}
+ */
+stop()
+{
+    if (!this._started)
+    {
+        return Promise.resolve();
+    }
+    this._started = false;
+    Object.keys(this._listeners).forEach((eventName) => {
+        this._client.removeListener(eventName, this._listeners[eventName]);
+    });
+    this._listeners = {};
+    this._orderBookManager.remove();
+    this._orderBooks = {};
+    this._bestPrices = {bid:null, ask:null};
+    let exchanges = this._ownedExchanges;
+    this._ownedExchanges = [];
+    return Promise.all(exchanges.map((exchange) => {
+        return this._client.unsubscribeFromOrderBooks(exchange, [this._pair]);
+    }));
+}
+
+/**
+ * Retrieves best bid & best ask across exchanges
+ *
+ * @return {object} {pair:string,bid:object,ask:object}
+ */
+getBestPrices()
+{
+    return {pair:this._pair, bid:this._bestPrices.bid, ask:this._bestPrices.ask};
+}
+
+/**
+ * Retrieves consolidated order book
+ *
+ * @param {integer} limit maximum number of entries to return for each side (optional)
+ * @return {object} {pair:string,data:{buy:array,sell:array}}
+ */
+getOrderBook(limit)
+{
+    let buy = [];
+    let sell = [];
+    Object.keys(this._orderBooks).sort().forEach((exchange) => {
+        let orderBook = this._orderBooks[exchange];
+        orderBook.buy.forEach((e) => {
+            buy.push({exchange:exchange,rate:e.rate,quantity:e.quantity});
+        });
+        orderBook.sell.forEach((e) => {
+            sell.push({exchange:exchange,rate:e.rate,quantity:e.quantity});
+        });
+    });
+    // sort is stable so entries with same rate will remain sorted by exchange
+    buy.sort((a, b) => b.rate - a.rate);
+    sell.sort((a, b) => a.rate - b.rate);
+    if (undefined !== limit)
+    {
+        buy = buy.slice(0, limit);
+        sell = sell.slice(0, limit);
+    }
+    return {pair:this._pair, data:{buy:buy,sell:sell}};
+}
+
+/**
+ * Called each time an order book changed
+ */
+_update()
+{
+    let bid = null;
+    let ask = null;
+    Object.keys(this._orderBooks).sort().forEach((exchange) => {
+        let orderBook = this._orderBooks[exchange];
+        if (0 != orderBook.buy.length && (null === bid || orderBook.buy[0].rate > bid.rate))
+        {
+            bid = {exchange:exchange,rate:orderBook.buy[0].rate,quantity:orderBook.buy[0].quantity};
+        }
+        if (0 != orderBook.sell.length && (null === ask || orderBook.sell[0].rate < ask.rate))
+        {
+            ask = {exchange:exchange,rate:orderBook.sell[0].rate,quantity:orderBook.sell[0].quantity};
+        }
+    });
+    if (!this._isSameEntry(bid, this._bestPrices.bid) || !this._isSameEntry(ask, this._bestPrices.ask))
+    {
+        this._bestPrices = {bid:bid, ask:ask};
+        this.emit('bestPrices', this.getBestPrices());
+    }
+    if (0 != this.listenerCount('orderBook'))
+    {
+        this.emit('orderBook', this.getOrderBook());
+    }
+}
+
+_isSameEntry(a, b)
+{
+    if (null === a || null === b)
+    {
+        return a === b;
+    }
+    return a.exchange == b.exchange && a.rate == b.rate && a.quantity == b.quantity;
+}
+
+}
+
+module.exports = ConsolidatedOrderBook;
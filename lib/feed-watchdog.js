@@ -0,0 +1,237 @@
+"use strict";
+const EventEmitter = require('events');
+const debug = require('debug')('CEWSC:FeedWatchdog');
+
+// how long should we wait for a notification before considering a subscription as stale
+const THRESHOLD = 60 * 1000;
+
+// how often should subscriptions be checked
+const CHECK_INTERVAL = 5 * 1000;
+
+const TYPES = ['tickers', 'orderBooks', 'trades', 'klines'];
+
+// notification => subscription type
+const NOTIFICATION_TYPES = {
+    ticker:'tickers',
+    orderBook:'orderBooks',
+    orderBookUpdate:'orderBooks',
+    trades:'trades',
+    kline:'klines'
+};
+
+/*
+   Keeps track of the last notification received for each subscription (exchange/pair/type) and detects subscriptions
+   which did not receive any notification for too long
+
+   Following events can be emitted
+
+   1) stale, when no notification was received for a subscription since more than the threshold defined for its type
+
+   Event will be emitted only once, until a new notification is received or 'touch' is called
+
+   Data will be an object {exchange:string,pair:string,type:string,interval:string,lastTimestamp:integer,elapsed:integer}
+
+   - type : subscription type (tickers, orderBooks, trades, klines)
+   - interval : kline interval (only defined for klines)
+   - lastTimestamp : timestamp (in ms) of last notification (null if no notification was received since subscription)
+   - elapsed : how long (in ms) since last notification (or since subscription / start)
+
+ */
+
+class FeedWatchdog extends EventEmitter
+{
+
+/**
+ * @param {object} options {threshold:integer|object,checkInterval:integer} (optional)
+ *
+ * - threshold : how long (in ms) to wait for a notification before emitting 'stale' event (default = 60000). Can also be
+ *               an object {tickers:integer,orderBooks:integer,trades:integer,klines:integer} to use a different threshold
+ *               per type (types which are not defined will not be monitored)
+ * - checkInterval : how often (in ms) subscriptions should be checked (default = 5000)
+ */
+constructor(options)
+{
+    super();
+    let opt = Object.assign({}, options);
+    // type => threshold
+    this._thresholds = {};
+    if (undefined === opt.threshold || 'object' != typeof opt.threshold)
+    {
+        let threshold = undefined === opt.threshold ? THRESHOLD : opt.threshold;
+        TYPES.forEach((type) => {
+            this._thresholds[type] = threshold;
+        });
+    }
+    else
+    {
+        TYPES.forEach((type) => {
+            if (undefined !== opt.threshold[type] && 0 != opt.threshold[type])
+            {
+                this._thresholds[type] = opt.threshold[type];
+            }
+        });
+    }
+    this._checkInterval = undefined === opt.checkInterval ? CHECK_INTERVAL : opt.checkInterval;
+    // type|exchange|pair|interval => {exchange:string,pair:string,type:string,interval:string,since:integer,lastTimestamp:integer,stale:boolean}
+    this._entries = {};
+    this._timer = null;
+}
+
+/**
+ * Updates the list of monitored subscriptions
+ *
+ * @param {object} subscriptions {exchange:{tickers:array,orderBooks:array,trades:array,klines:{interval:array}}}
+ */
+setSubscriptions(subscriptions)
+{
+    let now = Date.now();
+    let entries = {};
+    let add = (exchange, pair, type, interval) => {
+        if (undefined === this._thresholds[type])
+        {
+            return;
+        }
+        let key = this._getKey(type, exchange, pair, interval);
+        let entry = this._entries[key];
+        if (undefined === entry)
+        {
+            entry = {exchange:exchange, pair:pair, type:type, interval:interval, since:now, lastTimestamp:null, stale:false};
+        }
+        entries[key] = entry;
+    };
+    Object.keys(subscriptions).forEach((exchange) => {
+        let obj = subscriptions[exchange];
+        ['tickers', 'orderBooks', 'trades'].forEach((type) => {
+            obj[type].forEach((pair) => {
+                add(exchange, pair, type, undefined);
+            });
+        });
+        Object.keys(obj.klines).forEach((interval) => {
+            obj.klines[interval].forEach((pair) => {
+                add(exchange, pair, 'klines', interval);
+            });
+        });
+    });
+    this._entries = entries;
+}
+
+/**
+ * Process a notification received from gateway
+ *
+ * @param {string} notification notification type (ticker, orderBook, orderBookUpdate, trades, kline)
+ * @param {object} evt notification data
+ */
+processNotification(notification, evt)
+{
+    let type = NOTIFICATION_TYPES[notification];
+    if (undefined === type || null === evt || 'object' != typeof evt)
+    {
+        return;
+    }
+    let entry = this._entries[this._getKey(type, evt.exchange, evt.pair, 'klines' == type ? evt.interval : undefined)];
+    if (undefined === entry)
+    {
+        return;
+    }
+    entry.lastTimestamp = Date.now();
+    entry.stale = false;
+}
+
+/**
+ * Restarts the delay of a subscription (ie: after subscription was restored)
+ *
+ * @param {string} type subscription type (tickers, orderBooks, trades, klines)
+ * @param {string} exchange exchange identifier
+ * @param {string} pair pair
+ * @param {string} interval kline interval (only for klines)
+ */
+touch(type, exchange, pair, interval)
+{
+    let entry = this._entries[this._getKey(type, exchange, pair, interval)];
+    if (undefined === entry)
+    {
+        return;
+    }
+    entry.since = Date.now();
+    entry.stale = false;
+}
+
+/**
+ * Starts checking subscriptions (delay of all subscriptions will be restarted)
+ */
+start()
+{
+    let now = Date.now();
+    Object.keys(this._entries).forEach((key) => {
+        this._entries[key].since = now;
+        this._entries[key].stale = false;
+    });
+    if (null !== this._timer)
+    {
+        return;
+    }
+    this._timer = setInterval(() => {
+        this.check();
+    }, this._checkInterval);
+}
+
+/**
+ * Stops checking subscriptions (ie: when connection was lost)
+ */
+stop()
+{
+    if (null === this._timer)
+    {
+        return;
+    }
+    clearInterval(this._timer);
+    this._timer = null;
+}
+
+/**
+ * Checks all subscriptions and emits 'stale' for subscriptions which did not receive any notification for too long
+ */
+check()
+{
+    let now = Date.now();
+    let list = [];
+    Object.keys(this._entries).forEach((key) => {
+        let entry = this._entries[key];
+        if (entry.stale)
+        {
+            return;
+        }
+        let reference = entry.since;
+        if (null !== entry.lastTimestamp && entry.lastTimestamp > reference)
+        {
+            reference = entry.lastTimestamp;
+        }
+        let elapsed = now - reference;
+        if (elapsed < this._thresholds[entry.type])
+        {
+            return;
+        }
+        entry.stale = true;
+        list.push({exchange:entry.exchange, pair:entry.pair, type:entry.type, interval:entry.interval, lastTimestamp:entry.lastTimestamp, elapsed:elapsed});
+    });
+    if (debug.enabled && 0 != list.length)
+    {
+        debug(`${list.length} stale subscription(s) detected`);
+    }
+    list.forEach((evt) => {
+        if (undefined === evt.interval)
+        {
+            delete evt.interval;
+        }
+        this.emit('stale', evt);
+    });
+}
+
+_getKey(type, exchange, pair, interval)
+{
+    return `${type}|${exchange}|${pair}|${undefined === interval ? '' : interval}`;
+}
+
+}
+
+module.exports = FeedWatchdog;
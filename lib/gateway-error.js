@@ -0,0 +1,52 @@
+"use strict";
+
+/*
+   Error used to reject promises when gateway returned an error ('e' property) in reply to a command
+
+   - command : name of the command which failed (ex: subscribeToTickers)
+   - data : error payload returned by gateway
+ */
+
+class GatewayError extends Error
+{
+
+constructor(command, data)
+{
+    super(GatewayError._getMessage(command, data));
+    this.name = 'GatewayError';
+    this.command = command;
+    this.data = data;
+}
+
+static _getMessage(command, data)
+{
+    let message;
+    if ('string' == typeof data)
+    {
+        message = data;
+    }
+    else if (null !== data && 'object' == typeof data)
+    {
+        if ('string' == typeof data.message)
+        {
+            message = data.message;
+        }
+        else if ('string' == typeof data.error)
+        {
+            message = data.error;
+        }
+        else
+        {
+            message = JSON.stringify(data);
+        }
+    }
+    else
+    {
+        message = String(data);
+    }
+    return `Command '${command}' failed : ${message}`;
+}
+
+}
+
+module.exports = GatewayError;
@@ -0,0 +1,326 @@
+"use strict";
+const EventEmitter = require('events');
+const debug = require('debug')('CEWSC:KlineBuilder');
+
+// how long should we wait after the end of a kline before closing it (to take late trades into account)
+const CLOSE_DELAY = 1000;
+
+// duration of each unit in seconds
+const UNITS = {
+    m:60,
+    h:3600,
+    d:86400,
+    w:604800
+};
+
+// weeks start on monday (01/01/1970 was a thursday)
+const WEEK_OFFSET = 4 * 86400;
+
+/*
+   Builds klines from 'trades' notifications, for any interval
+
+   Following events can be emitted
+
+   1) kline, each time a kline was updated or closed
+
+   Data will be an object {exchange:string,pair:string,interval:string,source:string,data:object}
+
+   - source : always 'local' (to distinguish built klines from klines emitted by gateway)
+   - data : {timestamp:integer,open:float,high:float,low:float,close:float,volume:float,remainingTime:integer,closed:boolean}
+
+   A kline will be closed once it ended, a new kline will only be started upon receiving a trade (no kline will be emitted for periods without trades)
+ */
+
+class KlineBuilder extends EventEmitter
+{
+
+constructor()
+{
+    super();
+    // exchange|pair => {exchange:string,pair:string,intervals:{interval:{duration:integer,kline:object,timer:object,lastEnd:integer}}}
+    this._builders = {};
+}
+
+/**
+ * Converts an interval to a duration in seconds
+ *
+ * @param {string} interval (ex: 2m, 7m, 3h, 1d, 1w)
+ * @return {integer} duration in seconds
+ */
+static getDuration(interval)
+{
+    let arr = /^([1-9][0-9]*)([mhdw])$/.exec(interval);
+    if (null === arr)
+    {
+        throw new Error(`Unsupported interval '${interval}' (should match [1-9][0-9]*[mhdw])`);
+    }
+    return parseInt(arr[1]) * UNITS[arr[2]];
+}
+
+/**
+ * Starts building klines for a pair & interval
+ *
+ * @param {string} exchange exchange identifier
+ * @param {string} pair pair (ex: USDT-BTC)
+ * @param {string} interval kline interval (ex: 7m)
+ */
+add(exchange, pair, interval)
+{
+    let duration = KlineBuilder.getDuration(interval);
+    let key = this._getKey(exchange, pair);
+    if (undefined === this._builders[key])
+    {
+        this._builders[key] = {exchange:exchange, pair:pair, intervals:{}};
+    }
+    if (undefined !== this._builders[key].intervals[interval])
+    {
+        return;
+    }
+    // lastEnd : end of the last closed kline (trades older than this will be ignored)
+    this._builders[key].intervals[interval] = {duration:duration, kline:null, timer:null, lastEnd:null};
+}
+
+/**
+ * Stops building klines
+ *
+ * @param {string} exchange exchange identifier (optional, if not defined klines will be removed for all exchanges)
+ * @param {string} pair pair (ex: USDT-BTC) (optional, if not defined klines will be removed for all pairs)
+ * @param {string} interval kline interval (optional, if not defined klines will be removed for all intervals)
+ */
+remove(exchange, pair, interval)
+{
+    if (undefined === exchange || undefined === pair)
+    {
+        Object.keys(this._builders).forEach((key) => {
+            let builder = this._builders[key];
+            if (undefined !== exchange && builder.exchange != exchange)
+            {
+                return;
+            }
+            this.remove(builder.exchange, builder.pair, interval);
+        });
+        return;
+    }
+    let key = this._getKey(exchange, pair);
+    let builder = this._builders[key];
+    if (undefined === builder)
+    {
+        return;
+    }
+    Object.keys(builder.intervals).forEach((i) => {
+        if (undefined !== interval && i != interval)
+        {
+            return;
+        }
+        this._clearTimer(builder.intervals[i]);
+        delete builder.intervals[i];
+    });
+    if (0 == Object.keys(builder.intervals).length)
+    {
+        delete this._builders[key];
+    }
+}
+
+/**
+ * Stops building klines for an exchange, except for a list of pairs
+ *
+ * @param {string} exchange exchange identifier
+ * @param {array} pairs list of pairs to keep
+ */
+keep(exchange, pairs)
+{
+    let kept = new Set(pairs);
+    Object.keys(this._builders).forEach((key) => {
+        let builder = this._builders[key];
+        if (builder.exchange != exchange || kept.has(builder.pair))
+        {
+            return;
+        }
+        this.remove(builder.exchange, builder.pair);
+    });
+}
+
+/**
+ * Whether or not klines are being built for a given pair
+ *
+ * @param {string} exchange exchange identifier
+ * @param {string} pair pair (ex: USDT-BTC)
+ * @return {boolean}
+ */
+has(exchange, pair)
+{
+    return undefined !== this._builders[this._getKey(exchange, pair)];
+}
+
+/**
+ * Discards all klines being built (klines will be built again upon receiving new trades)
+ */
+reset()
+{
+    Object.keys(this._builders).forEach((key) => {
+        let builder = this._builders[key];
+        Object.keys(builder.intervals).forEach((interval) => {
+            this._clearTimer(builder.intervals[interval]);
+            builder.intervals[interval].kline = null;
+        });
+    });
+}
+
+/**
+ * Process a 'trades' notification
+ *
+ * @param {object} evt {exchange:string,pair:string,data:array}
+ */
+processTrades(evt)
+{
+    let builder = this._builders[this._getKey(evt.exchange, evt.pair)];
+    if (undefined === builder || !Array.isArray(evt.data) || 0 == evt.data.length)
+    {
+        return;
+    }
+    // ignore invalid entries & sort trades since they are not necessarily sorted
+    let trades = evt.data.filter((trade) => this._isValidTrade(trade)).sort((a, b) => a.timestamp - b.timestamp);
+    Object.keys(builder.intervals).forEach((interval) => {
+        let state = builder.intervals[interval];
+        let updated = false;
+        trades.forEach((trade) => {
+            if (null !== state.kline && trade.timestamp >= state.kline.end)
+            {
+                this._closeKline(builder, interval, state);
+                state.kline = null;
+            }
+            if (null === state.kline)
+            {
+                // trade belongs to a kline which was already closed
+                if (null !== state.lastEnd && trade.timestamp < state.lastEnd)
+                {
+                    return;
+                }
+                let start = this._getStart(trade.timestamp, interval, state.duration);
+                state.kline = {start:start, end:start + state.duration, open:trade.rate, high:trade.rate, low:trade.rate, close:trade.rate, volume:0};
+            }
+            // trade is too old
+            else if (trade.timestamp < state.kline.start)
+            {
+                return;
+            }
+            let kline = state.kline;
+            if (trade.rate > kline.high)
+            {
+                kline.high = trade.rate;
+            }
+            if (trade.rate < kline.low)
+            {
+                kline.low = trade.rate;
+            }
+            kline.close = trade.rate;
+            kline.volume += trade.quantity;
+            updated = true;
+        });
+        if (!updated)
+        {
+            return;
+        }
+        this._startTimer(builder, interval, state);
+        this._emitKline(builder, interval, state.kline, false);
+    });
+}
+
+/**
+ * Closes current kline after it ended (a new kline will be started upon receiving a new trade)
+ */
+_startTimer(builder, interval, state)
+{
+    this._clearTimer(state);
+    let delay = state.kline.end * 1000 - Date.now() + CLOSE_DELAY;
+    if (delay < 0)
+    {
+        delay = 0;
+    }
+    state.timer = setTimeout(() => {
+        state.timer = null;
+        this._closeKline(builder, interval, state);
+        state.kline = null;
+    }, delay);
+}
+
+_clearTimer(state)
+{
+    if (null !== state.timer)
+    {
+        clearTimeout(state.timer);
+        state.timer = null;
+    }
+}
+
+_closeKline(builder, interval, state)
+{
+    this._clearTimer(state);
+    if (debug.enabled)
+    {
+        debug(`Closing kline for '${builder.exchange}|${builder.pair}|${interval}' : timestamp = ${state.kline.start}`);
+    }
+    state.lastEnd = state.kline.end;
+    this._emitKline(builder, interval, state.kline, true);
+}
+
+_emitKline(builder, interval, kline, closed)
+{
+    let remainingTime = 0;
+    if (!closed)
+    {
+        remainingTime = Math.max(0, Math.floor(kline.end - Date.now() / 1000));
+    }
+    this.emit('kline', {
+        exchange:builder.exchange,
+        pair:builder.pair,
+        interval:interval,
+        source:'local',
+        data:{
+            timestamp:kline.start,
+            open:kline.open,
+            high:kline.high,
+            low:kline.low,
+            close:kline.close,
+            volume:kline.volume,
+            remainingTime:remainingTime,
+            closed:closed
+        }
+    });
+}
+
+/**
+ * Computes start timestamp of the kline a trade belongs to
+ *
+ * @param {float} timestamp trade timestamp (in seconds)
+ * @param {string} interval kline interval
+ * @param {integer} duration kline duration (in seconds)
+ * @return {integer} timestamp (in seconds)
+ */
+_getStart(timestamp, interval, duration)
+{
+    let offset = 0;
+    if ('w' == interval.substr(-1))
+    {
+        offset = WEEK_OFFSET;
+    }
+    return Math.floor((timestamp - offset) / duration) * duration + offset;
+}
+
+_isValidTrade(trade)
+{
+    if (null === trade || 'object' != typeof trade)
+    {
+        return false;
+    }
+    return Number.isFinite(trade.timestamp) && Number.isFinite(trade.rate) && Number.isFinite(trade.quantity);
+}
+
+_getKey(exchange, pair)
+{
+    return `${exchange}|${pair}`;
+}
+
+}
+
+module.exports = KlineBuilder;
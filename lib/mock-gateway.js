@@ -0,0 +1,546 @@
+"use strict";
+const url = require('url');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const debug = require('debug')('CEWSC:MockGateway');
+const SubscriptionTracker = require('./subscription-tracker');
+
+// close code used by gateway when ticker monitor is not enabled
+const CODE_TICKER_MONITOR_DISABLED = 4404;
+
+// commands accepted by default
+const SUBSCRIPTION_COMMANDS = /^(subscribeTo|unsubscribeFrom|unsubscribeFromAll)(Tickers|OrderBooks|Trades|Klines)$|^resyncOrderBooks$|^unsubscribe$/;
+
+/*
+   Local server implementing the websocket protocol of Crypto Exchange Gateway, to be used for tests & local development
+
+   - sends 'hello' message {sid:string,isNew:boolean} upon connection
+   - replies to commands {m:string,p:object,i:integer} using {i:integer,r:object} or {i:integer,e:object}
+   - serves ticker monitor endpoint on '/tickerMonitor/'
+
+   Following events can be emitted
+
+   1) connection, when a client connected
+
+   Data will be an object {source:string,sessionId:string,isNew:boolean}
+
+   - source : rpc|tickerMonitor
+   - sessionId : session id (null for ticker monitor)
+
+   2) command, when a command was received
+
+   Data will be an object {sessionId:string,id:integer,command:string,params:object}
+ */
+
+class MockGateway extends EventEmitter
+{
+
+/**
+ * @param {object} options (optional)
+ *
+ * - port : port to listen on (default = 0, a random port will be used)
+ * - host : host to listen on (default = 127.0.0.1)
+ * - apiKey : if defined, clients will need to send this api key using 'ApiKey' header (or 'apiKey' query parameter)
+ * - tickerMonitor : whether or not ticker monitor endpoint is enabled (default = true)
+ * - pairs : pairs which will be returned by 'getPairs' {exchange:[pair,...]} (ex: {binance:['USDT-BTC','BTC-ETH']})
+ */
+constructor(options)
+{
+    super();
+    let opt = Object.assign({}, options);
+    this._port = undefined === opt.port ? 0 : opt.port;
+    this._host = undefined === opt.host ? '127.0.0.1' : opt.host;
+    this._apiKey = undefined === opt.apiKey ? null : opt.apiKey;
+    this._tickerMonitorEnabled = false !== opt.tickerMonitor;
+    this._pairs = undefined === opt.pairs ? {} : opt.pairs;
+    // delay before replying to ping (-1 = never reply)
+    this._pongDelay = 0;
+    // command => function(params, sessionId)
+    this._commandHandlers = {};
+    // sessionId => {sessionId:string,ephemeral:boolean,ws:object,subscriptions:SubscriptionTracker}
+    this._sessions = {};
+    // ticker monitor sockets
+    this._tickerMonitorSockets = new Set();
+    // alerts sent upon connection to ticker monitor (if emit=true)
+    this._alerts = [];
+    this._server = null;
+}
+
+/**
+ * Starts server
+ *
+ * @return {Promise} promise which will be resolved with the port server is listening on
+ */
+start()
+{
+    if (null !== this._server)
+    {
+        return Promise.resolve(this._port);
+    }
+    return new Promise((resolve, reject) => {
+        let server = new WebSocket.Server({
+            port:this._port,
+            host:this._host,
+            perMessageDeflate:false,
+            // ping will be replied to manually to be able to simulate slow pongs
+            autoPong:false,
+            verifyClient:(info, cb) => {
+                // api key can also be sent using query string (when client cannot send custom headers)
+                let apiKey = info.req.headers['apikey'];
+                if (undefined === apiKey)
+                {
+                    apiKey = url.parse(info.req.url, true).query.apiKey;
+                }
+                if (null !== this._apiKey && this._apiKey !== apiKey)
+                {
+                    if (debug.enabled)
+                    {
+                        debug('Rejecting client with invalid api key');
+                    }
+                    cb(false, 401, 'Unauthorized');
+                    return;
+                }
+                cb(true);
+            }
+        }, () => {
+            this._server = server;
+            this._port = server.address().port;
+            if (debug.enabled)
+            {
+                debug(`Mock gateway is listening on ${this.getUri()}`);
+            }
+            resolve(this._port);
+        });
+        server.on('error', (err) => {
+            if (null === this._server)
+            {
+                reject(err);
+            }
+        });
+        server.on('connection', (ws, req) => {
+            this._initializeSocket(ws);
+            let u = url.parse(req.url, true);
+            if (0 === u.pathname.indexOf('/tickerMonitor'))
+            {
+                this._processTickerMonitorConnection(ws, u.query);
+                return;
+            }
+            this._processRpcConnection(ws, u.query);
+        });
+    });
+}
+
+/**
+ * Stops server (all connections will be terminated)
+ *
+ * @return {Promise}
+ */
+stop()
+{
+    if (null === this._server)
+    {
+        return Promise.resolve();
+    }
+    this.dropConnections();
+    let server = this._server;
+    this._server = null;
+    // server won't be closed until all clients are disconnected (including clients not yet bound to a session)
+    server.clients.forEach((ws) => {
+        ws.terminate();
+    });
+    this._sessions = {};
+    this._tickerMonitorSockets.clear();
+    return new Promise((resolve) => {
+        server.close(() => {
+            resolve();
+        });
+    });
+}
+
+/**
+ * @return {string} uri to use when creating client
+ */
+getUri()
+{
+    return `ws://${this._host}:${this._port}`;
+}
+
+/**
+ * Defines the api key clients should provide (use null to disable authentication)
+ *
+ * @param {string} apiKey
+ */
+setApiKey(apiKey)
+{
+    this._apiKey = apiKey;
+}
+
+/**
+ * Defines how long server should wait before replying to a ping
+ *
+ * @param {integer} delay delay in ms (use -1 to never reply)
+ */
+setPongDelay(delay)
+{
+    this._pongDelay = delay;
+}
+
+/**
+ * Enables/disables ticker monitor endpoint (when disabled, connections will be closed using code 4404)
+ *
+ * @param {boolean} flag
+ */
+setTickerMonitorEnabled(flag)
+{
+    this._tickerMonitorEnabled = flag;
+    if (!flag)
+    {
+        this._tickerMonitorSockets.forEach((ws) => {
+            ws.close(CODE_TICKER_MONITOR_DISABLED, 'Ticker monitor is not enabled');
+        });
+    }
+}
+
+/**
+ * Defines alerts which will be sent when a client connects to ticker monitor endpoint with emit=true
+ *
+ * @param {array} list list of alerts
+ */
+setTickerMonitorAlerts(list)
+{
+    this._alerts = list;
+}
+
+/**
+ * Overrides the default handling of a command
+ *
+ * Handler will be called with (params, sessionId) and should return command result (or a Promise). If handler throws
+ * an error, 'e' will be err.data if defined or {message:err.message}
+ *
+ * @param {string} command command name (ex: getPairs)
+ * @param {function} handler (use null to restore default handling)
+ */
+setCommandHandler(command, handler)
+{
+    if (null === handler)
+    {
+        delete this._commandHandlers[command];
+        return;
+    }
+    this._commandHandlers[command] = handler;
+}
+
+/**
+ * Sends a notification to connected clients
+ *
+ * @param {string} type notification type (ticker, orderBook, orderBookUpdate, trades, kline)
+ * @param {object} data notification data (ex: {exchange:string,pair:string,data:object})
+ * @param {string} sessionId if defined, notification will only be sent to this session (optional)
+ * @return {integer} number of clients notification was sent to
+ */
+notify(type, data, sessionId)
+{
+    let count = 0;
+    let message = JSON.stringify({n:type,d:data});
+    Object.keys(this._sessions).forEach((sid) => {
+        if (undefined !== sessionId && sid != sessionId)
+        {
+            return;
+        }
+        if (null !== this._sessions[sid].ws && this._send(this._sessions[sid].ws, message))
+        {
+            ++count;
+        }
+    });
+    return count;
+}
+
+/**
+ * Sends an alert to clients connected to ticker monitor endpoint
+ *
+ * @param {object} alert
+ * @return {integer} number of clients alert was sent to
+ */
+notifyTickerMonitor(alert)
+{
+    let count = 0;
+    let message = JSON.stringify({n:'tickerMonitor',d:alert});
+    this._tickerMonitorSockets.forEach((ws) => {
+        if (this._send(ws, message))
+        {
+            ++count;
+        }
+    });
+    return count;
+}
+
+/**
+ * Terminates all connections abruptly (clients won't receive any close frame)
+ */
+dropConnections()
+{
+    this._getSockets().forEach((ws) => {
+        ws.terminate();
+    });
+}
+
+/**
+ * Closes all connections using a given code
+ *
+ * @param {integer} code close code (ex: 4404)
+ * @param {string} reason close reason (optional)
+ */
+closeConnections(code, reason)
+{
+    this._getSockets().forEach((ws) => {
+        ws.close(code, reason);
+    });
+}
+
+/**
+ * Removes a session (a new session will be created on next connection)
+ *
+ * @param {string} sessionId session id (optional, if not defined all sessions will be removed)
+ */
+expireSession(sessionId)
+{
+    Object.keys(this._sessions).forEach((sid) => {
+        if (undefined !== sessionId && sid != sessionId)
+        {
+            return;
+        }
+        let session = this._sessions[sid];
+        delete this._sessions[sid];
+        if (null !== session.ws)
+        {
+            session.ws.close(4000, 'Session expired');
+        }
+    });
+}
+
+/**
+ * Retrieves existing sessions
+ *
+ * @return {array} [{sessionId:string,connected:boolean,subscriptions:object}]
+ */
+getSessions()
+{
+    return Object.keys(this._sessions).map((sid) => {
+        let session = this._sessions[sid];
+        return {sessionId:sid,connected:null !== session.ws,subscriptions:session.subscriptions.getSubscriptions()};
+    });
+}
+
+_getSockets()
+{
+    let list = Array.from(this._tickerMonitorSockets);
+    Object.keys(this._sessions).forEach((sid) => {
+        if (null !== this._sessions[sid].ws)
+        {
+            list.push(this._sessions[sid].ws);
+        }
+    });
+    return list;
+}
+
+/**
+ * Replies to ping after the configured delay (automatic pong is disabled to be able to simulate slow pongs)
+ */
+_initializeSocket(ws)
+{
+    ws.on('ping', (data) => {
+        if (-1 == this._pongDelay)
+        {
+            return;
+        }
+        if (0 == this._pongDelay)
+        {
+            ws.pong(data);
+            return;
+        }
+        setTimeout(() => {
+            if (WebSocket.OPEN != ws.readyState)
+            {
+                return;
+            }
+            ws.pong(data);
+        }, this._pongDelay);
+    });
+    ws.on('error', (err) => {
+        if (debug.enabled)
+        {
+            debug(`Socket error : ${err.message}`);
+        }
+    });
+}
+
+_processTickerMonitorConnection(ws, query)
+{
+    if (!this._tickerMonitorEnabled)
+    {
+        ws.close(CODE_TICKER_MONITOR_DISABLED, 'Ticker monitor is not enabled');
+        return;
+    }
+    this._tickerMonitorSockets.add(ws);
+    ws.on('close', () => {
+        this._tickerMonitorSockets.delete(ws);
+    });
+    this.emit('connection', {source:'tickerMonitor',sessionId:null,isNew:true});
+    if ('true' === query.emit || '1' === query.emit)
+    {
+        this._alerts.forEach((alert) => {
+            this._send(ws, JSON.stringify({n:'tickerMonitor',d:alert}));
+        });
+    }
+}
+
+_processRpcConnection(ws, query)
+{
+    let session;
+    let isNew = false;
+    if (undefined !== query.sid && undefined !== this._sessions[query.sid])
+    {
+        session = this._sessions[query.sid];
+        // only one connection per session
+        if (null !== session.ws)
+        {
+            session.ws.terminate();
+        }
+    }
+    else
+    {
+        isNew = true;
+        let sid = `rpc.${crypto.randomBytes(16).toString('hex')}`;
+        let ephemeral = ('true' === query.expires || '1' === query.expires) && '0' === query.timeout;
+        session = {sessionId:sid,ephemeral:ephemeral,ws:null,subscriptions:new SubscriptionTracker()};
+        this._sessions[sid] = session;
+    }
+    session.ws = ws;
+    ws.on('close', () => {
+        if (ws !== session.ws)
+        {
+            return;
+        }
+        session.ws = null;
+        if (session.ephemeral)
+        {
+            delete this._sessions[session.sessionId];
+        }
+    });
+    ws.on('message', (message) => {
+        this._processCommand(session, ws, message);
+    });
+    this.emit('connection', {source:'rpc',sessionId:session.sessionId,isNew:isNew});
+    this._send(ws, JSON.stringify({hello:{sid:session.sessionId,isNew:isNew}}));
+}
+
+_processCommand(session, ws, message)
+{
+    let data;
+    try
+    {
+        data = JSON.parse(message);
+    }
+    catch (e)
+    {
+        if (debug.enabled)
+        {
+            debug(`Received invalid JSON message : ${message}`);
+        }
+        return;
+    }
+    this.emit('command', {sessionId:session.sessionId,id:data.i,command:data.m,params:data.p});
+    let promise;
+    try
+    {
+        let handler = this._commandHandlers[data.m];
+        if (undefined === handler)
+        {
+            promise = Promise.resolve(this._defaultCommandHandler(data.m, data.p));
+        }
+        else
+        {
+            promise = Promise.resolve(handler(data.p, session.sessionId));
+        }
+    }
+    catch (e)
+    {
+        promise = Promise.reject(e);
+    }
+    promise.then((result) => {
+        if (undefined === result)
+        {
+            result = true;
+        }
+        session.subscriptions.update(data.m, data.p);
+        if (undefined !== data.i)
+        {
+            this._send(ws, JSON.stringify({i:data.i,r:result}));
+        }
+    }).catch((err) => {
+        if (undefined !== data.i)
+        {
+            let e = undefined !== err.data ? err.data : {message:err.message};
+            this._send(ws, JSON.stringify({i:data.i,e:e}));
+        }
+    });
+}
+
+/**
+ * - getPairs will return pairs defined in constructor
+ * - subscription commands will return true
+ * - other commands will fail
+ */
+_defaultCommandHandler(command, params)
+{
+    let p = Object.assign({}, params);
+    if (!SUBSCRIPTION_COMMANDS.test(command) && 'getPairs' != command)
+    {
+        throw new Error(`Unknown method '${command}'`);
+    }
+    if ('unsubscribe' == command && undefined === p.exchange)
+    {
+        return true;
+    }
+    if (undefined === this._pairs[p.exchange])
+    {
+        throw new Error(`Unsupported exchange '${p.exchange}'`);
+    }
+    if ('getPairs' != command)
+    {
+        return true;
+    }
+    let result = {};
+    this._pairs[p.exchange].forEach((pair) => {
+        let arr = pair.split('-');
+        let obj = {pair:pair,baseCurrency:arr[0],currency:arr[1]};
+        if (undefined !== p.filter)
+        {
+            if (undefined !== p.filter.currency && p.filter.currency != obj.currency)
+            {
+                return;
+            }
+            if (undefined !== p.filter.baseCurrency && p.filter.baseCurrency != obj.baseCurrency)
+            {
+                return;
+            }
+        }
+        result[pair] = obj;
+    });
+    return result;
+}
+
+_send(ws, message)
+{
+    if (WebSocket.OPEN != ws.readyState)
+    {
+        return false;
+    }
+    ws.send(message);
+    return true;
+}
+
+}
+
+module.exports = MockGateway;
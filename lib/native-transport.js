@@ -0,0 +1,104 @@
+"use strict";
+const EventEmitter = require('events');
+
+// readyState of an open WebSocket (W3C API)
+const OPEN = 1;
+
+/*
+   Transport based on a W3C WebSocket implementation (ie: native WebSocket in browsers)
+
+   Custom headers & WS PING/PONG are not supported by W3C API
+
+   Emits the same events as WsTransport (except for 'unexpectedResponse' & 'pong' which are never emitted)
+ */
+
+class NativeTransport extends EventEmitter
+{
+
+/**
+ * @param {string} uri WS uri
+ * @param {object} options {WebSocket:function} (optional)
+ *
+ * - WebSocket : WebSocket constructor (default = global WebSocket)
+ */
+constructor(uri, options)
+{
+    super();
+    let opt = Object.assign({}, options);
+    let Implementation = undefined === opt.WebSocket ? NativeTransport.getGlobalWebSocket() : opt.WebSocket;
+    if (null === Implementation)
+    {
+        throw new Error('WebSocket is not supported by this environment');
+    }
+    this._ws = new Implementation(uri);
+    this._ws.onopen = () => {
+        this.emit('open');
+    };
+    this._ws.onmessage = (evt) => {
+        this.emit('message', evt.data);
+    };
+    // W3C API does not give any detail about the error
+    this._ws.onerror = (evt) => {
+        let message = undefined === evt || undefined === evt.message ? 'WebSocket error' : evt.message;
+        this.emit('error', {code:undefined,message:message});
+    };
+    this._ws.onclose = (evt) => {
+        this.emit('close', {code:evt.code, reason:evt.reason});
+    };
+}
+
+/**
+ * Retrieves global WebSocket constructor
+ *
+ * @return {function} WebSocket constructor (or null if environment does not provide one)
+ */
+static getGlobalWebSocket()
+{
+    if ('undefined' == typeof WebSocket)
+    {
+        return null;
+    }
+    return WebSocket;
+}
+
+static supportsHeaders()
+{
+    return false;
+}
+
+static supportsPing()
+{
+    return false;
+}
+
+isOpen()
+{
+    return OPEN == this._ws.readyState;
+}
+
+send(data)
+{
+    this._ws.send(data);
+}
+
+ping()
+{
+    throw new Error('WS PING is not supported by W3C WebSocket API');
+}
+
+close()
+{
+    this._ws.close();
+}
+
+/**
+ * W3C API cannot terminate a connection without a closing handshake
+ */
+terminate()
+{
+    this._ws.close();
+}
+
+}
+
+module.exports = NativeTransport;
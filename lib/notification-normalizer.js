@@ -0,0 +1,220 @@
+"use strict";
+
+/*
+   Validates notifications received from gateway and returns normalized copies
+
+   - numbers provided as strings are converted to numbers
+   - timestamps (in seconds) are converted to milliseconds, and a 'date' property (Date object) is added next to each timestamp
+
+   An error will be thrown if notification does not match the expected format (message will describe the invalid property)
+ */
+
+const TICKER_FIELDS = ['last', 'priceChangePercent', 'sell', 'buy', 'high', 'low', 'volume'];
+const KLINE_FIELDS = ['open', 'close', 'high', 'low', 'volume'];
+const ORDER_BOOK_ACTIONS = ['update', 'remove'];
+const ORDER_TYPES = ['buy', 'sell'];
+
+class NotificationNormalizer
+{
+
+/**
+ * Validates & normalizes a notification
+ *
+ * @param {string} type notification type (ticker, orderBook, orderBookUpdate, trades, kline)
+ * @param {object} evt notification data
+ * @return {object} normalized copy of the notification (notification will be returned as is for unsupported types)
+ */
+normalize(type, evt)
+{
+    switch (type)
+    {
+        case 'ticker':
+            return this._normalizeTicker(evt);
+        case 'orderBook':
+            return this._normalizeOrderBook(evt, false);
+        case 'orderBookUpdate':
+            return this._normalizeOrderBook(evt, true);
+        case 'trades':
+            return this._normalizeTrades(evt);
+        case 'kline':
+            return this._normalizeKline(evt);
+    }
+    return evt;
+}
+
+/**
+ * Converts a timestamp (in seconds) to milliseconds
+ *
+ * @param {float} timestamp
+ * @return {integer}
+ */
+static toMilliseconds(timestamp)
+{
+    return Math.round(timestamp * 1000);
+}
+
+_normalizeTicker(evt)
+{
+    let obj = this._getBase(evt);
+    let data = this._checkObject(evt.data, 'data');
+    obj.data = Object.assign({}, data);
+    TICKER_FIELDS.forEach((field) => {
+        obj.data[field] = this._getNumber(data[field], `data.${field}`, true);
+    });
+    this._setTimestamp(obj.data, data.timestamp, 'data.timestamp');
+    return obj;
+}
+
+_normalizeOrderBook(evt, isUpdate)
+{
+    let obj = this._getBase(evt);
+    let data = this._checkObject(evt.data, 'data');
+    let cseq = undefined !== evt.cseq ? evt.cseq : data.cseq;
+    if (!Number.isInteger(cseq) || cseq < 0)
+    {
+        throw new Error("'cseq' should be an integer >= 0");
+    }
+    obj.cseq = cseq;
+    obj.data = Object.assign({}, data);
+    ['buy', 'sell'].forEach((side) => {
+        let entries = data[side];
+        // an update can contain a single side
+        if (isUpdate && undefined === entries)
+        {
+            obj.data[side] = [];
+            return;
+        }
+        if (!Array.isArray(entries))
+        {
+            throw new Error(`'data.${side}' should be an array`);
+        }
+        obj.data[side] = entries.map((e, index) => {
+            let name = `data.${side}[${index}]`;
+            this._checkObject(e, name);
+            let entry = Object.assign({}, e);
+            entry.rate = this._getNumber(e.rate, `${name}.rate`, false);
+            entry.quantity = this._getNumber(e.quantity, `${name}.quantity`, false);
+            if (isUpdate && !ORDER_BOOK_ACTIONS.includes(e.action))
+            {
+                throw new Error(`'${name}.action' should be one of [${ORDER_BOOK_ACTIONS.join(',')}]`);
+            }
+            return entry;
+        });
+    });
+    return obj;
+}
+
+_normalizeTrades(evt)
+{
+    let obj = this._getBase(evt);
+    if (!Array.isArray(evt.data))
+    {
+        throw new Error("'data' should be an array");
+    }
+    obj.data = evt.data.map((e, index) => {
+        let name = `data[${index}]`;
+        this._checkObject(e, name);
+        let trade = Object.assign({}, e);
+        trade.rate = this._getNumber(e.rate, `${name}.rate`, false);
+        trade.quantity = this._getNumber(e.quantity, `${name}.quantity`, false);
+        trade.price = this._getNumber(e.price, `${name}.price`, true);
+        if (!ORDER_TYPES.includes(e.orderType))
+        {
+            throw new Error(`'${name}.orderType' should be one of [${ORDER_TYPES.join(',')}]`);
+        }
+        this._setTimestamp(trade, e.timestamp, `${name}.timestamp`);
+        return trade;
+    });
+    return obj;
+}
+
+_normalizeKline(evt)
+{
+    let obj = this._getBase(evt);
+    if ('string' != typeof evt.interval || '' == evt.interval)
+    {
+        throw new Error("'interval' should be a non-empty string");
+    }
+    obj.interval = evt.interval;
+    let data = this._checkObject(evt.data, 'data');
+    obj.data = Object.assign({}, data);
+    KLINE_FIELDS.forEach((field) => {
+        obj.data[field] = this._getNumber(data[field], `data.${field}`, false);
+    });
+    this._setTimestamp(obj.data, data.timestamp, 'data.timestamp');
+    return obj;
+}
+
+/**
+ * Checks exchange & pair and returns a shallow copy of the notification
+ */
+_getBase(evt)
+{
+    this._checkObject(evt, 'notification');
+    ['exchange', 'pair'].forEach((field) => {
+        if ('string' != typeof evt[field] || '' == evt[field])
+        {
+            throw new Error(`'${field}' should be a non-empty string`);
+        }
+    });
+    return Object.assign({}, evt);
+}
+
+_checkObject(value, name)
+{
+    if (null === value || 'object' != typeof value || Array.isArray(value))
+    {
+        throw new Error(`'${name}' should be an object`);
+    }
+    return value;
+}
+
+/**
+ * @param {any} value value to check
+ * @param {string} name name of the property (used in error message)
+ * @param {boolean} nullable whether or not value can be null or undefined
+ * @return {float} number (or null)
+ */
+_getNumber(value, name, nullable)
+{
+    if (undefined === value || null === value)
+    {
+        if (nullable)
+        {
+            return null;
+        }
+        throw new Error(`'${name}' should be a number`);
+    }
+    let number = value;
+    if ('string' == typeof value && '' != value.trim())
+    {
+        number = Number(value);
+    }
+    if ('number' != typeof number || !Number.isFinite(number))
+    {
+        throw new Error(`'${name}' should be a number`);
+    }
+    return number;
+}
+
+/**
+ * Sets 'timestamp' (in ms) & 'date' properties
+ *
+ * @param {object} obj object to update
+ * @param {any} value timestamp (in seconds)
+ * @param {string} name name of the property (used in error message)
+ */
+_setTimestamp(obj, value, name)
+{
+    let timestamp = this._getNumber(value, name, false);
+    if (timestamp < 0)
+    {
+        throw new Error(`'${name}' should be a number >= 0`);
+    }
+    obj.timestamp = NotificationNormalizer.toMilliseconds(timestamp);
+    obj.date = new Date(obj.timestamp);
+}
+
+}
+
+module.exports = NotificationNormalizer;
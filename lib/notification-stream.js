@@ -0,0 +1,197 @@
+"use strict";
+const debug = require('debug')('CEWSC:NotificationStream');
+
+// maximum number of events which can be buffered
+const BUFFER_SIZE = 1000;
+
+// what to do when buffer is full
+const OVERFLOW_DROP_OLDEST = 'dropOldest';
+const OVERFLOW_DROP_LATEST = 'dropLatest';
+const OVERFLOW_ERROR = 'error';
+const OVERFLOW_POLICIES = [OVERFLOW_DROP_OLDEST, OVERFLOW_DROP_LATEST, OVERFLOW_ERROR];
+
+/*
+   Async iterable over events emitted by an EventEmitter
+
+   Listener will be removed as soon as iteration stops (ie: break in a 'for await' loop) or when 'close' is called. Stream will
+   also end if listener is removed from emitter (ie: when calling emitter.removeAllListeners())
+ */
+
+class NotificationStream
+{
+
+/**
+ * @param {EventEmitter} emitter emitter to listen to
+ * @param {string} eventName name of the event to listen to
+ * @param {function} filter function used to decide whether or not an event should be added to the stream (optional)
+ * @param {object} options {bufferSize:integer,overflow:string} (optional)
+ */
+constructor(emitter, eventName, filter, options)
+{
+    this._emitter = emitter;
+    this._eventName = eventName;
+    this._filter = filter;
+    this._bufferSize = BUFFER_SIZE;
+    this._overflow = OVERFLOW_DROP_OLDEST;
+    if (undefined !== options)
+    {
+        if (undefined !== options.bufferSize)
+        {
+            let value = parseInt(options.bufferSize);
+            if (isNaN(value) || value < 1)
+            {
+                throw new Error("Argument 'options.bufferSize' should be an integer >= 1");
+            }
+            this._bufferSize = value;
+        }
+        if (undefined !== options.overflow)
+        {
+            if (!OVERFLOW_POLICIES.includes(options.overflow))
+            {
+                throw new Error(`Argument 'options.overflow' should be one of [${OVERFLOW_POLICIES.join(',')}]`);
+            }
+            this._overflow = options.overflow;
+        }
+    }
+    this._buffer = [];
+    // number of events which were dropped because buffer was full
+    this._dropped = 0;
+    // list of {resolve:function,reject:function}, when consumer is waiting for next events
+    this._pending = [];
+    this._error = null;
+    this._closed = false;
+    this._listener = (evt) => {
+        this._push(evt);
+    };
+    // end the stream if listener is removed by someone else
+    this._removeListenerHook = (eventName, listener) => {
+        if (this._closed || eventName !== this._eventName || listener !== this._listener)
+        {
+            return;
+        }
+        this.close();
+    };
+    this._emitter.on(this._eventName, this._listener);
+    this._emitter.on('removeListener', this._removeListenerHook);
+}
+
+/**
+ * Number of events which were dropped because buffer was full
+ *
+ * @return {integer}
+ */
+getDropped()
+{
+    return this._dropped;
+}
+
+/**
+ * Stops the stream (remaining buffered events will be discarded)
+ */
+close()
+{
+    if (this._closed)
+    {
+        return;
+    }
+    this._closed = true;
+    this._buffer = [];
+    this._removeListeners();
+    let pending = this._pending;
+    this._pending = [];
+    pending.forEach((p) => {
+        p.resolve({value:undefined, done:true});
+    });
+}
+
+next()
+{
+    if (0 != this._buffer.length)
+    {
+        return Promise.resolve({value:this._buffer.shift(), done:false});
+    }
+    if (null !== this._error)
+    {
+        let err = this._error;
+        this._error = null;
+        return Promise.reject(err);
+    }
+    if (this._closed)
+    {
+        return Promise.resolve({value:undefined, done:true});
+    }
+    return new Promise((resolve, reject) => {
+        this._pending.push({resolve:resolve, reject:reject});
+    });
+}
+
+/**
+ * Called when iteration stops before the end of the stream
+ */
+return()
+{
+    this.close();
+    return Promise.resolve({value:undefined, done:true});
+}
+
+[Symbol.asyncIterator]()
+{
+    return this;
+}
+
+_removeListeners()
+{
+    this._emitter.removeListener(this._eventName, this._listener);
+    this._emitter.removeListener('removeListener', this._removeListenerHook);
+}
+
+_push(evt)
+{
+    if (this._closed)
+    {
+        return;
+    }
+    if (undefined !== this._filter && !this._filter(evt))
+    {
+        return;
+    }
+    // consumer is waiting
+    if (0 != this._pending.length)
+    {
+        this._pending.shift().resolve({value:evt, done:false});
+        return;
+    }
+    if (this._buffer.length < this._bufferSize)
+    {
+        this._buffer.push(evt);
+        return;
+    }
+    ++this._dropped;
+    switch (this._overflow)
+    {
+        case OVERFLOW_DROP_OLDEST:
+            this._buffer.shift();
+            this._buffer.push(evt);
+            break;
+        case OVERFLOW_DROP_LATEST:
+            break;
+        case OVERFLOW_ERROR:
+            if (debug.enabled)
+            {
+                debug(`Buffer is full for '${this._eventName}' stream (size = ${this._bufferSize}), stream will be closed`);
+            }
+            // stream will fail once buffered events have been consumed
+            this._closed = true;
+            this._removeListeners();
+            this._error = new Error(`Buffer is full for '${this._eventName}' stream (size = ${this._bufferSize})`);
+            break;
+    }
+}
+
+}
+
+NotificationStream.OVERFLOW_DROP_OLDEST = OVERFLOW_DROP_OLDEST;
+NotificationStream.OVERFLOW_DROP_LATEST = OVERFLOW_DROP_LATEST;
+NotificationStream.OVERFLOW_ERROR = OVERFLOW_ERROR;
+
+module.exports = NotificationStream;
@@ -0,0 +1,321 @@
+"use strict";
+const EventEmitter = require('events');
+const debug = require('debug')('CEWSC:OrderBookManager');
+
+/*
+   Maintains a local copy of order books, built from 'orderBook' snapshots & 'orderBookUpdate' diffs
+
+   Following events can be emitted
+
+   1) orderBook, each time an order book changed (after a snapshot or after an update was applied)
+
+   Data will be an object {exchange:string,pair:string,cseq:integer,isSnapshot:boolean,changes:{buy:array,sell:array},data:{buy:array,sell:array}}
+
+   - isSnapshot : true if order book was replaced by a full order book
+   - changes : entries of the full order book (if isSnapshot is true) or entries of the update which was applied
+   - data : copy of the whole order book (only if option 'includeOrderBook' is true, use getOrderBook otherwise)
+     - buy entries are sorted by descending rate
+     - sell entries are sorted by ascending rate
+
+   2) desync, when a gap was detected in 'cseq' sequence (order book will need to be resynced)
+
+   Data will be an object {exchange:string,pair:string,expectedCseq:integer,cseq:integer}
+
+ */
+
+class OrderBookManager extends EventEmitter
+{
+
+/**
+ * @param {object} options {includeOrderBook:boolean} (optional)
+ *
+ * - includeOrderBook : whether or not a copy of the whole order book should be included in each 'orderBook' event (default = false)
+ */
+constructor(options)
+{
+    super();
+    let opt = Object.assign({}, options);
+    // copying the whole order book after each update can be expensive for deep order books
+    this._includeOrderBook = true === opt.includeOrderBook;
+    // exchange => pair => {cseq:integer,buy:object,sell:object} (see _createSide)
+    this._orderBooks = {};
+}
+
+/**
+ * Process a full order book
+ *
+ * @param {object} evt 'orderBook' event {exchange:string,pair:string,cseq:integer,data:{buy:array,sell:array}}
+ */
+processOrderBook(evt)
+{
+    let cseq = this._getCseq(evt);
+    let orderBook = {cseq:cseq, buy:this._createSide(true), sell:this._createSide(false)};
+    this._applyEntries(orderBook.buy, evt.data.buy, false);
+    this._applyEntries(orderBook.sell, evt.data.sell, false);
+    if (undefined === this._orderBooks[evt.exchange])
+    {
+        this._orderBooks[evt.exchange] = {};
+    }
+    this._orderBooks[evt.exchange][evt.pair] = orderBook;
+    this._emitOrderBook(evt, orderBook, true);
+}
+
+/**
+ * Process an order book diff
+ *
+ * Update will be ignored if we don't have any full order book for the pair or if a gap is detected in 'cseq' sequence
+ *
+ * @param {object} evt 'orderBookUpdate' event {exchange:string,pair:string,cseq:integer,data:{buy:array,sell:array}}
+ */
+processOrderBookUpdate(evt)
+{
+    let orderBook = this._getOrderBook(evt.exchange, evt.pair);
+    // we didn't receive full order book yet (or we're waiting for a resync)
+    if (null === orderBook)
+    {
+        if (debug.enabled)
+        {
+            debug(`Ignoring update for '${evt.exchange}|${evt.pair}' since we don't have any full order book`);
+        }
+        return;
+    }
+    let cseq = this._getCseq(evt);
+    // update is older than our order book
+    if (cseq <= orderBook.cseq)
+    {
+        return;
+    }
+    if (cseq != orderBook.cseq + 1)
+    {
+        let expectedCseq = orderBook.cseq + 1;
+        if (debug.enabled)
+        {
+            debug(`Gap detected for '${evt.exchange}|${evt.pair}' : expected cseq = ${expectedCseq}, cseq = ${cseq}`);
+        }
+        // drop order book until we receive a new snapshot
+        delete this._orderBooks[evt.exchange][evt.pair];
+        this.emit('desync', {exchange:evt.exchange,pair:evt.pair,expectedCseq:expectedCseq,cseq:cseq});
+        return;
+    }
+    orderBook.cseq = cseq;
+    this._applyEntries(orderBook.buy, evt.data.buy, true);
+    this._applyEntries(orderBook.sell, evt.data.sell, true);
+    this._emitOrderBook(evt, orderBook, false);
+}
+
+/**
+ * Retrieves a copy of an order book
+ *
+ * @param {string} exchange exchange identifier
+ * @param {string} pair pair (ex: USDT-BTC)
+ * @param {integer} limit maximum number of entries to return for each side (optional)
+ * @return {object} {cseq:integer,buy:array,sell:array} or null if we don't have any order book for this pair
+ */
+getOrderBook(exchange, pair, limit)
+{
+    let orderBook = this._getOrderBook(exchange, pair);
+    if (null === orderBook)
+    {
+        return null;
+    }
+    let data = this._serialize(orderBook, limit);
+    return {cseq:orderBook.cseq,buy:data.buy,sell:data.sell};
+}
+
+/**
+ * Removes order books
+ *
+ * @param {string} exchange exchange identifier (optional, if not defined order books will be removed for all exchanges)
+ * @param {array} pairs list of pairs (optional, if not defined order books will be removed for all pairs)
+ */
+remove(exchange, pairs)
+{
+    if (undefined === exchange)
+    {
+        this._orderBooks = {};
+        return;
+    }
+    if (undefined === this._orderBooks[exchange])
+    {
+        return;
+    }
+    if (undefined === pairs)
+    {
+        delete this._orderBooks[exchange];
+        return;
+    }
+    for (let i = 0; i < pairs.length; ++i)
+    {
+        delete this._orderBooks[exchange][pairs[i]];
+    }
+}
+
+/**
+ * Removes all order books for an exchange, except for a list of pairs
+ *
+ * @param {string} exchange exchange identifier
+ * @param {array} pairs list of pairs to keep
+ */
+keep(exchange, pairs)
+{
+    if (undefined === this._orderBooks[exchange])
+    {
+        return;
+    }
+    let orderBooks = {};
+    for (let i = 0; i < pairs.length; ++i)
+    {
+        if (undefined !== this._orderBooks[exchange][pairs[i]])
+        {
+            orderBooks[pairs[i]] = this._orderBooks[exchange][pairs[i]];
+        }
+    }
+    this._orderBooks[exchange] = orderBooks;
+}
+
+_getOrderBook(exchange, pair)
+{
+    if (undefined === this._orderBooks[exchange] || undefined === this._orderBooks[exchange][pair])
+    {
+        return null;
+    }
+    return this._orderBooks[exchange][pair];
+}
+
+/**
+ * 'cseq' can be provided either at the root of the event or inside 'data'
+ */
+_getCseq(evt)
+{
+    if (undefined !== evt.cseq)
+    {
+        return evt.cseq;
+    }
+    return evt.data.cseq;
+}
+
+/**
+ * Creates one side of an order book
+ *
+ * @param {boolean} descending whether or not entries should be sorted by descending rate
+ * @return {object} {descending:boolean,entries:array} (entries are kept sorted)
+ */
+_createSide(descending)
+{
+    return {descending:descending, entries:[]};
+}
+
+/**
+ * Applies a list of entries to one side of an order book
+ *
+ * Each entry is inserted at its sorted position, so that order book never needs to be sorted again
+ *
+ * @param {object} side {descending:boolean,entries:array}
+ * @param {array} entries list of {rate:float,quantity:float,action:string}
+ * @param {boolean} isUpdate whether or not entries are coming from an 'orderBookUpdate' event
+ */
+_applyEntries(side, entries, isUpdate)
+{
+    if (undefined === entries)
+    {
+        return;
+    }
+    for (let i = 0; i < entries.length; ++i)
+    {
+        let e = entries[i];
+        let index = this._findIndex(side, e.rate);
+        let exists = index < side.entries.length && side.entries[index].rate == e.rate;
+        if (isUpdate && 'remove' == e.action)
+        {
+            if (exists)
+            {
+                side.entries.splice(index, 1);
+            }
+            continue;
+        }
+        if (exists)
+        {
+            side.entries[index].quantity = e.quantity;
+            continue;
+        }
+        side.entries.splice(index, 0, {rate:e.rate,quantity:e.quantity});
+    }
+}
+
+/**
+ * Finds the position of a rate using a binary search
+ *
+ * @param {object} side {descending:boolean,entries:array}
+ * @param {float} rate
+ * @return {integer} index of the entry with this rate or index where such an entry should be inserted
+ */
+_findIndex(side, rate)
+{
+    let low = 0;
+    let high = side.entries.length;
+    while (low < high)
+    {
+        let middle = (low + high) >>> 1;
+        let current = side.entries[middle].rate;
+        if (side.descending ? current > rate : current < rate)
+        {
+            low = middle + 1;
+        }
+        else
+        {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+/**
+ * @param {object} evt 'orderBook' or 'orderBookUpdate' event which was applied
+ * @param {object} orderBook {cseq:integer,buy:object,sell:object}
+ * @param {boolean} isSnapshot whether or not order book was replaced by a full order book
+ */
+_emitOrderBook(evt, orderBook, isSnapshot)
+{
+    let obj = {
+        exchange:evt.exchange,
+        pair:evt.pair,
+        cseq:orderBook.cseq,
+        isSnapshot:isSnapshot,
+        changes:{
+            buy:undefined === evt.data.buy ? [] : evt.data.buy,
+            sell:undefined === evt.data.sell ? [] : evt.data.sell
+        }
+    };
+    if (this._includeOrderBook)
+    {
+        obj.data = this._serialize(orderBook);
+    }
+    this.emit('orderBook', obj);
+}
+
+/**
+ * @param {object} orderBook {cseq:integer,buy:object,sell:object}
+ * @param {integer} limit maximum number of entries to return for each side (optional)
+ * @return {object} {buy:array,sell:array}
+ */
+_serialize(orderBook, limit)
+{
+    let buy = orderBook.buy.entries;
+    let sell = orderBook.sell.entries;
+    if (undefined !== limit)
+    {
+        buy = buy.slice(0, limit);
+        sell = sell.slice(0, limit);
+    }
+    return {
+        buy:buy.map((e) => {
+            return {rate:e.rate,quantity:e.quantity};
+        }),
+        sell:sell.map((e) => {
+            return {rate:e.rate,quantity:e.quantity};
+        })
+    };
+}
+}
+
+module.exports = OrderBookManager;
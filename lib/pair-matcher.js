@@ -0,0 +1,95 @@
+"use strict";
+
+// maximum number of suggestions returned by default
+const MAX_SUGGESTIONS = 3;
+
+/*
+   Finds pairs which are close to an unsupported pair (ie: to suggest a fix for a typo)
+
+   Following pairs are considered as close matches (from best to worst)
+
+   - same pair with different case (ex: usdt-btc => USDT-BTC)
+   - reversed pair (ex: BTC-USDT => USDT-BTC)
+   - pairs within a small edit distance (ex: USD-BTC => USDT-BTC)
+ */
+
+class PairMatcher
+{
+
+/**
+ * Retrieves the pairs which are the closest to a given pair
+ *
+ * @param {string} pair unsupported pair
+ * @param {string[]} pairs list of supported pairs
+ * @param {integer} limit maximum number of pairs to return (optional, default = 3)
+ * @return {string[]}
+ */
+static findClosest(pair, pairs, limit)
+{
+    if (undefined === limit)
+    {
+        limit = MAX_SUGGESTIONS;
+    }
+    let name = String(pair).toUpperCase();
+    let reversed = name.split('-').reverse().join('-');
+    // allow more typos for longer pairs
+    let maxDistance = Math.max(2, Math.floor(name.length / 4));
+    let list = [];
+    pairs.forEach((p) => {
+        let candidate = p.toUpperCase();
+        let score;
+        if (candidate == name)
+        {
+            score = 0;
+        }
+        else if (candidate == reversed)
+        {
+            score = 1;
+        }
+        else
+        {
+            let distance = PairMatcher._getDistance(name, candidate);
+            if (distance > maxDistance)
+            {
+                return;
+            }
+            score = 1 + distance;
+        }
+        list.push({pair:p, score:score});
+    });
+    list.sort((a, b) => {
+        if (a.score != b.score)
+        {
+            return a.score - b.score;
+        }
+        return a.pair < b.pair ? -1 : (a.pair > b.pair ? 1 : 0);
+    });
+    return list.slice(0, limit).map((e) => e.pair);
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+static _getDistance(a, b)
+{
+    let previous = [];
+    for (let j = 0; j <= b.length; ++j)
+    {
+        previous.push(j);
+    }
+    for (let i = 1; i <= a.length; ++i)
+    {
+        let current = [i];
+        for (let j = 1; j <= b.length; ++j)
+        {
+            let cost = a[i - 1] == b[j - 1] ? 0 : 1;
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+}
+
+module.exports = PairMatcher;
@@ -0,0 +1,153 @@
+"use strict";
+const _ = require('lodash');
+
+// default prefix for metrics names
+const PREFIX = 'cewsc';
+
+/*
+   Renders statistics of one or many Client instances (see Client.getStats) using Prometheus text exposition format
+
+   const exporter = new PrometheusExporter();
+   exporter.addClient(client, {name:'main'});
+   let text = exporter.getMetrics();
+ */
+
+class PrometheusExporter
+{
+
+/**
+ * @param {object} options {prefix:string} (optional)
+ *
+ * - prefix : prefix to use for all metrics names (default = 'cewsc')
+ */
+constructor(options)
+{
+    let opt = Object.assign({}, options);
+    this._prefix = PREFIX;
+    if (undefined !== opt.prefix)
+    {
+        if ('string' != typeof opt.prefix || !/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(opt.prefix))
+        {
+            throw new Error("Argument 'options.prefix' should be a valid metric name");
+        }
+        this._prefix = opt.prefix;
+    }
+    // list of {client:Client, labels:object}
+    this._clients = [];
+}
+
+/**
+ * Adds a client
+ *
+ * @param {object} client Client instance
+ * @param {object} labels extra labels which will be added to all metrics of this client (optional)
+ */
+addClient(client, labels)
+{
+    if (undefined === labels)
+    {
+        labels = {};
+    }
+    this.removeClient(client);
+    this._clients.push({client:client, labels:labels});
+}
+
+/**
+ * Removes a client
+ *
+ * @param {object} client Client instance
+ */
+removeClient(client)
+{
+    _.remove(this._clients, (e) => {
+        return client === e.client;
+    });
+}
+
+/**
+ * Renders metrics for all clients
+ *
+ * @return {string}
+ */
+getMetrics()
+{
+    let metrics = {};
+    let add = (name, type, help, labels, value) => {
+        if (null === value)
+        {
+            return;
+        }
+        if (undefined === metrics[name])
+        {
+            metrics[name] = {type:type, help:help, samples:[]};
+        }
+        metrics[name].samples.push(`${this._prefix}_${name}${this._formatLabels(labels)} ${value}`);
+    };
+    this._clients.forEach((e) => {
+        let stats = e.client.getStats();
+        let labels = e.labels;
+        add('connections_total', 'counter', 'Number of connections established', labels, stats.connectionCounter);
+        add('connected', 'gauge', 'Whether or not client is connected', labels, stats.isConnected ? 1 : 0);
+        add('ready', 'gauge', 'Whether or not client is ready', labels, stats.isReady ? 1 : 0);
+        add('connection_uptime_seconds', 'gauge', 'Number of seconds since connection was established', labels, this._toSeconds(stats.connectionUptime));
+        add('ready_uptime_seconds', 'gauge', 'Number of seconds since client became ready', labels, this._toSeconds(stats.readyUptime));
+        add('last_message_age_seconds', 'gauge', 'Number of seconds since last message was received', labels, this._toSeconds(stats.lastMessageAge));
+        add('queue_length', 'gauge', 'Number of messages waiting to be sent', labels, stats.queueLength);
+        add('pending_commands', 'gauge', 'Number of commands waiting for a reply', labels, stats.pendingCommands);
+        add('commands_sent_total', 'counter', 'Number of commands sent', labels, stats.commands.sent);
+        add('commands_failed_total', 'counter', 'Number of commands which failed', labels, stats.commands.failed);
+        add('messages_received_total', 'counter', 'Number of messages received', Object.assign({}, labels, {connection:'rpc'}), stats.messages.rpc);
+        add('messages_received_total', 'counter', 'Number of messages received', Object.assign({}, labels, {connection:'tickerMonitor'}), stats.messages.tickerMonitor);
+        _.forEach(stats.messages.notifications, (exchanges, type) => {
+            _.forEach(exchanges, (pairs, exchange) => {
+                _.forEach(pairs, (count, pair) => {
+                    add('notifications_received_total', 'counter', 'Number of notifications received', Object.assign({}, labels, {type:type, exchange:exchange, pair:pair}), count);
+                });
+            });
+        });
+    });
+    let lines = [];
+    _.forEach(metrics, (metric, name) => {
+        lines.push(`# HELP ${this._prefix}_${name} ${metric.help}`);
+        lines.push(`# TYPE ${this._prefix}_${name} ${metric.type}`);
+        metric.samples.forEach((s) => {
+            lines.push(s);
+        });
+    });
+    if (0 == lines.length)
+    {
+        return '';
+    }
+    return lines.join('\n') + '\n';
+}
+
+_toSeconds(value)
+{
+    if (null === value)
+    {
+        return null;
+    }
+    return value / 1000.0;
+}
+
+_formatLabels(labels)
+{
+    let list = [];
+    _.forEach(labels, (value, name) => {
+        if (undefined === value || null === value)
+        {
+            return;
+        }
+        let v = String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+        list.push(`${name}="${v}"`);
+    });
+    if (0 == list.length)
+    {
+        return '';
+    }
+    return `{${list.join(',')}}`;
+}
+
+}
+
+module.exports = PrometheusExporter;
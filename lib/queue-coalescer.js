@@ -0,0 +1,182 @@
+"use strict";
+const _ = require('lodash');
+
+// subscription commands which can be coalesced, per type
+const TYPES = {
+    tickers:{subscribe:'subscribeToTickers', unsubscribe:'unsubscribeFromTickers', unsubscribeFromAll:'unsubscribeFromAllTickers'},
+    orderBooks:{subscribe:'subscribeToOrderBooks', unsubscribe:'unsubscribeFromOrderBooks', unsubscribeFromAll:'unsubscribeFromAllOrderBooks'},
+    trades:{subscribe:'subscribeToTrades', unsubscribe:'unsubscribeFromTrades', unsubscribeFromAll:'unsubscribeFromAllTrades'},
+    klines:{subscribe:'subscribeToKlines', unsubscribe:'unsubscribeFromKlines', unsubscribeFromAll:'unsubscribeFromAllKlines'}
+};
+
+// command => {type:string,action:string}
+const COMMANDS = {};
+Object.keys(TYPES).forEach((type) => {
+    Object.keys(TYPES[type]).forEach((action) => {
+        COMMANDS[TYPES[type][action]] = {type:type, action:action};
+    });
+});
+
+/*
+   Collapses queued subscription commands into the minimal equivalent set of commands
+
+   Subscription commands for the same exchange & type (tickers, orderBooks, trades, klines) are merged together. Any other
+   command (ie: unsubscribe, resyncOrderBooks) acts as a barrier : commands are never merged across it
+
+   Commands which cancel each other out are merged : subscribeToTickers followed by unsubscribeFromTickers for the same pair
+   will only send unsubscribeFromTickers (pair might have been subscribed before the commands were queued)
+
+   For klines, unsubscribeFromKlines without interval applies to all intervals and is always sent before subscriptions
+ */
+
+class QueueCoalescer
+{
+
+/**
+ * @param {object[]} messages list of messages {m:string,p:object,i:integer}
+ * @return {object[]} list of {messages:object[],sources:object[]} (in the order messages should be sent)
+ *
+ * - messages : messages to send instead of source messages (original message will be reused if nothing was merged)
+ * - sources : original messages
+ */
+coalesce(messages)
+{
+    let list = [];
+    // exchange|type => group
+    let groups = {};
+    let flush = () => {
+        _.forEach(groups, (group) => {
+            list.push({messages:this._getMessages(group), sources:group.sources});
+        });
+        groups = {};
+    };
+    messages.forEach((message) => {
+        let command = COMMANDS[message.m];
+        if (undefined === command || undefined === message.p || undefined === message.p.exchange)
+        {
+            flush();
+            list.push({messages:[message], sources:[message]});
+            return;
+        }
+        let key = `${message.p.exchange}|${command.type}`;
+        if (undefined === groups[key])
+        {
+            groups[key] = {exchange:message.p.exchange, type:command.type, cleared:false, intervals:{}, sources:[]};
+        }
+        let group = groups[key];
+        group.sources.push(message);
+        this._apply(group, command.action, message.p);
+    });
+    flush();
+    // keep original messages when nothing was merged
+    list.forEach((e) => {
+        if (1 == e.sources.length && 1 == e.messages.length && e.messages[0].m == e.sources[0].m && _.isEqual(e.messages[0].p, e.sources[0].p))
+        {
+            e.messages = e.sources;
+        }
+    });
+    return list;
+}
+
+/**
+ * Updates the state of a group
+ */
+_apply(group, action, params)
+{
+    let interval = undefined === params.interval ? '' : params.interval;
+    switch (action)
+    {
+        case 'subscribe':
+            if (true === params.reset)
+            {
+                // for klines, subscriptions for all intervals are discarded
+                group.cleared = true;
+                group.intervals = {};
+            }
+            params.pairs.forEach((pair) => {
+                let state = this._getInterval(group, interval);
+                state.subscribe.add(pair);
+                state.unsubscribe.delete(pair);
+            });
+            break;
+        case 'unsubscribe':
+            params.pairs.forEach((pair) => {
+                // no interval means all intervals, previous commands for this pair are not needed anymore
+                if ('' == interval)
+                {
+                    _.forEach(group.intervals, (state) => {
+                        state.subscribe.delete(pair);
+                        state.unsubscribe.delete(pair);
+                    });
+                }
+                let state = this._getInterval(group, interval);
+                state.subscribe.delete(pair);
+                // no need to unsubscribe if previous subscriptions were already discarded
+                if (!group.cleared)
+                {
+                    state.unsubscribe.add(pair);
+                }
+            });
+            break;
+        case 'unsubscribeFromAll':
+            group.cleared = true;
+            group.intervals = {};
+            break;
+    }
+}
+
+_getInterval(group, interval)
+{
+    if (undefined === group.intervals[interval])
+    {
+        group.intervals[interval] = {subscribe:new Set(), unsubscribe:new Set()};
+    }
+    return group.intervals[interval];
+}
+
+/**
+ * Builds the minimal list of messages for a group
+ */
+_getMessages(group)
+{
+    let commands = TYPES[group.type];
+    let list = [];
+    let reset = group.cleared;
+    // unsubscriptions for all intervals must be sent first since they were merged with the subscriptions issued after them
+    let intervals = Object.keys(group.intervals).sort((a, b) => {
+        return ('' == a ? 0 : 1) - ('' == b ? 0 : 1);
+    });
+    intervals.forEach((interval) => {
+        let state = group.intervals[interval];
+        if (0 != state.subscribe.size)
+        {
+            let params = {exchange:group.exchange, pairs:Array.from(state.subscribe), reset:reset};
+            if ('' != interval)
+            {
+                params.interval = interval;
+            }
+            list.push({m:commands.subscribe, p:params});
+            // only the first subscription needs to discard previous ones
+            reset = false;
+        }
+        if (0 != state.unsubscribe.size)
+        {
+            let params = {exchange:group.exchange, pairs:Array.from(state.unsubscribe)};
+            if ('' != interval)
+            {
+                params.interval = interval;
+            }
+            list.push({m:commands.unsubscribe, p:params});
+        }
+    });
+    // all subscriptions were discarded and no new subscription was added
+    if (reset)
+    {
+        list.push({m:commands.unsubscribeFromAll, p:{exchange:group.exchange}});
+    }
+    return list;
+}
+
+}
+
+module.exports = QueueCoalescer;
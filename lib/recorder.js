@@ -0,0 +1,176 @@
+"use strict";
+const fs = require('fs');
+const EventEmitter = require('events');
+const debug = require('debug')('CEWSC:Recorder');
+
+// maximum number of lines waiting for file stream to be drained
+const MAX_PENDING_LINES = 10000;
+
+/*
+   Records raw messages received from gateway to an append-only JSONL file (one JSON object per line)
+
+   Each line will be one of the following
+
+   - {"timestamp":integer,"source":string,"message":string} for a message received from gateway
+   - {"timestamp":integer,"source":string,"event":string,"data":object} for a connection event (connected|disconnected)
+
+   - timestamp : unix timestamp in milliseconds when message was received
+   - source : rpc|tickerMonitor
+
+   Following events can be emitted
+
+   1) error, when file cannot be written (file will be opened again on next write) or when messages were dropped because file
+      could not be written fast enough
+
+   Data will be the error which occurred
+ */
+
+class Recorder extends EventEmitter
+{
+
+constructor(file)
+{
+    super();
+    this._file = file;
+    this._stream = null;
+    // lines waiting for file stream to be drained
+    this._pendingLines = [];
+    // whether or not we're waiting for file stream to be drained
+    this._waitingForDrain = false;
+    // whether or not lines are being dropped because too many lines are waiting
+    this._dropping = false;
+}
+
+getFile()
+{
+    return this._file;
+}
+
+/**
+ * Records a message received from gateway
+ *
+ * @param {string} source rpc|tickerMonitor
+ * @param {string} message raw message
+ */
+recordMessage(source, message)
+{
+    this._write({timestamp:Date.now(),source:source,message:message.toString()});
+}
+
+/**
+ * Records a connection event
+ *
+ * @param {string} source rpc|tickerMonitor
+ * @param {string} event connected|disconnected
+ * @param {object} data event data (optional)
+ */
+recordEvent(source, event, data)
+{
+    let obj = {timestamp:Date.now(),source:source,event:event};
+    if (undefined !== data)
+    {
+        obj.data = data;
+    }
+    this._write(obj);
+}
+
+/**
+ * Closes file (it will be opened again on next write)
+ */
+close()
+{
+    if (null === this._stream)
+    {
+        return;
+    }
+    let stream = this._stream;
+    let data = this._pendingLines.join('');
+    this._resetStream();
+    stream.end(data);
+}
+
+_write(obj)
+{
+    let line = JSON.stringify(obj) + '\n';
+    if (null === this._stream)
+    {
+        this._open();
+    }
+    if (this._waitingForDrain)
+    {
+        if (this._pendingLines.length >= MAX_PENDING_LINES)
+        {
+            if (!this._dropping)
+            {
+                this._dropping = true;
+                this._emitError(new Error(`Too many messages are waiting to be written to '${this._file}', messages will be dropped`));
+            }
+            return;
+        }
+        this._pendingLines.push(line);
+        return;
+    }
+    if (!this._stream.write(line))
+    {
+        this._waitingForDrain = true;
+    }
+}
+
+_open()
+{
+    if (debug.enabled)
+    {
+        debug(`Opening '${this._file}'`);
+    }
+    let stream = fs.createWriteStream(this._file, {flags:'a'});
+    stream.on('drain', () => {
+        // file was closed or an error occurred
+        if (stream !== this._stream)
+        {
+            return;
+        }
+        this._dropping = false;
+        this._waitingForDrain = false;
+        if (0 == this._pendingLines.length)
+        {
+            return;
+        }
+        let data = this._pendingLines.join('');
+        this._pendingLines = [];
+        if (!stream.write(data))
+        {
+            this._waitingForDrain = true;
+        }
+    });
+    stream.on('error', (err) => {
+        // stop writing to this stream, a new one will be opened on next write
+        if (stream === this._stream)
+        {
+            this._resetStream();
+        }
+        stream.destroy();
+        this._emitError(err);
+    });
+    this._stream = stream;
+}
+
+_resetStream()
+{
+    this._stream = null;
+    this._pendingLines = [];
+    this._waitingForDrain = false;
+    this._dropping = false;
+}
+
+_emitError(err)
+{
+    if (debug.enabled)
+    {
+        debug(`Could not write to '${this._file}' : ${err.message}`);
+    }
+    this.emit('error', err);
+}
+
+}
+
+module.exports = Recorder;
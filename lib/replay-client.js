@@ -0,0 +1,235 @@
+"use strict";
+const fs = require('fs');
+const readline = require('readline');
+const debug = require('debug')('CEWSC:ReplayClient');
+const Client = require('./client');
+const CommandError = require('./command-error');
+
+// replay at real time
+const SPEED = 1;
+
+/*
+   Replays a file recorded using 'recordFile' option of Client
+
+   Same events as Client will be emitted (connected, disconnected, ready, ticker, orderBook ...)
+
+   Following extra event can be emitted
+
+   1) end, when all messages have been replayed
+
+   Data will be an object {messages:integer}
+
+   - messages : number of messages which were replayed
+
+   2) replayError, when file could not be read or contained invalid entries
+
+   Data will be an object {line:integer,error:err}
+
+   Commands (subscribeToTickers, getPairs ...) cannot be sent and will fail with a CommandError (code = 'unsupported')
+ */
+
+class ReplayClient extends Client
+{
+
+/**
+ * @param {string} file recorded file
+ * @param {object} options same options as Client + {speed:float} (optional)
+ *
+ * - speed : 1 to replay at real time, 2 to replay twice as fast ... (use 0 to replay as fast as possible) (default = 1)
+ */
+constructor(file, options)
+{
+    let opt = Object.assign({}, options);
+    let speed = SPEED;
+    if (undefined !== opt.speed)
+    {
+        speed = parseFloat(opt.speed);
+        if (isNaN(speed) || speed < 0)
+        {
+            throw new Error("Argument 'options.speed' should be a float >= 0");
+        }
+    }
+    let autoConnect = false !== opt.autoConnect;
+    // we don't want to record or to send anything
+    delete opt.recordFile;
+    delete opt.speed;
+    opt.autoConnect = false;
+    opt.autoResubscribe = false;
+    super('ws://127.0.0.1/', opt);
+    this._file = file;
+    this._speed = speed;
+    // whether or not replay is in progress
+    this._replaying = false;
+    // incremented each time replay is started or stopped (used to stop previous replay)
+    this._replayId = 0;
+    if (autoConnect)
+    {
+        this.connect();
+    }
+}
+
+/**
+ * Starts replay (replay will start from the beginning of the file if it was previously stopped)
+ */
+connect()
+{
+    if (this._replaying)
+    {
+        return;
+    }
+    this._replaying = true;
+    // replay always starts from the beginning of the file
+    this._readyTimestamp = null;
+    this._readyCounter = 0;
+    let replayId = ++this._replayId;
+    this._replay(replayId).catch((e) => {
+        this.emit('replayError', {line:null,error:e});
+    }).then(() => {
+        if (replayId == this._replayId)
+        {
+            this._replaying = false;
+        }
+    });
+}
+
+reconnect()
+{
+    this.disconnect();
+    this.connect();
+}
+
+isConnected()
+{
+    return this._replaying;
+}
+
+/**
+ * Stops replay
+ */
+disconnect()
+{
+    if (!this._replaying)
+    {
+        return;
+    }
+    ++this._replayId;
+    this._replaying = false;
+    if (null !== this._klineBuilder)
+    {
+        this._klineBuilder.reset();
+    }
+}
+
+/**
+ * Commands cannot be sent when replaying
+ */
+_send(list)
+{
+    list.forEach((message) => {
+        this._failCommand(message.i, new CommandError(message.m, CommandError.UNSUPPORTED, 'commands cannot be sent when replaying'));
+    });
+}
+
+async _replay(replayId)
+{
+    if (debug.enabled)
+    {
+        debug(`Replaying '${this._file}' (speed = ${this._speed})`);
+    }
+    let input = fs.createReadStream(this._file);
+    let rl = readline.createInterface({input:input, crlfDelay:Infinity});
+    let lineNumber = 0;
+    let messages = 0;
+    let previousTimestamp = null;
+    try
+    {
+        for await (const line of rl)
+        {
+            if (replayId != this._replayId)
+            {
+                return;
+            }
+            ++lineNumber;
+            if ('' == line.trim())
+            {
+                continue;
+            }
+            let entry;
+            try
+            {
+                entry = JSON.parse(line);
+            }
+            catch (e)
+            {
+                this.emit('replayError', {line:lineNumber,error:e});
+                continue;
+            }
+            if (0 != this._speed && null !== previousTimestamp && entry.timestamp > previousTimestamp)
+            {
+                await this._wait((entry.timestamp - previousTimestamp) / this._speed);
+                if (replayId != this._replayId)
+                {
+                    return;
+                }
+            }
+            previousTimestamp = entry.timestamp;
+            this._replayEntry(entry);
+            ++messages;
+        }
+    }
+    finally
+    {
+        rl.close();
+        input.destroy();
+    }
+    if (replayId != this._replayId)
+    {
+        return;
+    }
+    if (debug.enabled)
+    {
+        debug(`Replay of '${this._file}' is over : ${messages} messages`);
+    }
+    this.emit('end', {messages:messages});
+}
+
+_replayEntry(entry)
+{
+    if (undefined !== entry.event)
+    {
+        if ('rpc' != entry.source)
+        {
+            return;
+        }
+        let data = Object.assign({}, entry.data);
+        switch (entry.event)
+        {
+            case 'connected':
+                this._connectionCounter = data.connectionId;
+                this._connectedTimestamp = Date.now();
+                this.emit('connected', data);
+                break;
+            case 'disconnected':
+                this.emit('disconnected', data);
+                break;
+        }
+        return;
+    }
+    if ('tickerMonitor' == entry.source)
+    {
+        this._processTickerMonitorMessage(entry.message);
+        return;
+    }
+    this._processMessage(entry.message);
+}
+
+_wait(delay)
+{
+    return new Promise((resolve) => {
+        setTimeout(resolve, delay);
+    });
+}
+
+}
+
+module.exports = ReplayClient;
@@ -0,0 +1,257 @@
+"use strict";
+
+/*
+   Keeps track of subscriptions made by client, so that they can be replayed when gateway session is new
+ */
+
+class SubscriptionTracker
+{
+
+constructor()
+{
+    // exchange => {tickers:Set,orderBooks:Set,trades:Set,klines:{interval:Set}}
+    this._subscriptions = {};
+}
+
+/**
+ * Updates subscriptions based on a command sent to gateway
+ *
+ * Commands which are not related to subscriptions will be ignored
+ *
+ * @param {string} command command name (ex: subscribeToTickers)
+ * @param {object} params command parameters
+ */
+update(command, params)
+{
+    if (undefined === params)
+    {
+        params = {};
+    }
+    switch (command)
+    {
+        case 'subscribeToTickers':
+            this._subscribe(params.exchange, 'tickers', params.pairs, params.reset);
+            break;
+        case 'subscribeToOrderBooks':
+            this._subscribe(params.exchange, 'orderBooks', params.pairs, params.reset);
+            break;
+        case 'subscribeToTrades':
+            this._subscribe(params.exchange, 'trades', params.pairs, params.reset);
+            break;
+        case 'subscribeToKlines':
+            this._subscribeToKlines(params.exchange, params.pairs, params.interval, params.reset);
+            break;
+        case 'unsubscribeFromTickers':
+            this._unsubscribe(params.exchange, 'tickers', params.pairs);
+            break;
+        case 'unsubscribeFromOrderBooks':
+            this._unsubscribe(params.exchange, 'orderBooks', params.pairs);
+            break;
+        case 'unsubscribeFromTrades':
+            this._unsubscribe(params.exchange, 'trades', params.pairs);
+            break;
+        case 'unsubscribeFromKlines':
+            this._unsubscribeFromKlines(params.exchange, params.pairs, params.interval);
+            break;
+        case 'unsubscribeFromAllTickers':
+            this._unsubscribe(params.exchange, 'tickers');
+            break;
+        case 'unsubscribeFromAllOrderBooks':
+            this._unsubscribe(params.exchange, 'orderBooks');
+            break;
+        case 'unsubscribeFromAllTrades':
+            this._unsubscribe(params.exchange, 'trades');
+            break;
+        case 'unsubscribeFromAllKlines':
+            this._unsubscribeFromKlines(params.exchange);
+            break;
+        case 'unsubscribe':
+            if (undefined === params.exchange)
+            {
+                this._subscriptions = {};
+            }
+            else
+            {
+                delete this._subscriptions[params.exchange];
+            }
+            break;
+    }
+}
+
+/**
+ * Whether or not we have at least one subscription
+ *
+ * @return {boolean}
+ */
+isEmpty()
+{
+    return 0 == Object.keys(this.getSubscriptions()).length;
+}
+
+/**
+ * Returns current subscriptions (exchanges without subscriptions will be omitted)
+ *
+ * @return {object} {exchange:{tickers:array,orderBooks:array,trades:array,klines:{interval:array}}}
+ */
+getSubscriptions()
+{
+    let list = {};
+    Object.keys(this._subscriptions).forEach((exchange) => {
+        let obj = this._subscriptions[exchange];
+        let subscriptions = {};
+        let isEmpty = true;
+        ['tickers', 'orderBooks', 'trades'].forEach((type) => {
+            subscriptions[type] = Array.from(obj[type]);
+            if (0 != subscriptions[type].length)
+            {
+                isEmpty = false;
+            }
+        });
+        subscriptions.klines = {};
+        Object.keys(obj.klines).forEach((interval) => {
+            if (0 == obj.klines[interval].size)
+            {
+                return;
+            }
+            subscriptions.klines[interval] = Array.from(obj.klines[interval]);
+            isEmpty = false;
+        });
+        if (!isEmpty)
+        {
+            list[exchange] = subscriptions;
+        }
+    });
+    return list;
+}
+
+/**
+ * Returns the list of commands which should be sent to restore subscriptions
+ *
+ * @return {array} [{command:string,params:object}]
+ */
+getCommands()
+{
+    let list = [];
+    let subscriptions = this.getSubscriptions();
+    Object.keys(subscriptions).forEach((exchange) => {
+        let obj = subscriptions[exchange];
+        if (0 != obj.tickers.length)
+        {
+            list.push({command:'subscribeToTickers', params:{exchange:exchange,reset:false,pairs:obj.tickers}});
+        }
+        if (0 != obj.orderBooks.length)
+        {
+            list.push({command:'subscribeToOrderBooks', params:{exchange:exchange,reset:false,pairs:obj.orderBooks}});
+        }
+        if (0 != obj.trades.length)
+        {
+            list.push({command:'subscribeToTrades', params:{exchange:exchange,reset:false,pairs:obj.trades}});
+        }
+        Object.keys(obj.klines).forEach((interval) => {
+            list.push({command:'subscribeToKlines', params:{exchange:exchange,interval:interval,reset:false,pairs:obj.klines[interval]}});
+        });
+    });
+    return list;
+}
+
+_getExchange(exchange)
+{
+    if (undefined === this._subscriptions[exchange])
+    {
+        this._subscriptions[exchange] = {tickers:new Set(),orderBooks:new Set(),trades:new Set(),klines:{}};
+    }
+    return this._subscriptions[exchange];
+}
+
+_subscribe(exchange, type, pairs, reset)
+{
+    if (!Array.isArray(pairs))
+    {
+        return;
+    }
+    let obj = this._getExchange(exchange);
+    if (true === reset)
+    {
+        obj[type] = new Set();
+    }
+    pairs.forEach((pair) => {
+        obj[type].add(pair);
+    });
+}
+
+/**
+ * @param {string} exchange exchange identifier
+ * @param {string} type subscription type (tickers|orderBooks|trades)
+ * @param {array} pairs list of pairs (optional, if not defined all subscriptions will be removed)
+ */
+_unsubscribe(exchange, type, pairs)
+{
+    if (undefined === this._subscriptions[exchange])
+    {
+        return;
+    }
+    let obj = this._subscriptions[exchange];
+    if (undefined === pairs)
+    {
+        obj[type] = new Set();
+        return;
+    }
+    pairs.forEach((pair) => {
+        obj[type].delete(pair);
+    });
+}
+
+/**
+ * NB: when using reset, subscriptions for all intervals will be discarded
+ */
+_subscribeToKlines(exchange, pairs, interval, reset)
+{
+    if (!Array.isArray(pairs))
+    {
+        return;
+    }
+    let obj = this._getExchange(exchange);
+    if (true === reset)
+    {
+        obj.klines = {};
+    }
+    if (undefined === obj.klines[interval])
+    {
+        obj.klines[interval] = new Set();
+    }
+    pairs.forEach((pair) => {
+        obj.klines[interval].add(pair);
+    });
+}
+
+/**
+ * @param {string} exchange exchange identifier
+ * @param {array} pairs list of pairs (optional, if not defined all subscriptions will be removed)
+ * @param {string} interval kline interval (optional, if not defined subscriptions will be removed for all intervals)
+ */
+_unsubscribeFromKlines(exchange, pairs, interval)
+{
+    if (undefined === this._subscriptions[exchange])
+    {
+        return;
+    }
+    let obj = this._subscriptions[exchange];
+    if (undefined === pairs)
+    {
+        obj.klines = {};
+        return;
+    }
+    Object.keys(obj.klines).forEach((i) => {
+        if (undefined !== interval && i != interval)
+        {
+            return;
+        }
+        pairs.forEach((pair) => {
+            obj.klines[i].delete(pair);
+        });
+    });
+}
+
+}
+
+module.exports = SubscriptionTracker;
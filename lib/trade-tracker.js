@@ -0,0 +1,283 @@
+"use strict";
+const EventEmitter = require('events');
+const debug = require('debug')('CEWSC:TradeTracker');
+
+// maximum number of trade ids to remember per pair
+const MAX_IDS = 1000;
+
+/*
+   Drops duplicate trades (based on trade id) and detects likely gaps in trades, per exchange/pair
+
+   Following events can be emitted
+
+   1) gap, when some trades were likely missed
+
+   Data will be an object {exchange:string,pair:string,reason:string,from:object,to:object}
+
+   - reason : 'disconnection' (connection was lost and trades received after reconnection do not overlap with previous ones
+              or, for exchanges listed in 'sequentialIds', first trade id is not consecutive with the last one)
+              or 'sequence' (trade ids are not consecutive, only checked for exchanges listed in 'sequentialIds')
+   - from : last trade received before the gap {id:integer,timestamp:float}
+   - to : first trade received after the gap {id:integer,timestamp:float}
+
+ */
+
+class TradeTracker extends EventEmitter
+{
+
+/**
+ * @param {object} options {maxIds:integer,sequentialIds:boolean|string[]} (optional)
+ *
+ * - maxIds : maximum number of trade ids to remember per pair (default = 1000)
+ * - sequentialIds : whether or not trade ids are consecutive per pair, for all exchanges (true) or only for a list of exchanges (default = false)
+ */
+constructor(options)
+{
+    super();
+    let opt = Object.assign({}, options);
+    this._maxIds = undefined === opt.maxIds ? MAX_IDS : opt.maxIds;
+    this._sequentialIds = undefined === opt.sequentialIds ? false : opt.sequentialIds;
+    // exchange => pair => {ids:Set,queue:array,last:{id:integer,timestamp:float},disconnected:boolean}
+    this._pairs = {};
+}
+
+/**
+ * Process a 'trades' notification
+ *
+ * @param {object} evt 'trades' event {exchange:string,pair:string,data:array}
+ * @return {object} event without duplicate trades or null if all trades were duplicates
+ */
+processTrades(evt)
+{
+    // invalid notifications are ignored
+    if (!this._isValid(evt))
+    {
+        if (debug.enabled)
+        {
+            debug(`Ignoring invalid 'trades' notification : ${JSON.stringify(evt)}`);
+        }
+        return evt;
+    }
+    let state = this._getState(evt.exchange, evt.pair);
+    // sort trades from oldest to newest
+    let trades = evt.data.slice().sort((a, b) => {
+        if (a.timestamp != b.timestamp)
+        {
+            return a.timestamp - b.timestamp;
+        }
+        if (undefined !== a.id && undefined !== b.id)
+        {
+            return a.id - b.id;
+        }
+        return 0;
+    });
+    let duplicates = 0;
+    let list = [];
+    trades.forEach((trade) => {
+        if (undefined !== trade.id)
+        {
+            if (state.ids.has(trade.id))
+            {
+                ++duplicates;
+                return;
+            }
+            this._rememberId(state, trade.id);
+        }
+        list.push(trade);
+    });
+    if (0 != duplicates && debug.enabled)
+    {
+        debug(`Dropped ${duplicates} duplicate trade(s) for '${evt.exchange}|${evt.pair}'`);
+    }
+    if (0 == list.length)
+    {
+        // duplicates prove that trades received after reconnection overlap with previous ones
+        if (0 != duplicates)
+        {
+            state.disconnected = false;
+        }
+        return null;
+    }
+    if (null !== state.last)
+    {
+        if (state.disconnected)
+        {
+            let missed;
+            // trade ids are enough to know whether or not trades were missed
+            if (this._hasSequentialIds(evt.exchange) && Number.isInteger(list[0].id) && Number.isInteger(state.last.id))
+            {
+                missed = list[0].id > state.last.id + 1;
+            }
+            // trades received after reconnection should overlap with previous ones
+            else
+            {
+                missed = 0 == duplicates && list[0].timestamp > state.last.timestamp;
+            }
+            if (missed)
+            {
+                this._emitGap(evt.exchange, evt.pair, 'disconnection', state.last, list[0]);
+            }
+        }
+        else if (this._hasSequentialIds(evt.exchange))
+        {
+            let last = state.last;
+            list.forEach((trade) => {
+                if (!Number.isInteger(trade.id) || !Number.isInteger(last.id))
+                {
+                    return;
+                }
+                if (trade.id > last.id + 1)
+                {
+                    this._emitGap(evt.exchange, evt.pair, 'sequence', last, trade);
+                }
+                last = trade;
+            });
+        }
+    }
+    state.disconnected = false;
+    let newest = list[list.length - 1];
+    state.last = {id:newest.id, timestamp:newest.timestamp};
+    if (list.length == evt.data.length)
+    {
+        return evt;
+    }
+    // keep original order
+    let kept = new Set(list);
+    return Object.assign({}, evt, {data:evt.data.filter((trade) => kept.has(trade))});
+}
+
+/**
+ * Called when connection was lost (next trades will be checked for a gap)
+ */
+processConnectionLoss()
+{
+    Object.keys(this._pairs).forEach((exchange) => {
+        Object.keys(this._pairs[exchange]).forEach((pair) => {
+            this._pairs[exchange][pair].disconnected = true;
+        });
+    });
+}
+
+/**
+ * Stops tracking trades
+ *
+ * @param {string} exchange exchange identifier (optional, if not defined all exchanges will be removed)
+ * @param {array} pairs list of pairs (optional, if not defined all pairs will be removed)
+ */
+remove(exchange, pairs)
+{
+    if (undefined === exchange)
+    {
+        this._pairs = {};
+        return;
+    }
+    if (undefined === this._pairs[exchange])
+    {
+        return;
+    }
+    if (undefined === pairs)
+    {
+        delete this._pairs[exchange];
+        return;
+    }
+    for (let i = 0; i < pairs.length; ++i)
+    {
+        delete this._pairs[exchange][pairs[i]];
+    }
+}
+
+/**
+ * Stops tracking trades for an exchange, except for a list of pairs
+ *
+ * @param {string} exchange exchange identifier
+ * @param {array} pairs list of pairs to keep
+ */
+keep(exchange, pairs)
+{
+    if (undefined === this._pairs[exchange])
+    {
+        return;
+    }
+    let obj = {};
+    for (let i = 0; i < pairs.length; ++i)
+    {
+        if (undefined !== this._pairs[exchange][pairs[i]])
+        {
+            obj[pairs[i]] = this._pairs[exchange][pairs[i]];
+        }
+    }
+    this._pairs[exchange] = obj;
+}
+
+/**
+ * Checks whether or not a 'trades' notification can be processed
+ *
+ * @param {object} evt 'trades' event
+ * @return {boolean}
+ */
+_isValid(evt)
+{
+    if (null === evt || 'object' != typeof evt || 'string' != typeof evt.exchange || 'string' != typeof evt.pair || !Array.isArray(evt.data))
+    {
+        return false;
+    }
+    for (let i = 0; i < evt.data.length; ++i)
+    {
+        if (null === evt.data[i] || 'object' != typeof evt.data[i])
+        {
+            return false;
+        }
+    }
+    return true;
+}
+
+_getState(exchange, pair)
+{
+    if (undefined === this._pairs[exchange])
+    {
+        this._pairs[exchange] = {};
+    }
+    if (undefined === this._pairs[exchange][pair])
+    {
+        this._pairs[exchange][pair] = {ids:new Set(), queue:[], last:null, disconnected:false};
+    }
+    return this._pairs[exchange][pair];
+}
+
+_rememberId(state, id)
+{
+    state.ids.add(id);
+    state.queue.push(id);
+    if (state.queue.length > this._maxIds)
+    {
+        state.ids.delete(state.queue.shift());
+    }
+}
+
+_hasSequentialIds(exchange)
+{
+    if (Array.isArray(this._sequentialIds))
+    {
+        return this._sequentialIds.includes(exchange);
+    }
+    return true === this._sequentialIds;
+}
+
+_emitGap(exchange, pair, reason, from, to)
+{
+    if (debug.enabled)
+    {
+        debug(`Gap detected for '${exchange}|${pair}' (${reason}) : from = ${JSON.stringify(from)}, to = ${JSON.stringify(to)}`);
+    }
+    this.emit('gap', {
+        exchange:exchange,
+        pair:pair,
+        reason:reason,
+        from:{id:from.id, timestamp:from.timestamp},
+        to:{id:to.id, timestamp:to.timestamp}
+    });
+}
+
+}
+
+module.exports = TradeTracker;
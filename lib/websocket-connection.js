@@ -1,8 +1,10 @@
 "use strict";
-const retry = require('retry');
-const WebSocket = require('ws');
 const EventEmitter = require('events');
+const url = require('url');
+const querystring = require('querystring');
 const debug = require('debug')('CEWSC:WebSocketConnection');
+const Backoff = require('./backoff');
+const NativeTransport = require('./native-transport');
 
 // how long should we wait before trying to reconnect upon connection failure
 const RETRY_DELAY = 10 * 1000;
@@ -10,15 +12,25 @@ const RETRY_DELAY = 10 * 1000;
 // infinite retry
 const RETRY_COUNT = -1;
 
+// how long should connection stay connected before retry delay is reset
+const RETRY_RESET_AFTER = 60 * 1000;
+
 // connection will be closed if we don't receive pong after timeout
 const PING_TIMEOUT = 30000;
 
 // how long do we want to wait for handshake
 const HANDSHAKE_TIMEOUT = 10 * 1000;
 
+// HTTP status returned by gateway when handshake is rejected because of invalid credentials
+const AUTH_ERROR_CODES = [401, 403];
+
 // default user agent
 const USER_AGENT = 'CEWSC 1.0';
 
+// transports
+const TRANSPORT_WS = 'ws';
+const TRANSPORT_NATIVE = 'native';
+
 // connection states
 const STATE_NEW = 0;
 const STATE_CONNECTING = 1;
@@ -53,11 +65,35 @@ const STATE_DISCONNECTED = 3;
 
    Event will only be emitted once in the lifetime of the object
 
+   5) authError, when gateway rejected handshake because of invalid credentials (HTTP 401 or 403)
+
+   Event will be emitted instead of connectionError
+
+   Data will be an object {attempts:integer,retry:boolean,error:err}
+
  */
 
 class WebSocketConnection extends EventEmitter
 {
 
+/**
+ * @param {string} uri WS uri
+ * @param {object} options (optional)
+ *
+ * - transport : 'ws' (use 'ws' package), 'native' (use global WebSocket) or a W3C compatible WebSocket constructor (default = 'ws')
+ * - keepaliveMessage : message to send periodically when transport does not support WS PING (optional, any message received
+ *                      will be considered as a reply). If not defined, connection won't be checked when WS PING is not supported
+ * - headers : extra headers to send during handshake (optional)
+ * - handshakeTimeout : how long (in ms) to wait for handshake (0 = no timeout) (default = 10000)
+ * - agent : http.Agent to use (optional)
+ * - proxy : HTTP(S) proxy uri (optional, ignored if agent is defined)
+ * - tls : TLS options {ca,cert,key,passphrase,pfx,rejectUnauthorized} (optional)
+ * - credentials : function called before each connection attempt, returning {apiKey:string,headers:object} (or a Promise) (optional)
+ *                 Values returned will override apiKey & headers
+ * - other options : apiKey, retryCount, retryDelay, pingTimeout, backoff, retryResetAfter
+ *
+ * NB: headers, handshakeTimeout, agent, proxy & tls are only supported by 'ws' transport
+ */
 constructor(uri, options)
 {
     super();
@@ -66,6 +102,16 @@ constructor(uri, options)
     this._retryDelay = RETRY_DELAY;
     this._pingTimeout = PING_TIMEOUT;
     this._apiKey = '';
+    this._backoff = null;
+    this._retryResetAfter = RETRY_RESET_AFTER;
+    this._transport = TRANSPORT_WS;
+    this._keepaliveMessage = null;
+    this._headers = {};
+    this._handshakeTimeout = HANDSHAKE_TIMEOUT;
+    this._agent = null;
+    this._proxyAgent = null;
+    this._tls = null;
+    this._credentials = null;
     if (undefined !== options)
     {
         // retry count
@@ -85,7 +131,56 @@ constructor(uri, options)
         {
             this._apiKey = options.apiKey;
         }
+        // can be shared with other connections so that delay keeps increasing across reconnections
+        if (undefined !== options.backoff)
+        {
+            this._backoff = options.backoff;
+        }
+        if (undefined !== options.retryResetAfter)
+        {
+            this._retryResetAfter = options.retryResetAfter;
+        }
+        if (undefined !== options.transport)
+        {
+            this._transport = options.transport;
+        }
+        if (undefined !== options.keepaliveMessage)
+        {
+            this._keepaliveMessage = options.keepaliveMessage;
+        }
+        if (undefined !== options.headers)
+        {
+            this._headers = options.headers;
+        }
+        if (undefined !== options.handshakeTimeout)
+        {
+            this._handshakeTimeout = options.handshakeTimeout;
+        }
+        if (undefined !== options.agent)
+        {
+            this._agent = options.agent;
+        }
+        if (undefined !== options.proxy)
+        {
+            // only loaded when needed so that Node.js 'http' & 'tls' modules are not required in browsers
+            const HttpProxyAgent = require('./http-proxy-agent');
+            this._proxyAgent = new HttpProxyAgent(options.proxy, 'wss:' == url.parse(uri).protocol);
+        }
+        if (undefined !== options.tls)
+        {
+            this._tls = options.tls;
+        }
+        if (undefined !== options.credentials)
+        {
+            this._credentials = options.credentials;
+        }
+    }
+    if (null === this._backoff)
+    {
+        this._backoff = new Backoff({initialDelay:this._retryDelay});
     }
+    // used to reset backoff once connection has been stable for long enough
+    this._resetTimer = null;
     this._ws = null;
     // when WS successfully connected
     this._timestamp = null;
@@ -107,6 +202,166 @@ send(data)
     this._ws.send(data);
 }
 
+/**
+ * Retrieves the class of the transport to use
+ *
+ * @return {function}
+ */
+_getTransportClass()
+{
+    if (TRANSPORT_WS === this._transport)
+    {
+        // only loaded when needed so that 'ws' package is not required in browsers
+        return require('./ws-transport');
+    }
+    return NativeTransport;
+}
+
+/**
+ * Retrieves credentials to use for next connection attempt, using credentials provider
+ *
+ * @return {Promise} Promise which will resolve to {apiKey:string,headers:object}
+ */
+_getCredentials()
+{
+    return Promise.resolve().then(() => {
+        return this._credentials();
+    }).then((result) => {
+        let credentials = {apiKey:this._apiKey, headers:this._headers};
+        if (undefined === result || null === result)
+        {
+            return credentials;
+        }
+        if ('object' != typeof result)
+        {
+            throw new Error('Credentials provider should return an object');
+        }
+        if (undefined !== result.apiKey && null !== result.apiKey)
+        {
+            if ('string' != typeof result.apiKey)
+            {
+                throw new Error("Credentials provider returned an invalid 'apiKey'");
+            }
+            credentials.apiKey = result.apiKey;
+        }
+        if (undefined !== result.headers && null !== result.headers)
+        {
+            if ('object' != typeof result.headers || Array.isArray(result.headers))
+            {
+                throw new Error("Credentials provider returned invalid 'headers'");
+            }
+            credentials.headers = Object.assign({}, this._headers, result.headers);
+        }
+        return credentials;
+    });
+}
+
+/**
+ * Creates a new transport
+ *
+ * @param {function} Transport transport class
+ * @param {object} credentials {apiKey:string,headers:object}
+ * @return {object}
+ */
+_createTransport(Transport, credentials)
+{
+    let uri = this._uri;
+    if (Transport.supportsHeaders())
+    {
+        let headers = Object.assign({
+            'User-Agent': USER_AGENT
+        }, credentials.headers);
+        if ('' != credentials.apiKey)
+        {
+            headers['ApiKey'] = credentials.apiKey;
+        }
+        let transportOptions = {headers:headers, handshakeTimeout:this._handshakeTimeout};
+        if (null !== this._agent)
+        {
+            transportOptions.agent = this._agent;
+        }
+        else if (null !== this._proxyAgent)
+        {
+            transportOptions.agent = this._proxyAgent;
+        }
+        if (null !== this._tls)
+        {
+            transportOptions.tls = this._tls;
+        }
+        return new Transport(uri, transportOptions);
+    }
+    // send api key using query string since headers are not supported
+    if ('' != credentials.apiKey)
+    {
+        let u = url.parse(uri, true);
+        let params = Object.assign({}, u.query, {apiKey:credentials.apiKey});
+        uri = `${u.protocol}//${u.host}${null === u.pathname ? '/' : u.pathname}?${querystring.stringify(params)}`;
+    }
+    let transportOptions = {};
+    if (TRANSPORT_NATIVE !== this._transport)
+    {
+        transportOptions.WebSocket = this._transport;
+    }
+    return new Transport(uri, transportOptions);
+}
+
+/**
+ * Starts checking that connection is alive, using WS PING or keepalive messages
+ *
+ * @param {object} ws transport
+ * @param {boolean} supportsPing whether or not transport supports WS PING
+ */
+_startKeepalive(ws, supportsPing)
+{
+    if (0 == this._pingTimeout)
+    {
+        return;
+    }
+    if (!supportsPing && null === this._keepaliveMessage)
+    {
+        if (debug.enabled)
+        {
+            debug("Transport does not support WS PING and no keepalive message was defined, connection won't be checked");
+        }
+        return;
+    }
+    let self = this;
+    let ping = function(){
+        if (supportsPing)
+        {
+            ws.ping();
+            return;
+        }
+        ws.send(self._keepaliveMessage);
+    };
+    ws.isAlive = false;
+    // any message received proves that connection is alive
+    ws.on(supportsPing ? 'pong' : 'message', function(){
+        ws.isAlive = true;
+    });
+    // initial ping
+    ping();
+    let interval = setInterval(function() {
+        if (!ws.isOpen())
+        {
+            clearTimeout(interval);
+            return;
+        }
+        if (!ws.isAlive)
+        {
+            if (debug.enabled)
+            {
+                debug("WS timeout : timeout = %d", self._pingTimeout);
+            }
+            ws.terminate();
+            clearTimeout(interval);
+            return;
+        }
+        ws.isAlive = false;
+        ping();
+    }, self._pingTimeout);
+}
+
 disconnect()
 {
     if (STATE_DISCONNECTED == this._connectionState || STATE_DISCONNECTING == this._connectionState)
@@ -129,170 +384,209 @@ connect()
     let self = this;
     try
     {
-        let retryOptions = {
-            minTimeout:this._retryDelay,
-            // do not use any exponential factor
-            factor:1,
-            randomize:false
-        };
-        if (-1 == this._retryCount)
-        {
-            retryOptions.forever = true;
-        }
-        else
-        {
-            retryOptions.retries = this._retryCount;
-        }
-        let wsOptions = {
-            perMessageDeflate: false,
-            handshakeTimeout:HANDSHAKE_TIMEOUT,
-            headers: {
-                'User-Agent': USER_AGENT
+        let Transport = this._getTransportClass();
+        /*
+         * Schedules a new connection attempt
+         *
+         * @return {boolean} false if there is no retry left
+         */
+        let retry = function(){
+            if (-1 != self._retryCount && attempt > self._retryCount)
+            {
+                return false;
             }
-        }
-        if ('' != this._apiKey)
-        {
-            wsOptions.headers['ApiKey'] = this._apiKey;
-        }
-        let operation = retry.operation(retryOptions);
-        operation.attempt(function(currentAttempt){
+            let delay = self._backoff.next();
+            if (debug.enabled)
+            {
+                debug("Will retry to connect in %dms", delay);
+            }
+            setTimeout(function(){
+                attemptConnection(attempt + 1);
+            }, delay);
+            return true;
+        };
+        let attemptConnection = function(currentAttempt){
             // connection has already been disconnected by client
             if (STATE_CONNECTING != self._connectionState)
             {
                 return;
             }
             attempt = currentAttempt;
-            let doRetry = true;
-            let ws = new WebSocket(self._uri, wsOptions);
-            let ignoreErrorEvent = false;
-            let skipCloseEvent = false;
-            ws.on('open', function() {
+            // credentials don't need to be retrieved
+            if (null === self._credentials)
+            {
+                tryOpenConnection({apiKey:self._apiKey, headers:self._headers});
+                return;
+            }
+            self._getCredentials().then((credentials) => {
                 // connection has already been disconnected by client
                 if (STATE_CONNECTING != self._connectionState)
                 {
                     return;
                 }
-                self._connectionState = STATE_CONNECTED;
-                if (debug.enabled)
-                {
-                    debug("WS is connected");
-                }
-                self._ignoreCloseEvent = false;
-                skipCloseEvent = false;
-                self._timestamp = new Date().getTime();
-                self._ws = this;
-                // start ping/pong
-                if (0 != self._pingTimeout)
-                {
-                    let _ws = this;
-                    _ws.isAlive = false;
-                    // initial ping
-                    _ws.ping('', true, true);
-                    let interval = setInterval(function() {
-                        if (WebSocket.OPEN != _ws.readyState)
-                        {
-                            clearTimeout(interval);
-                            return;
-                        }
-                        if (!_ws.isAlive)
-                        {
-                            if (debug.enabled)
-                            {
-                                debug("WS timeout : timeout = %d", self._pingTimeout);
-                            }
-                            _ws.terminate();
-                            clearTimeout(interval);
-                            return;
-                        }
-                        _ws.isAlive = false;
-                        _ws.ping('', true, true);
-                    }, self._pingTimeout);
-                }
-                self.emit('connected');
-            });
-            ws.on('message', function(message) {
-                self.emit('message', message);
-            });
-            ws.on('error', function(e) {
-                if (ignoreErrorEvent)
-                {
-                    return;
-                }
+                tryOpenConnection(credentials);
+            }, (e) => {
                 // connection has already been disconnected by client
                 if (STATE_CONNECTING != self._connectionState)
                 {
                     return;
                 }
-                let err = {code:e.code,message:e.message}
-                if (debug.enabled)
-                {
-                    debug("WS error (attempt %d/%s) : %s", attempt, -1 === self._retryCount ? 'unlimited' : (1 + self._retryCount), JSON.stringify(err));
-                }
-                skipCloseEvent = true;
-                self._ws = null;
-                this.terminate();
-                // ws is not open yet, likely to be a connection error
-                if (null === self._timestamp)
+                failAttempt(`Could not retrieve credentials : ${e.message}`);
+            });
+            /*
+             * Opens a new WS, ensuring an exception (ie: invalid header value) is processed as a connection error
+             *
+             * @param {object} credentials {apiKey:string,headers:object}
+             */
+            function tryOpenConnection(credentials)
+            {
+                try
                 {
-                    if (doRetry && operation.retry(err))
-                    {
-                        self.emit('connectionError', {attempts:attempt,retry:true,error:err});
-                        return;
-                    }
-                    self.emit('connectionError', {attempts:attempt,retry:false,error:err});
+                    openConnection(credentials);
                 }
-            });
-            // likely to be an auth error
-            ws.on('unexpected-response', function(request, response){
-                // connection has already been disconnected by client
-                if (STATE_CONNECTING != self._connectionState)
+                catch (e)
                 {
-                    return;
+                    failAttempt(`Could not open connection : ${e.message}`);
                 }
-                let err = {code:response.statusCode,message:response.statusMessage};
-                ignoreErrorEvent = true;
-                skipCloseEvent = true;
+            }
+            /*
+             * Emits a connectionError when connection could not be attempted & schedules a new attempt if possible
+             *
+             * @param {string} message error message
+             */
+            function failAttempt(message)
+            {
+                let err = {code:undefined,message:message};
                 if (debug.enabled)
                 {
-                    debug("WS unexpected-response (attempt %d/%s) : %s", self._uri, attempt, -1 === self._retryCount ? 'unlimited' : (1 + self._retryCount), JSON.stringify(err));
+                    debug("Connection attempt failed (attempt %d/%s) : %s", attempt, -1 === self._retryCount ? 'unlimited' : (1 + self._retryCount), message);
                 }
-                self._ws = null;
-                if (doRetry && operation.retry(err))
+                if (retry())
                 {
                     self.emit('connectionError', {attempts:attempt,retry:true,error:err});
                     return;
                 }
                 self.emit('connectionError', {attempts:attempt,retry:false,error:err});
-            });
-            ws.on('close', function(code, reason){
-                if (self._ignoreCloseEvent)
-                {
-                    return;
-                }
-                // connection has already been disconnected by client
-                if (STATE_CONNECTING != self._connectionState && STATE_CONNECTED != self._connectionState)
-                {
-                    return;
-                }
-                if (debug.enabled)
-                {
-                    debug("WS closed : code = %d, reason = '%s'", code, reason);
-                }
-                self._ws = null;
-                self._finalize(true, STATE_DISCONNECTED);
-                if (!skipCloseEvent)
-                {
-                    self.emit('disconnected', {code:code, reason:reason});
-                }
-            });
-            // reply to ping
-            ws.on('ping', function(data){
-                this.pong('', true, true);
-            });
-            ws.on('pong', function(data){
-                this.isAlive = true;
-            });
-        });
+            }
+            /*
+             * Opens a new WS
+             *
+             * @param {object} credentials {apiKey:string,headers:object}
+             */
+            function openConnection(credentials)
+            {
+                let doRetry = true;
+                let ws = self._createTransport(Transport, credentials);
+                let ignoreErrorEvent = false;
+                let skipCloseEvent = false;
+                ws.on('open', function() {
+                    // connection has already been disconnected by client
+                    if (STATE_CONNECTING != self._connectionState)
+                    {
+                        skipCloseEvent = true;
+                        ws.terminate();
+                        return;
+                    }
+                    self._connectionState = STATE_CONNECTED;
+                    if (debug.enabled)
+                    {
+                        debug("WS is connected");
+                    }
+                    self._ignoreCloseEvent = false;
+                    skipCloseEvent = false;
+                    self._timestamp = new Date().getTime();
+                    self._ws = ws;
+                    // reset retry delay once connection has been stable for long enough
+                    if (0 != self._retryResetAfter)
+                    {
+                        self._resetTimer = setTimeout(function(){
+                            self._resetTimer = null;
+                            self._backoff.reset();
+                        }, self._retryResetAfter);
+                    }
+                    // start ping/pong
+                    self._startKeepalive(ws, Transport.supportsPing());
+                    self.emit('connected');
+                });
+                ws.on('message', function(message) {
+                    self.emit('message', message);
+                });
+                ws.on('error', function(err) {
+                    if (ignoreErrorEvent)
+                    {
+                        return;
+                    }
+                    // connection has already been disconnected by client
+                    if (STATE_CONNECTING != self._connectionState)
+                    {
+                        return;
+                    }
+                    if (debug.enabled)
+                    {
+                        debug("WS error (attempt %d/%s) : %s", attempt, -1 === self._retryCount ? 'unlimited' : (1 + self._retryCount), JSON.stringify(err));
+                    }
+                    skipCloseEvent = true;
+                    self._ws = null;
+                    ws.terminate();
+                    // ws is not open yet, likely to be a connection error
+                    if (null === self._timestamp)
+                    {
+                        if (doRetry && retry())
+                        {
+                            self.emit('connectionError', {attempts:attempt,retry:true,error:err});
+                            return;
+                        }
+                        self.emit('connectionError', {attempts:attempt,retry:false,error:err});
+                    }
+                });
+                // likely to be an auth error
+                ws.on('unexpectedResponse', function(err){
+                    // connection has already been disconnected by client
+                    if (STATE_CONNECTING != self._connectionState)
+                    {
+                        return;
+                    }
+                    ignoreErrorEvent = true;
+                    skipCloseEvent = true;
+                    if (debug.enabled)
+                    {
+                        debug("WS unexpected-response (attempt %d/%s) : %s", self._uri, attempt, -1 === self._retryCount ? 'unlimited' : (1 + self._retryCount), JSON.stringify(err));
+                    }
+                    self._ws = null;
+                    let eventName = -1 == AUTH_ERROR_CODES.indexOf(err.code) ? 'connectionError' : 'authError';
+                    if (doRetry && retry())
+                    {
+                        self.emit(eventName, {attempts:attempt,retry:true,error:err});
+                        return;
+                    }
+                    self.emit(eventName, {attempts:attempt,retry:false,error:err});
+                });
+                ws.on('close', function(evt){
+                    let code = evt.code;
+                    let reason = evt.reason;
+                    if (self._ignoreCloseEvent)
+                    {
+                        return;
+                    }
+                    // connection has already been disconnected by client
+                    if (STATE_CONNECTING != self._connectionState && STATE_CONNECTED != self._connectionState)
+                    {
+                        return;
+                    }
+                    if (debug.enabled)
+                    {
+                        debug("WS closed : code = %d, reason = '%s'", code, reason);
+                    }
+                    self._ws = null;
+                    self._finalize(true, STATE_DISCONNECTED);
+                    if (!skipCloseEvent)
+                    {
+                        self.emit('disconnected', {code:code, reason:reason});
+                    }
+                });
+            }
+        };
+        attemptConnection(attempt);
     }
     catch (e)
     {
@@ -309,6 +603,11 @@ connect()
  */
 _finalize(terminate, newState)
 {
+    if (null !== this._resetTimer)
+    {
+        clearTimeout(this._resetTimer);
+        this._resetTimer = null;
+    }
     // close ws
     if (null !== this._ws)
     {
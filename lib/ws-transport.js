@@ -0,0 +1,137 @@
+"use strict";
+const WebSocket = require('ws');
+const EventEmitter = require('events');
+
+/*
+   Transport based on 'ws' package (Node.js)
+
+   Supports custom headers & WS PING/PONG
+
+   Following events can be emitted
+
+   1) open, when WS is connected
+
+   2) message, when a message is received
+
+   Data will contain the message received
+
+   3) error, when an error occurred
+
+   Data will be an object {code:string,message:string}
+
+   4) unexpectedResponse, when gateway replied to handshake with an unexpected HTTP status (ie: invalid api key)
+
+   Data will be an object {code:integer,message:string}
+
+   5) close, when WS was closed
+
+   Data will be an object {code:integer,reason:string}
+
+   6) pong, when a reply to WS PING was received
+ */
+
+class WsTransport extends EventEmitter
+{
+
+/**
+ * @param {string} uri WS uri
+ * @param {object} options {headers:object,handshakeTimeout:integer,agent:object,tls:object}
+ *
+ * - agent : http.Agent to use (ie: to connect through a proxy)
+ * - tls : TLS options {ca,cert,key,passphrase,pfx,rejectUnauthorized}
+ */
+constructor(uri, options)
+{
+    super();
+    let opt = Object.assign({}, options);
+    let wsOptions = {
+        perMessageDeflate: false,
+        headers:Object.assign({}, opt.headers)
+    };
+    if (undefined !== opt.handshakeTimeout && 0 != opt.handshakeTimeout)
+    {
+        wsOptions.handshakeTimeout = opt.handshakeTimeout;
+    }
+    if (undefined !== opt.agent)
+    {
+        wsOptions.agent = opt.agent;
+    }
+    if (undefined !== opt.tls)
+    {
+        Object.assign(wsOptions, opt.tls);
+    }
+    let self = this;
+    this._ws = new WebSocket(uri, wsOptions);
+    this._ws.on('open', function(){
+        self.emit('open');
+    });
+    this._ws.on('message', function(message, isBinary){
+        self.emit('message', isBinary ? message : message.toString());
+    });
+    this._ws.on('error', function(e){
+        self.emit('error', {code:e.code,message:e.message});
+    });
+    this._ws.on('unexpected-response', function(request, response){
+        self.emit('unexpectedResponse', {code:response.statusCode,message:response.statusMessage});
+    });
+    this._ws.on('close', function(code, reason){
+        self.emit('close', {code:code, reason:reason.toString()});
+    });
+    // ping will be automatically replied to by 'ws'
+    this._ws.on('pong', function(data){
+        self.emit('pong');
+    });
+}
+
+/**
+ * Whether or not custom headers can be sent during handshake
+ *
+ * @return {boolean}
+ */
+static supportsHeaders()
+{
+    return true;
+}
+
+/**
+ * Whether or not WS PING can be sent
+ *
+ * @return {boolean}
+ */
+static supportsPing()
+{
+    return true;
+}
+
+isOpen()
+{
+    return WebSocket.OPEN == this._ws.readyState;
+}
+
+send(data)
+{
+    this._ws.send(data);
+}
+
+ping()
+{
+    if (!this.isOpen())
+    {
+        return;
+    }
+    this._ws.ping();
+}
+
+close()
+{
+    this._ws.close();
+}
+
+terminate()
+{
+    this._ws.terminate();
+}
+
+}
+
+module.exports = WsTransport;
@@ -0,0 +1,61 @@
+"use strict";
+const assert = require('assert');
+const Backoff = require('../lib/backoff');
+
+/**
+ * @param {object} backoff Backoff object
+ * @param {integer} count number of delays to compute
+ * @return {integer[]}
+ */
+const getDelays = (backoff, count) => {
+    let list = [];
+    for (let i = 0; i < count; ++i)
+    {
+        list.push(backoff.next());
+    }
+    return list;
+};
+
+describe('Backoff', function(){
+
+    it('should use a constant delay by default', function(){
+        let backoff = new Backoff({initialDelay:1000});
+        assert.deepStrictEqual(getDelays(backoff, 3), [1000, 1000, 1000]);
+    });
+
+    it('should increase delay using factor', function(){
+        let backoff = new Backoff({initialDelay:1000, factor:2});
+        assert.deepStrictEqual(getDelays(backoff, 4), [1000, 2000, 4000, 8000]);
+        assert.strictEqual(backoff.getAttempts(), 4);
+    });
+
+    it('should not exceed maximum delay', function(){
+        let backoff = new Backoff({initialDelay:1000, factor:3, maxDelay:5000});
+        assert.deepStrictEqual(getDelays(backoff, 5), [1000, 3000, 5000, 5000, 5000]);
+        // attempts should not be incremented once maximum delay was reached
+        assert.strictEqual(backoff.getAttempts(), 2);
+    });
+
+    it('should use initial delay as maximum delay when maximum delay is lower', function(){
+        let backoff = new Backoff({initialDelay:2000, factor:2, maxDelay:1000});
+        assert.deepStrictEqual(getDelays(backoff, 2), [2000, 2000]);
+    });
+
+    it('should restart from initial delay after reset', function(){
+        let backoff = new Backoff({initialDelay:1000, factor:2});
+        getDelays(backoff, 3);
+        backoff.reset();
+        assert.strictEqual(backoff.getAttempts(), 0);
+        assert.deepStrictEqual(getDelays(backoff, 2), [1000, 2000]);
+    });
+
+    it('should reduce delay by up to jitter percent', function(){
+        let backoff = new Backoff({initialDelay:1000, factor:2, maxDelay:60000, jitter:0.5});
+        let delays = getDelays(backoff, 10);
+        delays.forEach((delay, index) => {
+            let max = Math.min(1000 * Math.pow(2, index), 60000);
+            assert.ok(delay <= max && delay >= max / 2, `delay #${index} (${delay}) should be in [${max / 2}, ${max}]`);
+        });
+    });
+
+});
@@ -0,0 +1,115 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const CommandError = require('../lib/command-error');
+const GatewayError = require('../lib/gateway-error');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor} = require('./helpers');
+
+describe('Client subscriptions batching', function(){
+
+    let gateway;
+    let client;
+    // list of [command, params] received by gateway
+    let commands;
+
+    const createClient = async (options) => {
+        client = new Client(gateway.getUri(), Object.assign({batchSubscriptions:{delay:50}}, options));
+        await waitFor(client, 'ready');
+        commands = [];
+    };
+
+    beforeEach(async function(){
+        gateway = new MockGateway({pairs:{binance:['USDT-BTC','USDT-ETH','USDT-NEO']}});
+        await gateway.start();
+        commands = [];
+        gateway.on('command', (evt) => {
+            commands.push([evt.command, evt.params]);
+        });
+        client = null;
+    });
+
+    afterEach(async function(){
+        if (null !== client)
+        {
+            client.disconnect();
+        }
+        await gateway.stop();
+    });
+
+    it('should merge subscriptions issued within delay', async function(){
+        await createClient();
+        let callbacks = [];
+        let results = await Promise.all([
+            client.subscribeToTickers('binance', ['USDT-BTC'], (result) => {
+                callbacks.push(result);
+            }),
+            client.subscribeToTickers('binance', ['USDT-ETH','USDT-BTC']),
+            client.subscribeToTickers('binance', ['USDT-NEO'], false)
+        ]);
+        assert.deepStrictEqual(results, [true, true, true]);
+        assert.deepStrictEqual(callbacks, [true]);
+        assert.deepStrictEqual(commands, [
+            ['subscribeToTickers', {exchange:'binance', reset:false, pairs:['USDT-BTC','USDT-ETH','USDT-NEO']}]
+        ]);
+        assert.deepStrictEqual(client.getSubscriptions().binance.tickers, ['USDT-BTC','USDT-ETH','USDT-NEO']);
+    });
+
+    it('should preserve order of subscriptions & unsubscriptions', async function(){
+        await createClient();
+        await Promise.all([
+            client.subscribeToTickers('binance', ['USDT-BTC']),
+            client.unsubscribeFromTickers('binance', ['USDT-BTC']),
+            client.subscribeToTickers('binance', ['USDT-ETH']),
+            // other families can be merged independently
+            client.subscribeToOrderBooks('binance', ['USDT-BTC']),
+            client.subscribeToOrderBooks('binance', ['USDT-ETH'])
+        ]);
+        assert.deepStrictEqual(commands.map((c) => [c[0], c[1].pairs]), [
+            ['subscribeToTickers', ['USDT-BTC']],
+            ['unsubscribeFromTickers', ['USDT-BTC']],
+            ['subscribeToTickers', ['USDT-ETH']],
+            ['subscribeToOrderBooks', ['USDT-BTC','USDT-ETH']]
+        ]);
+        assert.deepStrictEqual(client.getSubscriptions().binance.tickers, ['USDT-ETH']);
+    });
+
+    it('should not merge commands with reset', async function(){
+        await createClient();
+        await Promise.all([
+            client.subscribeToTickers('binance', ['USDT-BTC'], true),
+            client.subscribeToTickers('binance', ['USDT-ETH'], true)
+        ]);
+        assert.deepStrictEqual(commands.map((c) => [c[0], c[1].pairs, c[1].reset]), [
+            ['subscribeToTickers', ['USDT-BTC'], true],
+            ['subscribeToTickers', ['USDT-ETH'], true]
+        ]);
+    });
+
+    it('should reject every caller when merged command failed', async function(){
+        await createClient();
+        gateway.setCommandHandler('subscribeToTickers', () => {
+            throw new Error('Subscription failed');
+        });
+        let errors = [];
+        let first = client.subscribeToTickers('binance', ['USDT-BTC'], (result, err) => {
+            errors.push(err);
+        });
+        let second = client.subscribeToTickers('binance', ['USDT-ETH']);
+        await assert.rejects(first, GatewayError);
+        await assert.rejects(second, GatewayError);
+        assert.strictEqual(errors.length, 1);
+        // callback receives the error returned by gateway
+        assert.strictEqual(errors[0].message, 'Subscription failed');
+        assert.strictEqual(commands.length, 1);
+    });
+
+    it('should reject pending batches when client is disconnected', async function(){
+        await createClient();
+        let promise = client.subscribeToTickers('binance', ['USDT-BTC']);
+        client.disconnect();
+        await assert.rejects(promise, (e) => e instanceof CommandError && CommandError.DISCONNECTED == e.code);
+        assert.deepStrictEqual(commands, []);
+    });
+
+});
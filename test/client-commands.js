@@ -0,0 +1,108 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const CommandError = require('../lib/command-error');
+const GatewayError = require('../lib/gateway-error');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor} = require('./helpers');
+
+/**
+ * @param {string} code expected CommandError code
+ * @return {function} function to pass to assert.rejects
+ */
+const isCommandError = (code) => {
+    return (e) => {
+        return e instanceof CommandError && code == e.code;
+    };
+};
+
+describe('Client commands', function(){
+
+    let gateway;
+    let client;
+
+    beforeEach(async function(){
+        gateway = new MockGateway({apiKey:'secret', pairs:{binance:['USDT-BTC']}});
+        await gateway.start();
+        client = null;
+    });
+
+    afterEach(async function(){
+        if (null !== client)
+        {
+            client.disconnect();
+        }
+        await gateway.stop();
+    });
+
+    it('should resolve with command result and call callback', async function(){
+        client = new Client(gateway.getUri(), {apiKey:'secret'});
+        let cbResult;
+        let result = await client.getPairs('binance', (r, err) => {
+            cbResult = {result:r, error:err};
+        });
+        assert.deepStrictEqual(Object.keys(result), ['USDT-BTC']);
+        assert.strictEqual(cbResult.result, result);
+        assert.strictEqual(cbResult.error, null);
+    });
+
+    it('should reject with a GatewayError when gateway returned an error', async function(){
+        client = new Client(gateway.getUri(), {apiKey:'secret'});
+        await assert.rejects(client.getPairs('unknown'), GatewayError);
+    });
+
+    it('should reject with a CommandError when no result was received before timeout', async function(){
+        gateway.setCommandHandler('getPairs', () => {
+            return new Promise(() => {});
+        });
+        client = new Client(gateway.getUri(), {apiKey:'secret', commandTimeout:200});
+        await assert.rejects(client.getPairs('binance'), isCommandError(CommandError.TIMEOUT));
+    });
+
+    it('should reject pending commands when client is disconnected', async function(){
+        gateway.setCommandHandler('getPairs', () => {
+            return new Promise(() => {});
+        });
+        client = new Client(gateway.getUri(), {apiKey:'secret'});
+        let sent = client.getPairs('binance');
+        await waitFor(client, 'ready');
+        let queued = client.getPairs('binance');
+        client.disconnect();
+        await assert.rejects(sent, isCommandError(CommandError.DISCONNECTED));
+        await assert.rejects(queued, isCommandError(CommandError.DISCONNECTED));
+    });
+
+    it('should reject queued commands when connection is terminated', async function(){
+        client = new Client(gateway.getUri(), {apiKey:'invalid', retryCount:0, commandTimeout:0});
+        let events = [];
+        let terminated = waitFor(client, 'terminated');
+        let promise = client.getPairs('binance', (result, err) => {
+            events.push(`cb:${err.code}`);
+        }).catch((e) => {
+            events.push('rejected');
+            throw e;
+        });
+        client.on('terminated', () => {
+            events.push('terminated');
+        });
+        await assert.rejects(promise, isCommandError(CommandError.DISCONNECTED));
+        await terminated;
+        assert.deepStrictEqual(events, ['cb:disconnected', 'terminated', 'rejected']);
+    });
+
+    it('should send commands issued after termination once client reconnects', async function(){
+        let apiKey = 'invalid';
+        client = new Client(gateway.getUri(), {retryCount:0, credentials:() => {
+            return {apiKey:apiKey};
+        }});
+        let terminated = waitFor(client, 'terminated');
+        client.connect();
+        await terminated;
+        let promise = client.getPairs('binance');
+        apiKey = 'secret';
+        client.reconnect();
+        let result = await promise;
+        assert.deepStrictEqual(Object.keys(result), ['USDT-BTC']);
+    });
+
+});
@@ -0,0 +1,161 @@
+"use strict";
+const assert = require('assert');
+const WebSocket = require('ws');
+const Client = require('../lib/client');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor} = require('./helpers');
+
+/**
+ * Starts a WS server which only records handshake requests
+ *
+ * @return {Promise} Promise which will resolve to the server
+ */
+const startServer = () => {
+    return new Promise((resolve) => {
+        let server = new WebSocket.Server({port:0, host:'127.0.0.1'}, () => {
+            resolve(server);
+        });
+    });
+};
+
+describe('Client connection', function(){
+
+    let gateway;
+    let client;
+
+    beforeEach(async function(){
+        gateway = new MockGateway({apiKey:'secret', pairs:{binance:['USDT-BTC']}});
+        await gateway.start();
+        client = null;
+    });
+
+    afterEach(async function(){
+        if (null !== client)
+        {
+            client.disconnect();
+        }
+        await gateway.stop();
+    });
+
+    describe('credentials', function(){
+
+        it('should call credentials provider before each connection attempt', async function(){
+            let apiKeys = ['invalid', 'secret'];
+            let calls = 0;
+            client = new Client(gateway.getUri(), {retryDelay:1000, credentials:async () => {
+                return {apiKey:apiKeys[calls++]};
+            }});
+            let authErrors = [];
+            let connectionErrors = 0;
+            client.on('authError', (evt) => {
+                authErrors.push(evt);
+            });
+            client.on('connectionError', () => {
+                ++connectionErrors;
+            });
+            client.connect();
+            await waitFor(client, 'ready');
+            assert.strictEqual(calls, 2);
+            assert.strictEqual(connectionErrors, 0);
+            assert.strictEqual(authErrors.length, 1);
+            assert.strictEqual(authErrors[0].error.code, 401);
+        });
+
+        it('should merge headers returned by credentials provider with static headers', async function(){
+            let server = await startServer();
+            client = new Client(`ws://127.0.0.1:${server.address().port}`, {apiKey:'static', headers:{'X-Team':'quant'}, credentials:() => {
+                return {apiKey:'secret', headers:{'X-Token':'token'}};
+            }});
+            let connection = new Promise((resolve) => {
+                server.once('connection', (ws, req) => {
+                    resolve(req);
+                });
+            });
+            client.connect();
+            let req = await connection;
+            client.disconnect();
+            client = null;
+            server.clients.forEach((ws) => {
+                ws.terminate();
+            });
+            await new Promise((resolve) => server.close(resolve));
+            assert.strictEqual(req.headers['apikey'], 'secret');
+            assert.strictEqual(req.headers['x-team'], 'quant');
+            assert.strictEqual(req.headers['x-token'], 'token');
+        });
+
+        it('should emit terminated after authError when there is no retry left', async function(){
+            client = new Client(gateway.getUri(), {apiKey:'invalid', retryCount:0});
+            let authError = waitFor(client, 'authError');
+            let terminated = waitFor(client, 'terminated');
+            client.connect();
+            await authError;
+            let evt = await terminated;
+            assert.strictEqual(evt.error.code, 401);
+        });
+
+        it('should retry when credentials provider fails', async function(){
+            let calls = 0;
+            client = new Client(gateway.getUri(), {retryDelay:1000, credentials:() => {
+                if (0 == calls++)
+                {
+                    throw new Error('vault is down');
+                }
+                return {apiKey:'secret'};
+            }});
+            let connectionError = waitFor(client, 'connectionError');
+            let ready = waitFor(client, 'ready');
+            client.connect();
+            let evt = await connectionError;
+            assert.strictEqual(evt.error.message, 'Could not retrieve credentials : vault is down');
+            await ready;
+        });
+
+        it('should emit connectionError when connection cannot be opened with returned credentials', async function(){
+            let calls = 0;
+            client = new Client(gateway.getUri(), {retryDelay:1000, credentials:async () => {
+                // first call returns an invalid header value
+                if (0 == calls++)
+                {
+                    return {apiKey:'secret', headers:{'X-Token':'invalid\nvalue'}};
+                }
+                return {apiKey:'secret'};
+            }});
+            let connectionError = waitFor(client, 'connectionError');
+            let ready = waitFor(client, 'ready');
+            client.connect();
+            let evt = await connectionError;
+            assert.ok(evt.error.message.startsWith('Could not open connection'));
+            await ready;
+        });
+
+    });
+
+    describe('transport', function(){
+
+        it('should send api key using query string with a W3C WebSocket constructor', async function(){
+            // gateway will reject client if api key is not received
+            client = new Client(gateway.getUri(), {apiKey:'secret', transport:WebSocket, retryCount:0});
+            let pairs = await client.getPairs('binance');
+            assert.deepStrictEqual(Object.keys(pairs), ['USDT-BTC']);
+        });
+
+        it('should close connection when client disconnects during handshake', async function(){
+            client = new Client(gateway.getUri(), {apiKey:'secret'});
+            let connection = waitFor(gateway, 'connection');
+            client.connect();
+            client.disconnect();
+            await connection;
+            await new Promise((resolve) => setTimeout(resolve, 200));
+            assert.deepStrictEqual(gateway.getSessions().map((session) => session.connected), [false]);
+        });
+
+        it('should reject invalid transport', function(){
+            assert.throws(() => {
+                new Client(gateway.getUri(), {transport:'invalid'});
+            }, /options\.transport/);
+        });
+
+    });
+
+});
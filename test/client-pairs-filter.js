@@ -0,0 +1,109 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor, wait} = require('./helpers');
+
+describe('Client pairs filter', function(){
+
+    let gateway;
+    let client;
+
+    beforeEach(async function(){
+        gateway = new MockGateway({pairs:{binance:['USDT-BTC','USDT-ETH','BTC-ETH']}});
+        await gateway.start();
+        client = null;
+    });
+
+    afterEach(async function(){
+        if (null !== client)
+        {
+            client.disconnect();
+        }
+        await gateway.stop();
+    });
+
+    /**
+     * Makes 'getPairs' return extra pairs
+     *
+     * @param {string[]} pairs
+     */
+    const addPairs = (pairs) => {
+        gateway.setCommandHandler('getPairs', (params) => {
+            let result = {};
+            ['USDT-BTC','USDT-ETH','BTC-ETH'].concat(pairs).forEach((pair) => {
+                let arr = pair.split('-');
+                if (undefined !== params.filter && undefined !== params.filter.baseCurrency && params.filter.baseCurrency != arr[0])
+                {
+                    return;
+                }
+                result[pair] = {pair:pair,baseCurrency:arr[0],currency:arr[1]};
+            });
+            return result;
+        });
+    };
+
+    it('should subscribe to pairs matching filter', async function(){
+        client = new Client(gateway.getUri());
+        await client.subscribeToTickers('binance', {baseCurrency:'USDT'});
+        await client.subscribeToTrades('binance', {currency:'ETH'});
+        await client.subscribeToKlines('binance', {currency:'BTC'}, '5m');
+        let subscriptions = client.getSubscriptions().binance;
+        assert.deepStrictEqual(subscriptions.tickers.sort(), ['USDT-BTC','USDT-ETH']);
+        assert.deepStrictEqual(subscriptions.trades.sort(), ['BTC-ETH','USDT-ETH']);
+        assert.deepStrictEqual(subscriptions.klines, {'5m':['USDT-BTC']});
+    });
+
+    it('should only retrieve pairs once for the same filter', async function(){
+        client = new Client(gateway.getUri());
+        let commands = [];
+        gateway.on('command', (evt) => {
+            commands.push(evt.command);
+        });
+        await client.subscribeToTickers('binance', {baseCurrency:'USDT'});
+        await client.subscribeToOrderBooks('binance', {baseCurrency:'USDT'});
+        assert.deepStrictEqual(commands, ['getPairs', 'subscribeToTickers', 'subscribeToOrderBooks']);
+    });
+
+    it('should reject invalid filter', function(){
+        client = new Client(gateway.getUri(), {autoConnect:false});
+        assert.throws(() => client.subscribeToTickers('binance', {foo:'USDT'}), /Argument 'pairs'/);
+    });
+
+    it('should emit newPairs and subscribe to new pairs after a refresh', async function(){
+        client = new Client(gateway.getUri(), {pairsCache:{refreshInterval:100, autoSubscribe:true}});
+        await client.subscribeToTickers('binance', {baseCurrency:'USDT'});
+        let subscribed = new Promise((resolve) => {
+            gateway.on('command', (evt) => {
+                if ('subscribeToTickers' == evt.command)
+                {
+                    resolve(evt.params);
+                }
+            });
+        });
+        addPairs(['USDT-NEO','BTC-NEO']);
+        let evt = await waitFor(client, 'newPairs');
+        assert.deepStrictEqual(evt, {exchange:'binance', filter:{baseCurrency:'USDT'}, pairs:['USDT-NEO']});
+        let params = await subscribed;
+        assert.deepStrictEqual(params.pairs, ['USDT-NEO']);
+    });
+
+    it('should not subscribe to new pairs once subscriptions were discarded', async function(){
+        client = new Client(gateway.getUri(), {pairsCache:{refreshInterval:100, autoSubscribe:true}});
+        await client.subscribeToTickers('binance', {baseCurrency:'USDT'});
+        await client.unsubscribeFromAllTickers('binance');
+        let commands = [];
+        gateway.on('command', (evt) => {
+            commands.push(evt.command);
+        });
+        addPairs(['USDT-NEO']);
+        let emitted = false;
+        client.on('newPairs', () => {
+            emitted = true;
+        });
+        await wait(300);
+        assert.strictEqual(emitted, false);
+        assert.deepStrictEqual(commands, []);
+    });
+
+});
@@ -0,0 +1,99 @@
+"use strict";
+const assert = require('assert');
+const ClientPool = require('../lib/client-pool');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor, wait} = require('./helpers');
+
+describe('ClientPool', function(){
+
+    let gateways;
+    let client;
+
+    beforeEach(async function(){
+        gateways = [
+            new MockGateway({pairs:{binance:['USDT-BTC']}}),
+            new MockGateway({pairs:{binance:['USDT-BTC']}})
+        ];
+        for (let i = 0; i < gateways.length; ++i)
+        {
+            await gateways[i].start();
+        }
+        client = null;
+    });
+
+    afterEach(async function(){
+        if (null !== client)
+        {
+            client.disconnect();
+        }
+        for (let i = 0; i < gateways.length; ++i)
+        {
+            await gateways[i].stop();
+        }
+    });
+
+    it('should not increase reconnection delay when switching to next gateway after a disconnection', async function(){
+        client = new ClientPool(gateways.map((g) => g.getUri()), {retryDelay:1000, retryFactor:10, autoConnect:false});
+        let connected = waitFor(client, 'activeGateway');
+        client.connect();
+        let evt = await connected;
+        assert.strictEqual(evt.index, 0);
+        // second gateway won't be reachable
+        await gateways[1].stop();
+        let failovers = [];
+        client.on('failover', (evt) => {
+            failovers.push(evt.reason);
+        });
+        let reconnected = waitFor(client, 'connected', 4000);
+        gateways[0].dropConnections();
+        // using retryFactor, reconnection would only happen after 10s if backoff had been increased upon disconnection
+        await reconnected;
+        assert.deepStrictEqual(failovers, ['disconnected', 'terminated']);
+        assert.strictEqual(client.getGateway().index, 0);
+    });
+
+    it('should wait before reconnecting once all gateways closed connection', async function(){
+        client = new ClientPool(gateways.map((g) => g.getUri()), {retryDelay:1000, autoConnect:false});
+        let connections = 0;
+        // gateways will close connection right after accepting it
+        client.on('connected', () => {
+            ++connections;
+            gateways.forEach((g) => {
+                g.closeConnections(4000);
+            });
+        });
+        client.connect();
+        await wait(800);
+        assert.strictEqual(connections, 2);
+    });
+
+    it('should not wait before switching to next gateway once connection has been stable', async function(){
+        client = new ClientPool(gateways.map((g) => g.getUri()), {retryDelay:1000, retryResetAfter:200, autoConnect:false});
+        let connected = waitFor(client, 'activeGateway');
+        client.connect();
+        await connected;
+        for (let i = 1; i <= 2; ++i)
+        {
+            await wait(300);
+            connected = waitFor(client, 'activeGateway', 500);
+            gateways.forEach((g) => {
+                g.closeConnections(4000);
+            });
+            let evt = await connected;
+            assert.strictEqual(evt.index, i % 2);
+        }
+    });
+
+    it('should use retryCount for ticker monitor connection', async function(){
+        // ticker monitor endpoint won't be reachable
+        await gateways[1].stop();
+        client = new ClientPool([gateways[0].getUri()], {retryCount:0, tickerMonitor:{enabled:true,uri:`${gateways[1].getUri()}/tickerMonitor/`}, autoConnect:false});
+        let terminated = waitFor(client, 'tickerMonitorTerminated', 4000);
+        let connected = waitFor(client, 'connected');
+        client.connect();
+        let evt = await terminated;
+        await connected;
+        assert.strictEqual(evt.attempts, 1);
+    });
+
+});
@@ -0,0 +1,107 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const CommandError = require('../lib/command-error');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor, wait} = require('./helpers');
+
+describe('Client queue', function(){
+
+    let gateway;
+    let client;
+    // list of [command, params] received by gateway
+    let commands;
+
+    beforeEach(async function(){
+        gateway = new MockGateway({pairs:{binance:['USDT-BTC','USDT-ETH']}});
+        await gateway.start();
+        commands = [];
+        gateway.on('command', (evt) => {
+            commands.push([evt.command, evt.params]);
+        });
+        client = null;
+    });
+
+    afterEach(async function(){
+        if (null !== client)
+        {
+            client.disconnect();
+        }
+        await gateway.stop();
+    });
+
+    it('should coalesce commands queued before connection', async function(){
+        client = new Client(gateway.getUri());
+        let results = await Promise.all([
+            client.subscribeToKlines('binance', ['USDT-BTC'], '5m'),
+            client.unsubscribeFromKlines('binance', ['USDT-BTC']),
+            client.subscribeToKlines('binance', ['USDT-BTC'], '5m')
+        ]);
+        assert.strictEqual(results.length, 3);
+        assert.deepStrictEqual(commands, [
+            ['unsubscribeFromKlines', {exchange:'binance', pairs:['USDT-BTC']}],
+            ['subscribeToKlines', {exchange:'binance', pairs:['USDT-BTC'], reset:false, interval:'5m'}]
+        ]);
+        assert.deepStrictEqual(client.getSubscriptions().binance.klines, {'5m':['USDT-BTC']});
+        assert.deepStrictEqual(gateway.getSessions()[0].subscriptions.binance.klines, {'5m':['USDT-BTC']});
+    });
+
+    it('should not coalesce commands when coalesceQueue is false', async function(){
+        client = new Client(gateway.getUri(), {coalesceQueue:false});
+        await Promise.all([
+            client.subscribeToTickers('binance', ['USDT-BTC']),
+            client.subscribeToTickers('binance', ['USDT-ETH'])
+        ]);
+        assert.deepStrictEqual(commands.map((c) => c[0]), ['subscribeToTickers', 'subscribeToTickers']);
+    });
+
+    it('should fail latest command when queue is full and queueOverflow is dropLatest', async function(){
+        client = new Client(gateway.getUri(), {maxQueueSize:1, queueOverflow:'dropLatest'});
+        let first = client.getPairs('binance');
+        let second = client.getPairs('binance');
+        await assert.rejects(second, (e) => e instanceof CommandError && CommandError.QUEUE_FULL == e.code);
+        await first;
+    });
+
+    it('should reject command when queue is full and queueOverflow is error', async function(){
+        client = new Client(gateway.getUri(), {maxQueueSize:1, queueOverflow:'error'});
+        let first = client.getPairs('binance');
+        let errors = [];
+        let second = client.getPairs('binance', (result, err) => {
+            errors.push(err);
+        });
+        await assert.rejects(second, (e) => e instanceof CommandError && CommandError.QUEUE_FULL == e.code);
+        assert.strictEqual(errors.length, 1);
+        assert.ok(errors[0] instanceof CommandError);
+        await first;
+    });
+
+    it('should apply queueOverflow to commands sent again after reconnection', async function(){
+        // first commands will never get a result
+        let pending = 2;
+        gateway.setCommandHandler('getPairs', (params) => {
+            if (pending > 0)
+            {
+                --pending;
+                return new Promise(() => {});
+            }
+            return {binance:['USDT-BTC']};
+        });
+        client = new Client(gateway.getUri(), {maxQueueSize:1, resendOnReconnect:true, retryDelay:1000});
+        let ready = waitFor(client, 'ready');
+        client.connect();
+        await ready;
+        let first = client.getPairs('binance');
+        let second = client.getPairs('binance');
+        while (commands.length < 2)
+        {
+            await wait(20);
+        }
+        gateway.dropConnections();
+        // oldest command should fail since only one command can be queued
+        await assert.rejects(first, (e) => e instanceof CommandError && CommandError.QUEUE_FULL == e.code);
+        await second;
+        assert.strictEqual(commands.length, 3);
+    });
+
+});
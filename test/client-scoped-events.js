@@ -0,0 +1,114 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor} = require('./helpers');
+
+describe('Client scoped events', function(){
+
+    let gateway;
+    let client;
+
+    beforeEach(async function(){
+        gateway = new MockGateway({pairs:{binance:['USDT-BTC','USDT-ETH']}});
+        await gateway.start();
+        client = new Client(gateway.getUri());
+        await client.subscribeToTickers('binance', ['USDT-BTC','USDT-ETH']);
+        await client.subscribeToKlines('binance', ['USDT-BTC'], '5m');
+    });
+
+    afterEach(async function(){
+        client.disconnect();
+        await gateway.stop();
+    });
+
+    /**
+     * Sends notifications and waits for last one to be received
+     */
+    const notify = async (list) => {
+        let done = waitFor(client, 'ticker:binance:USDT-NEO');
+        list.forEach((e) => {
+            gateway.notify(e[0], e[1]);
+        });
+        gateway.notify('ticker', {exchange:'binance', pair:'USDT-NEO', data:{last:1}});
+        await done;
+    };
+
+    it('should emit scoped events for exact & wildcard names', async function(){
+        let received = [];
+        ['ticker:binance:USDT-BTC', 'ticker:*:USDT-ETH', 'ticker:binance:*', 'kline:binance:*:5m', 'kline:*:*:1h'].forEach((eventName) => {
+            client.on(eventName, (evt) => {
+                received.push(`${eventName}=${evt.pair}`);
+            });
+        });
+        await notify([
+            ['ticker', {exchange:'binance', pair:'USDT-BTC', data:{last:1}}],
+            ['ticker', {exchange:'binance', pair:'USDT-ETH', data:{last:1}}],
+            ['kline', {exchange:'binance', pair:'USDT-BTC', interval:'5m', data:{timestamp:1,open:1,high:1,low:1,close:1,volume:1,remainingTime:0,closed:false}}]
+        ]);
+        assert.deepStrictEqual(received.sort(), [
+            'kline:binance:*:5m=USDT-BTC',
+            'ticker:*:USDT-ETH=USDT-ETH',
+            'ticker:binance:*=USDT-BTC',
+            'ticker:binance:*=USDT-ETH',
+            'ticker:binance:*=USDT-NEO',
+            'ticker:binance:USDT-BTC=USDT-BTC'
+        ]);
+    });
+
+    it('should keep emitting scoped events after all listeners were removed', async function(){
+        client.on('ticker:binance:USDT-BTC', () => {});
+        client.removeAllListeners();
+        let received = 0;
+        client.on('ticker:binance:USDT-BTC', () => {
+            ++received;
+        });
+        await notify([
+            ['ticker', {exchange:'binance', pair:'USDT-BTC', data:{last:1}}]
+        ]);
+        assert.strictEqual(received, 1);
+    });
+
+    it('should keep emitting wildcard scoped events after listeners of internal events were removed', async function(){
+        client.removeAllListeners('newListener');
+        client.removeAllListeners('removeListener');
+        let received = 0;
+        client.on('ticker:*:USDT-BTC', () => {
+            ++received;
+        });
+        await notify([
+            ['ticker', {exchange:'binance', pair:'USDT-BTC', data:{last:1}}]
+        ]);
+        assert.strictEqual(received, 1);
+    });
+
+    it('should ignore unrelated event names containing a colon', async function(){
+        let received = 0;
+        client.on('custom:event', () => {
+            ++received;
+        });
+        client.on('ticker:binance:USDT-BTC', () => {
+            ++received;
+        });
+        client.removeAllListeners('custom:event');
+        client.removeAllListeners('custom:event');
+        await notify([
+            ['ticker', {exchange:'binance', pair:'USDT-BTC', data:{last:1}}]
+        ]);
+        assert.strictEqual(received, 1);
+    });
+
+    it('should not emit scoped events once listener was removed', async function(){
+        let received = 0;
+        let listener = () => {
+            ++received;
+        };
+        client.on('ticker:*:USDT-BTC', listener);
+        client.removeListener('ticker:*:USDT-BTC', listener);
+        await notify([
+            ['ticker', {exchange:'binance', pair:'USDT-BTC', data:{last:1}}]
+        ]);
+        assert.strictEqual(received, 0);
+    });
+
+});
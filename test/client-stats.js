@@ -0,0 +1,63 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const GatewayError = require('../lib/gateway-error');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor} = require('./helpers');
+
+describe('Client stats', function(){
+
+    let gateway;
+    let client;
+
+    beforeEach(async function(){
+        gateway = new MockGateway({pairs:{binance:['USDT-BTC','USDT-ETH']}});
+        await gateway.start();
+        client = null;
+    });
+
+    afterEach(async function(){
+        if (null !== client)
+        {
+            client.disconnect();
+        }
+        await gateway.stop();
+    });
+
+    it('should count commands, messages & notifications', async function(){
+        client = new Client(gateway.getUri());
+        await client.subscribeToTickers('binance', ['USDT-BTC','USDT-ETH']);
+        await assert.rejects(client.subscribeToTickers('foo', ['USDT-BTC']), GatewayError);
+        let done = waitFor(client, 'ticker:binance:USDT-ETH');
+        gateway.notify('ticker', {exchange:'binance', pair:'USDT-BTC', data:{last:1}});
+        gateway.notify('ticker', {exchange:'binance', pair:'USDT-BTC', data:{last:2}});
+        gateway.notify('ticker', {exchange:'binance', pair:'USDT-ETH', data:{last:1}});
+        await done;
+        let stats = client.getStats();
+        assert.strictEqual(stats.connectionCounter, 1);
+        assert.strictEqual(stats.isConnected, true);
+        assert.strictEqual(stats.isReady, true);
+        assert.ok(stats.connectionUptime >= 0);
+        assert.ok(stats.readyUptime >= 0);
+        assert.ok(stats.lastMessageAge >= 0);
+        assert.strictEqual(stats.queueLength, 0);
+        assert.strictEqual(stats.pendingCommands, 0);
+        assert.deepStrictEqual(stats.commands, {sent:2, failed:1});
+        // hello + 2 command results + 3 notifications
+        assert.strictEqual(stats.messages.rpc, 6);
+        assert.strictEqual(stats.messages.tickerMonitor, 0);
+        assert.deepStrictEqual(stats.messages.notifications, {ticker:{binance:{'USDT-BTC':2,'USDT-ETH':1}}});
+    });
+
+    it('should not report uptimes once client is disconnected', async function(){
+        client = new Client(gateway.getUri());
+        await client.subscribeToTickers('binance', ['USDT-BTC']);
+        client.disconnect();
+        let stats = client.getStats();
+        assert.strictEqual(stats.isConnected, false);
+        assert.strictEqual(stats.connectionUptime, null);
+        assert.strictEqual(stats.readyUptime, null);
+        assert.deepStrictEqual(stats.commands, {sent:1, failed:0});
+    });
+
+});
@@ -0,0 +1,139 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const NotificationStream = require('../lib/notification-stream');
+
+describe('Client stream', function(){
+
+    let client;
+
+    beforeEach(function(){
+        // notifications will be emitted directly, no connection is needed
+        client = new Client('ws://127.0.0.1:8001', {autoConnect:false});
+    });
+
+    /**
+     * Emits 'ticker' notifications for USDT-BTC (followed by a notification for USDT-ETH)
+     *
+     * @param {float[]} list list of last prices
+     */
+    const notify = (list) => {
+        list.concat([null]).forEach((last) => {
+            let evt = null === last ? {exchange:'binance', pair:'USDT-ETH', data:{last:1}} : {exchange:'binance', pair:'USDT-BTC', data:{last:last}};
+            if (client.listenerCount('notification') > 0)
+            {
+                client.emit('notification', Object.assign({notification:'ticker'}, evt));
+                return;
+            }
+            client.emit('ticker', evt);
+        });
+    };
+
+    /**
+     * Consumes events from a stream
+     *
+     * @param {NotificationStream} stream
+     * @param {integer} count number of events to consume
+     * @return {float[]} list of last prices
+     */
+    const consume = async (stream, count) => {
+        let list = [];
+        for await (const evt of stream)
+        {
+            list.push(evt.data.last);
+            if (list.length == count)
+            {
+                break;
+            }
+        }
+        return list;
+    };
+
+    it('should buffer notifications matching filter until they are consumed', async function(){
+        let stream = client.stream('ticker', {exchange:'binance', pair:'USDT-BTC'});
+        notify([1, 2, 3]);
+        assert.deepStrictEqual(await consume(stream, 3), [1, 2, 3]);
+        assert.strictEqual(stream.getDropped(), 0);
+    });
+
+    it('should wait for next notification when buffer is empty', async function(){
+        let stream = client.stream('ticker', {pair:['USDT-BTC']});
+        let promise = stream.next();
+        notify([1]);
+        let result = await promise;
+        assert.strictEqual(result.done, false);
+        assert.strictEqual(result.value.data.last, 1);
+        stream.close();
+        assert.deepStrictEqual(await stream.next(), {value:undefined, done:true});
+    });
+
+    it('should resolve concurrent calls to next in order', async function(){
+        let stream = client.stream('ticker', {pair:'USDT-BTC'});
+        let promises = [stream.next(), stream.next()];
+        notify([1, 2]);
+        let results = await Promise.all(promises);
+        assert.deepStrictEqual(results.map((r) => r.value.data.last), [1, 2]);
+        promises = [stream.next(), stream.next()];
+        stream.close();
+        assert.deepStrictEqual(await Promise.all(promises), [{value:undefined, done:true}, {value:undefined, done:true}]);
+    });
+
+    it('should end when listener is removed from client', async function(){
+        let stream = client.stream('ticker', {pair:'USDT-BTC'});
+        let promise = stream.next();
+        client.removeAllListeners();
+        assert.deepStrictEqual(await promise, {value:undefined, done:true});
+        assert.deepStrictEqual(await stream.next(), {value:undefined, done:true});
+        let count = client.listenerCount('removeListener');
+        stream = client.stream('ticker', {pair:'USDT-BTC'});
+        promise = stream.next();
+        client.removeAllListeners('ticker');
+        assert.deepStrictEqual(await promise, {value:undefined, done:true});
+        assert.strictEqual(client.listenerCount('removeListener'), count);
+    });
+
+    it('should drop oldest notifications when buffer is full', async function(){
+        let stream = client.stream('ticker', {pair:'USDT-BTC'}, {bufferSize:2});
+        notify([1, 2, 3]);
+        assert.deepStrictEqual(await consume(stream, 2), [2, 3]);
+        assert.strictEqual(stream.getDropped(), 1);
+    });
+
+    it('should drop latest notifications when buffer is full and overflow is dropLatest', async function(){
+        let stream = client.stream('ticker', {pair:'USDT-BTC'}, {bufferSize:2, overflow:NotificationStream.OVERFLOW_DROP_LATEST});
+        notify([1, 2, 3]);
+        assert.deepStrictEqual(await consume(stream, 2), [1, 2]);
+        assert.strictEqual(stream.getDropped(), 1);
+    });
+
+    it('should fail once buffered notifications were consumed when buffer is full and overflow is error', async function(){
+        let stream = client.stream('ticker', {pair:'USDT-BTC'}, {bufferSize:2, overflow:NotificationStream.OVERFLOW_ERROR});
+        notify([1, 2, 3]);
+        assert.strictEqual(client.listenerCount('ticker'), 0);
+        assert.strictEqual((await stream.next()).value.data.last, 1);
+        assert.strictEqual((await stream.next()).value.data.last, 2);
+        await assert.rejects(stream.next(), /Buffer is full/);
+    });
+
+    it('should remove listener when iteration stops early', async function(){
+        let stream = client.stream('ticker', {pair:'USDT-BTC'});
+        assert.strictEqual(client.listenerCount('ticker'), 1);
+        notify([1, 2]);
+        assert.deepStrictEqual(await consume(stream, 1), [1]);
+        assert.strictEqual(client.listenerCount('ticker'), 0);
+        // remaining buffered notifications should have been discarded
+        assert.deepStrictEqual(await stream.next(), {value:undefined, done:true});
+    });
+
+    it('should use global listener when notifications are emitted using notification event', async function(){
+        client = new Client('ws://127.0.0.1:8001', {autoConnect:false, globalListener:true});
+        let stream = client.stream('ticker', {pair:'USDT-BTC'});
+        assert.strictEqual(client.listenerCount('notification'), 1);
+        notify([1, 2]);
+        client.emit('notification', {notification:'orderBook', exchange:'binance', pair:'USDT-BTC', data:{last:3}});
+        notify([4]);
+        assert.deepStrictEqual(await consume(stream, 3), [1, 2, 4]);
+        assert.strictEqual(client.listenerCount('notification'), 0);
+    });
+
+});
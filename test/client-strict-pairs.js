@@ -0,0 +1,74 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const MockGateway = require('../lib/mock-gateway');
+
+describe('Client strict pairs', function(){
+
+    let gateway;
+    let client;
+
+    beforeEach(async function(){
+        gateway = new MockGateway({pairs:{binance:['USDT-BTC','USDT-ETH']}});
+        await gateway.start();
+        client = null;
+    });
+
+    afterEach(async function(){
+        if (null !== client)
+        {
+            client.disconnect();
+        }
+        await gateway.stop();
+    });
+
+    /**
+     * Subscribes to tickers using a callback
+     *
+     * @return {Promise} promise which will be resolved with {result:*,err:Error,promise:Promise}
+     */
+    const subscribe = (pairs) => {
+        return new Promise((resolve) => {
+            let promise = client.subscribeToTickers('binance', pairs, (result, err) => {
+                resolve({result:result, err:err, promise:promise});
+            });
+        });
+    };
+
+    it('should report unsupported pairs the same way whether or not pairs were cached', async function(){
+        client = new Client(gateway.getUri(), {strictPairs:true});
+        for (let i = 0; i < 2; ++i)
+        {
+            let obj = await subscribe(['BTC-USDT']);
+            assert.strictEqual(obj.result, null);
+            assert.ok(obj.err.message.includes("did you mean 'USDT-BTC' ?"));
+            await assert.rejects(obj.promise, /Unsupported pair/);
+        }
+        assert.deepStrictEqual(client.getSubscriptions(), {});
+    });
+
+    it('should send command when all pairs are supported', async function(){
+        client = new Client(gateway.getUri(), {strictPairs:true});
+        let commands = [];
+        gateway.on('command', (evt) => {
+            commands.push(evt.command);
+        });
+        let obj = await subscribe(['USDT-BTC']);
+        assert.strictEqual(obj.result, true);
+        await client.subscribeToTickers('binance', ['USDT-ETH']);
+        // pairs should only have been retrieved once
+        assert.deepStrictEqual(commands, ['getPairs', 'subscribeToTickers', 'subscribeToTickers']);
+    });
+
+    it('should use retrieved pairs even if they are already outdated', async function(){
+        client = new Client(gateway.getUri(), {strictPairs:true, pairsCache:{ttl:1}});
+        let commands = [];
+        gateway.on('command', (evt) => {
+            commands.push(evt.command);
+        });
+        let result = await client.subscribeToTickers('binance', ['USDT-BTC']);
+        assert.strictEqual(result, true);
+        assert.deepStrictEqual(commands, ['getPairs', 'subscribeToTickers']);
+    });
+
+});
@@ -0,0 +1,121 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const CommandError = require('../lib/command-error');
+const GatewayError = require('../lib/gateway-error');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor} = require('./helpers');
+
+describe('Client subscriptions', function(){
+
+    let gateway;
+    let client;
+
+    beforeEach(async function(){
+        gateway = new MockGateway({pairs:{binance:['USDT-BTC','USDT-ETH']}});
+        await gateway.start();
+        client = null;
+    });
+
+    afterEach(async function(){
+        if (null !== client)
+        {
+            client.disconnect();
+        }
+        await gateway.stop();
+    });
+
+    it('should track subscriptions accepted by gateway', async function(){
+        client = new Client(gateway.getUri());
+        await client.subscribeToTickers('binance', ['USDT-BTC']);
+        await client.subscribeToKlines('binance', ['USDT-ETH'], '5m');
+        assert.deepStrictEqual(client.getSubscriptions(), {
+            binance:{tickers:['USDT-BTC'],orderBooks:[],trades:[],klines:{'5m':['USDT-ETH']}}
+        });
+        await client.unsubscribeFromTickers('binance', ['USDT-BTC']);
+        assert.deepStrictEqual(client.getSubscriptions().binance.tickers, []);
+    });
+
+    it('should not track subscriptions rejected by gateway', async function(){
+        client = new Client(gateway.getUri());
+        await assert.rejects(client.subscribeToTickers('foo', ['USDT-BTC']), GatewayError);
+        assert.deepStrictEqual(client.getSubscriptions(), {});
+    });
+
+    it('should not track commands dropped from queue', async function(){
+        client = new Client(gateway.getUri(), {maxQueueSize:1, queueOverflow:'dropOldest', coalesceQueue:false});
+        let dropped = client.subscribeToTickers('binance', ['USDT-BTC']);
+        let kept = client.subscribeToTrades('binance', ['USDT-ETH']);
+        await assert.rejects(dropped, (e) => e instanceof CommandError && CommandError.QUEUE_FULL == e.code);
+        await kept;
+        assert.deepStrictEqual(client.getSubscriptions(), {
+            binance:{tickers:[],orderBooks:[],trades:['USDT-ETH'],klines:{}}
+        });
+    });
+
+    it('should only restore accepted subscriptions when session is new', async function(){
+        client = new Client(gateway.getUri(), {retryDelay:1000});
+        await client.subscribeToTickers('binance', ['USDT-BTC']);
+        await assert.rejects(client.subscribeToTickers('foo', ['USDT-BTC']), GatewayError);
+        let commands = [];
+        gateway.on('command', (evt) => {
+            commands.push(evt.command);
+        });
+        gateway.expireSession();
+        let evt = await waitFor(client, 'resubscribed');
+        assert.deepStrictEqual(evt.errors, []);
+        assert.deepStrictEqual(evt.subscriptions, {
+            binance:{tickers:['USDT-BTC'],orderBooks:[],trades:[],klines:{}}
+        });
+        assert.deepStrictEqual(commands, ['subscribeToTickers']);
+    });
+
+    it('should report errors of subscription commands which could not be restored', async function(){
+        client = new Client(gateway.getUri(), {retryDelay:1000, commandTimeout:200});
+        await client.subscribeToTickers('binance', ['USDT-BTC']);
+        await client.subscribeToTrades('binance', ['USDT-BTC']);
+        gateway.setCommandHandler('subscribeToTickers', () => {
+            throw new Error('Tickers are not available');
+        });
+        // gateway will never reply
+        gateway.setCommandHandler('subscribeToTrades', () => {
+            return new Promise(() => {});
+        });
+        gateway.expireSession();
+        let evt = await waitFor(client, 'resubscribed');
+        let errors = {};
+        evt.errors.forEach((e) => {
+            errors[e.command] = e.error;
+        });
+        assert.ok(errors.subscribeToTickers instanceof GatewayError);
+        assert.deepStrictEqual(errors.subscribeToTickers.data, {message:'Tickers are not available'});
+        assert.ok(errors.subscribeToTrades instanceof CommandError);
+        assert.strictEqual(errors.subscribeToTrades.code, CommandError.TIMEOUT);
+    });
+
+    it('should ignore a reset argument which is not a boolean', async function(){
+        client = new Client(gateway.getUri());
+        await client.subscribeToTickers('binance', ['USDT-BTC']);
+        let result = await new Promise((resolve, reject) => {
+            client.subscribeToTickers('binance', ['USDT-ETH'], null, (result, err) => {
+                if (undefined !== err && null !== err)
+                {
+                    reject(err);
+                    return;
+                }
+                resolve(result);
+            });
+        });
+        assert.strictEqual(result, true);
+        // previous subscriptions should have been kept
+        assert.deepStrictEqual(client.getSubscriptions().binance.tickers.sort(), ['USDT-BTC', 'USDT-ETH']);
+        // callback passed instead of reset should be used
+        result = await new Promise((resolve) => {
+            client.subscribeToTickers('binance', ['USDT-BTC'], (result) => {
+                resolve(result);
+            });
+        });
+        assert.strictEqual(result, true);
+    });
+
+});
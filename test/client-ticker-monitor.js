@@ -0,0 +1,186 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor, wait} = require('./helpers');
+
+const getAlert = (id, status) => {
+    return {id:id,name:`Alert${id}`,any:false,status:{value:status,timestamp:Date.now() / 1000.0},conditions:[]};
+}
+
+describe('Client ticker monitor', function(){
+
+    let gateway;
+    let client;
+
+    beforeEach(async function(){
+        gateway = new MockGateway({pairs:{binance:['USDT-BTC']}});
+        await gateway.start();
+        client = null;
+    });
+
+    afterEach(async function(){
+        if (null !== client)
+        {
+            client.disconnect();
+        }
+        await gateway.stop();
+    });
+
+    it('should track deactivated alerts with default types', async function(){
+        client = new Client(gateway.getUri(), {tickerMonitor:{enabled:true}});
+        let events = [];
+        client.on('tickerMonitor', (alert) => {
+            events.push(alert);
+        });
+        let connected = waitFor(client, 'tickerMonitorConnected');
+        client.connect();
+        await connected;
+        let activated = waitFor(client, 'alertActivated');
+        gateway.notifyTickerMonitor(getAlert(1, 'active'));
+        await activated;
+        let deactivated = waitFor(client, 'alertDeactivated');
+        gateway.notifyTickerMonitor(getAlert(1, 'inactive'));
+        let evt = await deactivated;
+        assert.strictEqual(evt.status, 'inactive');
+        assert.strictEqual(evt.previousStatus, 'active');
+        assert.strictEqual(client.getAlert(1).status.value, 'inactive');
+        // only active alerts should have been emitted
+        assert.deepStrictEqual(events.map((e) => e.status.value), ['active']);
+    });
+
+    it('should emit inactive alerts when requested', async function(){
+        client = new Client(gateway.getUri(), {tickerMonitor:{enabled:true,types:{active:false,inactive:true}}});
+        let events = [];
+        client.on('tickerMonitor', (alert) => {
+            events.push(alert);
+        });
+        let connected = waitFor(client, 'tickerMonitorConnected');
+        client.connect();
+        await connected;
+        let deactivated = waitFor(client, 'alertDeactivated');
+        gateway.notifyTickerMonitor(getAlert(1, 'active'));
+        gateway.notifyTickerMonitor(getAlert(1, 'inactive'));
+        await deactivated;
+        assert.deepStrictEqual(events.map((e) => e.status.value), ['inactive']);
+    });
+
+    it('should ignore messages without alert', async function(){
+        client = new Client(gateway.getUri(), {tickerMonitor:{enabled:true}});
+        let connected = waitFor(client, 'tickerMonitorConnected');
+        client.connect();
+        await connected;
+        let activated = waitFor(client, 'alertActivated');
+        gateway.notifyTickerMonitor(undefined);
+        gateway.notifyTickerMonitor({id:1,name:'Alert1'});
+        gateway.notifyTickerMonitor(getAlert(1, 'active'));
+        let evt = await activated;
+        assert.strictEqual(evt.id, 1);
+        assert.deepStrictEqual(client.getAlerts().map((a) => a.id), [1]);
+    });
+
+    it('should connect to custom uri', async function(){
+        let tickerMonitorGateway = new MockGateway();
+        await tickerMonitorGateway.start();
+        try
+        {
+            let uri = `${tickerMonitorGateway.getUri()}/tickerMonitor/`;
+            client = new Client(gateway.getUri(), {tickerMonitor:{enabled:true,uri:uri}});
+            assert.strictEqual(client.getTickerMonitorSettings().uri, uri);
+            let connected = waitFor(client, 'tickerMonitorConnected');
+            client.connect();
+            await connected;
+            let activated = waitFor(client, 'alertActivated');
+            tickerMonitorGateway.notifyTickerMonitor(getAlert(1, 'active'));
+            let evt = await activated;
+            assert.strictEqual(evt.id, 1);
+        }
+        finally
+        {
+            client.disconnect();
+            await tickerMonitorGateway.stop();
+        }
+    });
+
+    it('should connect ticker monitor when it is enabled using setTickerMonitorSettings', async function(){
+        client = new Client(gateway.getUri());
+        await client.subscribeToTickers('binance', ['USDT-BTC']);
+        assert.strictEqual(client.getTickerMonitorSettings().isConnected, false);
+        let connected = waitFor(client, 'tickerMonitorConnected');
+        client.setTickerMonitorSettings({enabled:true});
+        await connected;
+        assert.strictEqual(client.getTickerMonitorSettings().isConnected, true);
+        let activated = waitFor(client, 'alertActivated');
+        gateway.notifyTickerMonitor(getAlert(1, 'active'));
+        await activated;
+        client.setTickerMonitorSettings({enabled:false});
+        assert.strictEqual(client.getTickerMonitorSettings().isConnected, false);
+    });
+
+    it('should reconnect ticker monitor after termination', async function(){
+        let tickerMonitorGateway = new MockGateway({apiKey:'key'});
+        await tickerMonitorGateway.start();
+        try
+        {
+            let uri = `${tickerMonitorGateway.getUri()}/tickerMonitor/`;
+            client = new Client(gateway.getUri(), {tickerMonitor:{enabled:true,uri:uri,retryCount:0,retryDelay:1000}});
+            let terminated = waitFor(client, 'tickerMonitorTerminated');
+            await client.subscribeToTickers('binance', ['USDT-BTC']);
+            await terminated;
+            tickerMonitorGateway.setApiKey(null);
+            // reconnection should be triggered by reconnect
+            let connected = waitFor(client, 'tickerMonitorConnected');
+            client.reconnect();
+            await connected;
+            tickerMonitorGateway.setApiKey('key');
+            terminated = waitFor(client, 'tickerMonitorTerminated');
+            tickerMonitorGateway.dropConnections();
+            await terminated;
+            tickerMonitorGateway.setApiKey(null);
+            // reconnection should be triggered by a change of settings
+            connected = waitFor(client, 'tickerMonitorConnected');
+            client.setTickerMonitorSettings({getInitialState:true});
+            await connected;
+        }
+        finally
+        {
+            client.disconnect();
+            await tickerMonitorGateway.stop();
+        }
+    });
+
+    it('should use syncDelay to decide when initial state was fully received', async function(){
+        assert.throws(() => {
+            new Client(gateway.getUri(), {tickerMonitor:{enabled:true,syncDelay:0},autoConnect:false});
+        }, /'options.tickerMonitor.syncDelay' should be an integer >= 1/);
+        gateway.setTickerMonitorAlerts([getAlert(1, 'active')]);
+        client = new Client(gateway.getUri(), {tickerMonitor:{enabled:true,getInitialState:true,syncDelay:100}});
+        await waitFor(client, 'alertActivated');
+        assert.deepStrictEqual(client.getAlerts().map((a) => a.id), [1]);
+        // alert which is not part of initial state will be removed once sync delay expired
+        let removed = waitFor(client, 'alertRemoved', 500);
+        gateway.setTickerMonitorAlerts([]);
+        client.setTickerMonitorSettings({getInitialState:false});
+        client.setTickerMonitorSettings({getInitialState:true});
+        let evt = await removed;
+        assert.strictEqual(evt.id, 1);
+    });
+
+    it('should remove alerts missing from initial state with default types', async function(){
+        gateway.setTickerMonitorAlerts([getAlert(1, 'active'), getAlert(2, 'inactive')]);
+        client = new Client(gateway.getUri(), {tickerMonitor:{enabled:true,getInitialState:true,retryDelay:1000}});
+        let connected = waitFor(client, 'tickerMonitorConnected');
+        client.connect();
+        await connected;
+        await wait(200);
+        assert.deepStrictEqual(client.getAlerts().map((a) => a.id), [1, 2]);
+        gateway.setTickerMonitorAlerts([getAlert(1, 'active')]);
+        let removed = waitFor(client, 'alertRemoved');
+        gateway.dropConnections();
+        let evt = await removed;
+        assert.strictEqual(evt.id, 2);
+        assert.strictEqual(evt.previousStatus, 'inactive');
+        assert.deepStrictEqual(client.getAlerts().map((a) => a.id), [1]);
+    });
+
+});
@@ -0,0 +1,85 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor} = require('./helpers');
+
+/**
+ * @param {array} ids list of [id, timestamp]
+ * @return {object} 'trades' notification data
+ */
+const trades = (list) => {
+    return {exchange:'binance', pair:'USDT-BTC', data:list.map((e) => {
+        return {id:e[0], timestamp:e[1], quantity:1, rate:1, price:1, orderType:'buy'};
+    })};
+};
+
+describe('Client trades tracking', function(){
+
+    let gateway;
+    let client;
+    let gaps;
+
+    beforeEach(async function(){
+        gateway = new MockGateway({pairs:{binance:['USDT-BTC']}});
+        await gateway.start();
+        client = new Client(gateway.getUri(), {trackTrades:true, retryDelay:1000});
+        gaps = [];
+        client.on('tradesGap', (evt) => {
+            gaps.push(evt);
+        });
+        await client.subscribeToTrades('binance', ['USDT-BTC']);
+        let received = waitFor(client, 'trades');
+        gateway.notify('trades', trades([[1, 100], [2, 101]]));
+        await received;
+    });
+
+    afterEach(async function(){
+        client.disconnect();
+        await gateway.stop();
+    });
+
+    it('should report a gap when reconnecting to the same session', async function(){
+        let connected = waitFor(client, 'connected');
+        gateway.dropConnections();
+        await connected;
+        // command result will be received after 'hello'
+        await client.getPairs('binance');
+        let received = waitFor(client, 'trades');
+        gateway.notify('trades', trades([[10, 200]]));
+        await received;
+        assert.strictEqual(gaps.length, 1);
+    });
+
+    it('should report a gap when gateway created a new session', async function(){
+        let resubscribed = waitFor(client, 'resubscribed');
+        gateway.expireSession();
+        await resubscribed;
+        let received = waitFor(client, 'trades');
+        gateway.notify('trades', trades([[10, 200]]));
+        await received;
+        assert.strictEqual(gaps.length, 1);
+        assert.strictEqual(gaps[0].reason, 'disconnection');
+        assert.strictEqual(gaps[0].from.id, 2);
+        assert.strictEqual(gaps[0].to.id, 10);
+    });
+
+    it('should drop duplicate trades and not report a gap when trades received in a new session overlap with previous ones', async function(){
+        let resubscribed = waitFor(client, 'resubscribed');
+        gateway.expireSession();
+        await resubscribed;
+        let received = waitFor(client, 'trades');
+        gateway.notify('trades', trades([[2, 101], [3, 102]]));
+        let evt = await received;
+        assert.deepStrictEqual(evt.data.map((t) => t.id), [3]);
+        assert.strictEqual(gaps.length, 0);
+    });
+
+    it('should not fail on invalid trades notification', async function(){
+        let received = waitFor(client, 'trades');
+        gateway.notify('trades', {exchange:'binance', pair:'USDT-BTC', data:'invalid'});
+        let evt = await received;
+        assert.strictEqual(evt.data, 'invalid');
+    });
+
+});
@@ -0,0 +1,83 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor} = require('./helpers');
+
+describe('Client watchdog', function(){
+
+    let gateway;
+    let client;
+    let timer;
+
+    beforeEach(async function(){
+        gateway = new MockGateway({pairs:{binance:['USDT-BTC','USDT-ETH']}});
+        await gateway.start();
+        client = null;
+        timer = null;
+    });
+
+    afterEach(async function(){
+        if (null !== timer)
+        {
+            clearInterval(timer);
+        }
+        if (null !== client)
+        {
+            client.disconnect();
+        }
+        await gateway.stop();
+    });
+
+    /**
+     * Keeps sending notifications for a pair
+     */
+    const feed = (type, data) => {
+        timer = setInterval(() => {
+            gateway.notify(type, data);
+        }, 20);
+    };
+
+    it('should emit stale for feeds which stopped receiving notifications', async function(){
+        client = new Client(gateway.getUri(), {watchdog:{threshold:{tickers:150}, checkInterval:20}});
+        await client.subscribeToTickers('binance', ['USDT-BTC','USDT-ETH']);
+        feed('ticker', {exchange:'binance', pair:'USDT-ETH', data:{last:1}});
+        let evt = await waitFor(client, 'stale', 2000);
+        assert.strictEqual(evt.type, 'tickers');
+        assert.strictEqual(evt.pair, 'USDT-BTC');
+    });
+
+    it('should subscribe again to stale feeds when recover is true', async function(){
+        client = new Client(gateway.getUri(), {watchdog:{threshold:{klines:150}, checkInterval:20, recover:true}});
+        await client.subscribeToKlines('binance', ['USDT-BTC'], '5m');
+        let commands = [];
+        let recovered = new Promise((resolve) => {
+            gateway.on('command', (evt) => {
+                commands.push([evt.command, evt.params]);
+                if ('subscribeToKlines' == evt.command)
+                {
+                    resolve();
+                }
+            });
+        });
+        await waitFor(client, 'stale', 2000);
+        await recovered;
+        assert.deepStrictEqual(commands, [
+            ['unsubscribeFromKlines', {exchange:'binance', pairs:['USDT-BTC'], interval:'5m'}],
+            ['subscribeToKlines', {exchange:'binance', pairs:['USDT-BTC'], interval:'5m', reset:false}]
+        ]);
+        // subscription should still be tracked
+        assert.deepStrictEqual(client.getSubscriptions().binance.klines, {'5m':['USDT-BTC']});
+    });
+
+    it('should resync stale order books when recover is true', async function(){
+        client = new Client(gateway.getUri(), {watchdog:{threshold:{orderBooks:150}, checkInterval:20, recover:true}});
+        await client.subscribeToOrderBooks('binance', ['USDT-BTC']);
+        let command = waitFor(gateway, 'command', 2000);
+        await waitFor(client, 'stale', 2000);
+        let evt = await command;
+        assert.strictEqual(evt.command, 'resyncOrderBooks');
+        assert.deepStrictEqual(evt.params.pairs, ['USDT-BTC']);
+    });
+
+});
@@ -0,0 +1,67 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const ConsolidatedOrderBook = require('../lib/consolidated-order-book');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor} = require('./helpers');
+
+describe('ConsolidatedOrderBook', function(){
+
+    let gateway;
+    let client;
+
+    beforeEach(async function(){
+        gateway = new MockGateway({pairs:{binance:['USDT-BTC'],kucoin:['USDT-BTC']}});
+        await gateway.start();
+        client = new Client(gateway.getUri());
+    });
+
+    afterEach(async function(){
+        client.disconnect();
+        await gateway.stop();
+    });
+
+    it('should merge order books across exchanges', async function(){
+        let orderBook = new ConsolidatedOrderBook(client, 'USDT-BTC', ['binance','kucoin']);
+        await orderBook.start();
+        gateway.notify('orderBook', {exchange:'binance', pair:'USDT-BTC', cseq:1, data:{buy:[{rate:100,quantity:1}],sell:[{rate:102,quantity:1}]}});
+        let bestPrices = waitFor(orderBook, 'bestPrices');
+        gateway.notify('orderBook', {exchange:'kucoin', pair:'USDT-BTC', cseq:1, data:{buy:[{rate:101,quantity:2}],sell:[{rate:103,quantity:1}]}});
+        await bestPrices;
+        assert.deepStrictEqual(orderBook.getBestPrices(), {
+            pair:'USDT-BTC',
+            bid:{exchange:'kucoin',rate:101,quantity:2},
+            ask:{exchange:'binance',rate:102,quantity:1}
+        });
+        assert.deepStrictEqual(orderBook.getOrderBook(1).data.buy, [{exchange:'kucoin',rate:101,quantity:2}]);
+    });
+
+    it('should only unsubscribe from order books which were not subscribed before start', async function(){
+        await client.subscribeToOrderBooks('binance', ['USDT-BTC']);
+        let orderBook = new ConsolidatedOrderBook(client, 'USDT-BTC', ['binance','kucoin']);
+        await orderBook.start();
+        await orderBook.stop();
+        let subscriptions = client.getSubscriptions();
+        assert.deepStrictEqual(subscriptions.binance.orderBooks, ['USDT-BTC']);
+        // exchange is removed once it has no subscription left
+        assert.strictEqual(subscriptions.kucoin, undefined);
+    });
+
+    it('should request a resync when a gap is detected and client does not manage order books', async function(){
+        let orderBook = new ConsolidatedOrderBook(client, 'USDT-BTC', ['binance']);
+        await orderBook.start();
+        let resync = new Promise((resolve) => {
+            gateway.on('command', (evt) => {
+                if ('resyncOrderBooks' == evt.command)
+                {
+                    resolve(evt.params);
+                }
+            });
+        });
+        gateway.notify('orderBook', {exchange:'binance', pair:'USDT-BTC', cseq:1, data:{buy:[],sell:[]}});
+        gateway.notify('orderBookUpdate', {exchange:'binance', pair:'USDT-BTC', cseq:3, data:{buy:[],sell:[]}});
+        let params = await resync;
+        assert.deepStrictEqual(params, {exchange:'binance', pairs:['USDT-BTC']});
+    });
+
+});
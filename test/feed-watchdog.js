@@ -0,0 +1,92 @@
+"use strict";
+const assert = require('assert');
+const FeedWatchdog = require('../lib/feed-watchdog');
+const {wait} = require('./helpers');
+
+const subscriptions = {
+    binance:{tickers:['USDT-BTC','USDT-ETH'],orderBooks:['USDT-BTC'],trades:[],klines:{'5m':['USDT-BTC']}}
+};
+
+describe('FeedWatchdog', function(){
+
+    let watchdog;
+    let events;
+
+    const createWatchdog = (options) => {
+        watchdog = new FeedWatchdog(options);
+        events = [];
+        watchdog.on('stale', (evt) => {
+            events.push(evt);
+        });
+        watchdog.setSubscriptions(subscriptions);
+    };
+
+    /**
+     * @return {string[]} list of type|pair|interval for stale events
+     */
+    const getStale = () => {
+        return events.map((e) => `${e.type}|${e.pair}|${undefined === e.interval ? '' : e.interval}`).sort();
+    };
+
+    afterEach(function(){
+        watchdog.stop();
+    });
+
+    it('should only report feeds which did not receive any notification', async function(){
+        createWatchdog({threshold:50});
+        await wait(60);
+        watchdog.processNotification('ticker', {exchange:'binance', pair:'USDT-ETH'});
+        watchdog.processNotification('orderBookUpdate', {exchange:'binance', pair:'USDT-BTC'});
+        watchdog.processNotification('kline', {exchange:'binance', pair:'USDT-BTC', interval:'1h'});
+        watchdog.check();
+        assert.deepStrictEqual(getStale(), ['klines|USDT-BTC|5m', 'tickers|USDT-BTC|']);
+        let evt = events.find((e) => 'tickers' == e.type);
+        assert.strictEqual(evt.exchange, 'binance');
+        assert.strictEqual(evt.lastTimestamp, null);
+        assert.ok(evt.elapsed >= 50);
+        assert.ok(!('interval' in evt));
+    });
+
+    it('should only report a stale feed once until a new notification is received', async function(){
+        createWatchdog({threshold:{tickers:50}});
+        await wait(60);
+        watchdog.check();
+        watchdog.check();
+        assert.deepStrictEqual(getStale(), ['tickers|USDT-BTC|', 'tickers|USDT-ETH|']);
+        watchdog.processNotification('ticker', {exchange:'binance', pair:'USDT-BTC'});
+        events = [];
+        await wait(60);
+        watchdog.check();
+        assert.deepStrictEqual(getStale(), ['tickers|USDT-BTC|']);
+        assert.ok(null !== events[0].lastTimestamp);
+    });
+
+    it('should restart delay of a feed after touch', async function(){
+        createWatchdog({threshold:{tickers:50}});
+        await wait(60);
+        watchdog.touch('tickers', 'binance', 'USDT-BTC');
+        watchdog.check();
+        assert.deepStrictEqual(getStale(), ['tickers|USDT-ETH|']);
+    });
+
+    it('should stop monitoring feeds which are not subscribed anymore', async function(){
+        createWatchdog({threshold:{tickers:50}});
+        watchdog.setSubscriptions({binance:{tickers:['USDT-ETH'],orderBooks:[],trades:[],klines:{}}});
+        await wait(60);
+        watchdog.check();
+        assert.deepStrictEqual(getStale(), ['tickers|USDT-ETH|']);
+    });
+
+    it('should check feeds periodically once started', async function(){
+        createWatchdog({threshold:{orderBooks:50}, checkInterval:10});
+        watchdog.start();
+        await wait(100);
+        assert.deepStrictEqual(getStale(), ['orderBooks|USDT-BTC|']);
+        watchdog.stop();
+        events = [];
+        watchdog.processNotification('orderBook', {exchange:'binance', pair:'USDT-BTC'});
+        await wait(100);
+        assert.deepStrictEqual(events, []);
+    });
+
+});
@@ -0,0 +1,39 @@
+"use strict";
+
+/**
+ * Waits for an event to be emitted
+ *
+ * @param {object} emitter EventEmitter
+ * @param {string} eventName
+ * @param {integer} timeout how long to wait (in ms) before failing (default = 5000)
+ * @return {Promise} Promise which will resolve to event data
+ */
+const waitFor = (emitter, eventName, timeout) => {
+    let delay = undefined === timeout ? 5000 : timeout;
+    return new Promise((resolve, reject) => {
+        let timer = setTimeout(() => {
+            emitter.removeListener(eventName, listener);
+            reject(new Error(`Event '${eventName}' was not emitted within ${delay}ms`));
+        }, delay);
+        let listener = function(data){
+            clearTimeout(timer);
+            resolve(data);
+        };
+        emitter.once(eventName, listener);
+    });
+};
+
+/**
+ * @param {integer} delay delay in ms
+ * @return {Promise}
+ */
+const wait = (delay) => {
+    return new Promise((resolve) => {
+        setTimeout(resolve, delay);
+    });
+};
+
+module.exports = {
+    waitFor:waitFor,
+    wait:wait
+};
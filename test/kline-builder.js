@@ -0,0 +1,84 @@
+"use strict";
+const assert = require('assert');
+const KlineBuilder = require('../lib/kline-builder');
+const {wait} = require('./helpers');
+
+/**
+ * @param {array} list list of [timestamp, rate]
+ * @return {object} 'trades' event
+ */
+const trades = (list, pair) => {
+    return {exchange:'binance', pair:undefined === pair ? 'USDT-BTC' : pair, data:list.map((e) => {
+        return {id:1, timestamp:e[0], quantity:1, rate:e[1], price:e[1], orderType:'buy'};
+    })};
+};
+
+describe('KlineBuilder', function(){
+
+    let builder;
+    let klines;
+    // start of a 1m kline which ended a while ago, so that close timers fire immediately
+    let start;
+
+    beforeEach(function(){
+        builder = new KlineBuilder();
+        klines = [];
+        builder.on('kline', (evt) => {
+            klines.push(evt);
+        });
+        start = Math.floor(Date.now() / 60000) * 60 - 600;
+    });
+
+    afterEach(function(){
+        builder.remove();
+    });
+
+    it('should build klines from trades and mark them as local', function(){
+        builder.add('binance', 'USDT-BTC', '1m');
+        builder.processTrades(trades([[start + 10, 2], [start + 5, 1], [start + 20, 3]]));
+        assert.strictEqual(klines.length, 1);
+        assert.strictEqual(klines[0].source, 'local');
+        assert.strictEqual(klines[0].interval, '1m');
+        assert.deepStrictEqual(klines[0].data, {timestamp:start,open:1,high:3,low:1,close:3,volume:3,remainingTime:0,closed:false});
+    });
+
+    it('should not emit klines for periods without trades', async function(){
+        builder.add('binance', 'USDT-BTC', '1m');
+        builder.processTrades(trades([[start + 5, 1]]));
+        await wait(50);
+        assert.deepStrictEqual(klines.map((e) => [e.data.timestamp, e.data.closed]), [[start, false], [start, true]]);
+        builder.processTrades(trades([[start + 185, 2]]));
+        await wait(50);
+        assert.deepStrictEqual(klines.slice(2).map((e) => [e.data.timestamp, e.data.open, e.data.closed]), [[start + 180, 2, false], [start + 180, 2, true]]);
+    });
+
+    it('should ignore trades belonging to a closed kline', async function(){
+        builder.add('binance', 'USDT-BTC', '1m');
+        builder.processTrades(trades([[start + 5, 1]]));
+        await wait(50);
+        assert.strictEqual(klines.length, 2);
+        builder.processTrades(trades([[start + 10, 2]]));
+        await wait(50);
+        assert.strictEqual(klines.length, 2);
+    });
+
+    it('should ignore invalid trades', function(){
+        builder.add('binance', 'USDT-BTC', '1m');
+        let evt = trades([[start + 5, 1]]);
+        evt.data.unshift(null, 'trade', {timestamp:start + 6, rate:'x', quantity:1});
+        builder.processTrades(evt);
+        assert.strictEqual(klines.length, 1);
+        assert.strictEqual(klines[0].data.volume, 1);
+    });
+
+    it('should only keep requested pairs', function(){
+        builder.add('binance', 'USDT-BTC', '1m');
+        builder.add('binance', 'USDT-ETH', '1m');
+        builder.add('bittrex', 'USDT-ETH', '1m');
+        builder.keep('binance', ['USDT-ETH']);
+        assert.strictEqual(builder.has('binance', 'USDT-BTC'), false);
+        assert.strictEqual(builder.has('binance', 'USDT-ETH'), true);
+        assert.strictEqual(builder.has('bittrex', 'USDT-ETH'), true);
+    });
+
+});
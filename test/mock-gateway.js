@@ -0,0 +1,60 @@
+"use strict";
+const assert = require('assert');
+const Client = require('../lib/client');
+const MockGateway = require('../lib/mock-gateway');
+const {waitFor} = require('./helpers');
+
+describe('MockGateway', function(){
+
+    let gateway;
+    let client;
+
+    beforeEach(async function(){
+        gateway = new MockGateway({pairs:{binance:['USDT-BTC','USDT-ETH']}});
+        await gateway.start();
+        client = null;
+    });
+
+    afterEach(async function(){
+        if (null !== client)
+        {
+            client.disconnect();
+        }
+        await gateway.stop();
+    });
+
+    it('should reply to commands', async function(){
+        client = new Client(gateway.getUri());
+        let pairs = await client.getPairs('binance');
+        assert.deepStrictEqual(Object.keys(pairs), ['USDT-BTC','USDT-ETH']);
+    });
+
+    it('should reject clients with an invalid api key', async function(){
+        gateway.setApiKey('secret');
+        client = new Client(gateway.getUri(), {apiKey:'invalid', retryCount:0});
+        client.connect();
+        let evt = await waitFor(client, 'terminated');
+        assert.strictEqual(evt.error.code, 401);
+    });
+
+    it('should reply to WS PING', async function(){
+        client = new Client(gateway.getUri(), {pingTimeout:1000});
+        let disconnected = false;
+        client.on('disconnected', () => {
+            disconnected = true;
+        });
+        client.connect();
+        await waitFor(client, 'ready');
+        await new Promise((resolve) => setTimeout(resolve, 2500));
+        assert.strictEqual(disconnected, false);
+    });
+
+    it('should not reply to WS PING when pong delay is -1', async function(){
+        gateway.setPongDelay(-1);
+        client = new Client(gateway.getUri(), {pingTimeout:1000});
+        client.connect();
+        await waitFor(client, 'ready');
+        await waitFor(client, 'disconnected', 4000);
+    });
+
+});
@@ -0,0 +1,96 @@
+"use strict";
+const assert = require('assert');
+const NotificationNormalizer = require('../lib/notification-normalizer');
+
+describe('NotificationNormalizer', function(){
+
+    let normalizer;
+
+    beforeEach(function(){
+        normalizer = new NotificationNormalizer();
+    });
+
+    it('should normalize ticker', function(){
+        let evt = normalizer.normalize('ticker', {exchange:'binance', pair:'USDT-BTC', data:{
+            pair:'USDT-BTC', timestamp:1508970583.279, last:'308.36', priceChangePercent:-4.43, sell:308.48, buy:308.33, high:323.8, low:304.6, volume:null
+        }});
+        assert.strictEqual(evt.exchange, 'binance');
+        assert.strictEqual(evt.pair, 'USDT-BTC');
+        assert.strictEqual(evt.data.last, 308.36);
+        assert.strictEqual(evt.data.priceChangePercent, -4.43);
+        assert.strictEqual(evt.data.volume, null);
+        assert.strictEqual(evt.data.timestamp, 1508970583279);
+        assert.ok(evt.data.date instanceof Date);
+        assert.strictEqual(evt.data.date.getTime(), 1508970583279);
+    });
+
+    it('should normalize order book', function(){
+        let evt = normalizer.normalize('orderBook', {exchange:'binance', pair:'USDT-BTC', cseq:10, data:{
+            buy:[{rate:'100.5', quantity:'2'}], sell:[{rate:101, quantity:1.5}]
+        }});
+        assert.strictEqual(evt.cseq, 10);
+        assert.deepStrictEqual(evt.data.buy, [{rate:100.5, quantity:2}]);
+        assert.deepStrictEqual(evt.data.sell, [{rate:101, quantity:1.5}]);
+    });
+
+    it('should normalize order book update with a single side', function(){
+        let evt = normalizer.normalize('orderBookUpdate', {exchange:'binance', pair:'USDT-BTC', data:{
+            cseq:11, sell:[{action:'remove', rate:'101', quantity:0}]
+        }});
+        assert.strictEqual(evt.cseq, 11);
+        assert.deepStrictEqual(evt.data.buy, []);
+        assert.deepStrictEqual(evt.data.sell, [{action:'remove', rate:101, quantity:0}]);
+    });
+
+    it('should normalize trades', function(){
+        let evt = normalizer.normalize('trades', {exchange:'binance', pair:'USDT-BTC', data:[
+            {id:1, timestamp:1508970583.5, rate:'100', quantity:'0.5', price:'50', orderType:'buy'},
+            {id:2, timestamp:1508970584, rate:101, quantity:1, price:null, orderType:'sell'}
+        ]});
+        assert.deepStrictEqual(evt.data.map((t) => [t.id, t.timestamp, t.rate, t.quantity, t.price, t.orderType]), [
+            [1, 1508970583500, 100, 0.5, 50, 'buy'],
+            [2, 1508970584000, 101, 1, null, 'sell']
+        ]);
+        evt.data.forEach((t) => {
+            assert.strictEqual(t.date.getTime(), t.timestamp);
+        });
+    });
+
+    it('should normalize kline', function(){
+        let evt = normalizer.normalize('kline', {exchange:'binance', pair:'USDT-BTC', interval:'5m', data:{
+            timestamp:1508970300, open:'1', high:'3', low:0.5, close:2, volume:'10.5', remainingTime:30, closed:false
+        }});
+        assert.strictEqual(evt.interval, '5m');
+        assert.deepStrictEqual([evt.data.open, evt.data.high, evt.data.low, evt.data.close, evt.data.volume], [1, 3, 0.5, 2, 10.5]);
+        assert.strictEqual(evt.data.timestamp, 1508970300000);
+        assert.strictEqual(evt.data.closed, false);
+    });
+
+    it('should not modify original notification', function(){
+        let raw = {exchange:'binance', pair:'USDT-BTC', data:{timestamp:1, last:'1'}};
+        normalizer.normalize('ticker', raw);
+        assert.deepStrictEqual(raw, {exchange:'binance', pair:'USDT-BTC', data:{timestamp:1, last:'1'}});
+    });
+
+    it('should return unsupported notifications as is', function(){
+        let raw = {id:1};
+        assert.strictEqual(normalizer.normalize('tickerMonitor', raw), raw);
+    });
+
+    it('should describe invalid property', function(){
+        [
+            ['ticker', {pair:'USDT-BTC', data:{timestamp:1}}, /'exchange' should be a non-empty string/],
+            ['ticker', {exchange:'binance', pair:'USDT-BTC', data:{timestamp:1, last:'abc'}}, /'data.last' should be a number/],
+            ['ticker', {exchange:'binance', pair:'USDT-BTC', data:{timestamp:-1}}, /'data.timestamp' should be a number >= 0/],
+            ['orderBook', {exchange:'binance', pair:'USDT-BTC', cseq:-1, data:{buy:[], sell:[]}}, /'cseq' should be an integer >= 0/],
+            ['orderBook', {exchange:'binance', pair:'USDT-BTC', cseq:1, data:{buy:[]}}, /'data.sell' should be an array/],
+            ['orderBookUpdate', {exchange:'binance', pair:'USDT-BTC', cseq:1, data:{buy:[{rate:1, quantity:1, action:'add'}]}}, /'data.buy\[0\].action' should be one of/],
+            ['trades', {exchange:'binance', pair:'USDT-BTC', data:{}}, /'data' should be an array/],
+            ['trades', {exchange:'binance', pair:'USDT-BTC', data:[{timestamp:1, rate:1, quantity:1, orderType:'foo'}]}, /'data\[0\].orderType' should be one of/],
+            ['kline', {exchange:'binance', pair:'USDT-BTC', data:{}}, /'interval' should be a non-empty string/]
+        ].forEach((e) => {
+            assert.throws(() => normalizer.normalize(e[0], e[1]), e[2]);
+        });
+    });
+
+});
@@ -0,0 +1,123 @@
+"use strict";
+const assert = require('assert');
+const OrderBookManager = require('../lib/order-book-manager');
+
+/**
+ * @param {array} list list of [rate, quantity] or [rate, quantity, action]
+ * @return {array}
+ */
+const entries = (list) => {
+    return list.map((e) => {
+        let entry = {rate:e[0], quantity:e[1]};
+        if (undefined !== e[2])
+        {
+            entry.action = e[2];
+        }
+        return entry;
+    });
+};
+
+/**
+ * @param {array} list list of {rate:float,quantity:float}
+ * @return {array} list of [rate, quantity]
+ */
+const toArray = (list) => {
+    return list.map((e) => [e.rate, e.quantity]);
+};
+
+describe('OrderBookManager', function(){
+
+    let manager;
+    let events;
+
+    beforeEach(function(){
+        manager = new OrderBookManager();
+        events = [];
+        manager.on('orderBook', (evt) => {
+            events.push(evt);
+        });
+        manager.on('desync', (evt) => {
+            events.push(evt);
+        });
+    });
+
+    it('should sort snapshot entries', function(){
+        manager.processOrderBook({exchange:'binance', pair:'USDT-BTC', cseq:1, data:{
+            buy:entries([[9, 1], [10, 2], [8, 3]]),
+            sell:entries([[12, 1], [11, 2], [13, 3]])
+        }});
+        let orderBook = manager.getOrderBook('binance', 'USDT-BTC');
+        assert.strictEqual(orderBook.cseq, 1);
+        assert.deepStrictEqual(toArray(orderBook.buy), [[10, 2], [9, 1], [8, 3]]);
+        assert.deepStrictEqual(toArray(orderBook.sell), [[11, 2], [12, 1], [13, 3]]);
+        assert.strictEqual(events.length, 1);
+    });
+
+    it('should insert, update & remove entries at their sorted position', function(){
+        manager.processOrderBook({exchange:'binance', pair:'USDT-BTC', cseq:1, data:{
+            buy:entries([[10, 1], [8, 1]]),
+            sell:entries([[11, 1], [13, 1]])
+        }});
+        manager.processOrderBookUpdate({exchange:'binance', pair:'USDT-BTC', cseq:2, data:{
+            buy:entries([[9, 2, 'update'], [11, 3, 'update'], [7, 4, 'update'], [8, 5, 'update'], [10, 0, 'remove']]),
+            sell:entries([[12, 2, 'update'], [10, 3, 'update'], [14, 4, 'update'], [13, 0, 'remove'], [15, 0, 'remove']])
+        }});
+        let orderBook = manager.getOrderBook('binance', 'USDT-BTC');
+        assert.strictEqual(orderBook.cseq, 2);
+        assert.deepStrictEqual(toArray(orderBook.buy), [[11, 3], [9, 2], [8, 5], [7, 4]]);
+        assert.deepStrictEqual(toArray(orderBook.sell), [[10, 3], [11, 1], [12, 2], [14, 4]]);
+    });
+
+    it('should only emit changes by default', function(){
+        let buy = entries([[10, 1], [8, 1]]);
+        manager.processOrderBook({exchange:'binance', pair:'USDT-BTC', cseq:1, data:{buy:buy, sell:[]}});
+        let update = entries([[9, 2, 'update']]);
+        manager.processOrderBookUpdate({exchange:'binance', pair:'USDT-BTC', cseq:2, data:{buy:update}});
+        assert.deepStrictEqual(events.map((e) => [e.cseq, e.isSnapshot, e.changes.buy, e.changes.sell, e.data]), [
+            [1, true, buy, [], undefined],
+            [2, false, update, [], undefined]
+        ]);
+    });
+
+    it('should include whole order book when includeOrderBook is true', function(){
+        manager = new OrderBookManager({includeOrderBook:true});
+        events = [];
+        manager.on('orderBook', (evt) => {
+            events.push(evt);
+        });
+        manager.processOrderBook({exchange:'binance', pair:'USDT-BTC', cseq:1, data:{buy:entries([[10, 1], [8, 1]]), sell:entries([[11, 1]])}});
+        manager.processOrderBookUpdate({exchange:'binance', pair:'USDT-BTC', cseq:2, data:{buy:entries([[9, 2, 'update']])}});
+        assert.deepStrictEqual(toArray(events[1].data.buy), [[10, 1], [9, 2], [8, 1]]);
+        assert.deepStrictEqual(toArray(events[1].data.sell), [[11, 1]]);
+        // emitted order book should not be updated afterwards
+        manager.processOrderBookUpdate({exchange:'binance', pair:'USDT-BTC', cseq:3, data:{buy:entries([[9, 0, 'remove']])}});
+        assert.deepStrictEqual(toArray(events[1].data.buy), [[10, 1], [9, 2], [8, 1]]);
+    });
+
+    it('should limit the number of entries returned', function(){
+        manager.processOrderBook({exchange:'binance', pair:'USDT-BTC', cseq:1, data:{
+            buy:entries([[10, 1], [9, 1], [8, 1]]),
+            sell:entries([[11, 1]])
+        }});
+        let orderBook = manager.getOrderBook('binance', 'USDT-BTC', 2);
+        assert.deepStrictEqual(toArray(orderBook.buy), [[10, 1], [9, 1]]);
+        assert.deepStrictEqual(toArray(orderBook.sell), [[11, 1]]);
+    });
+
+    it('should not expose internal entries', function(){
+        manager.processOrderBook({exchange:'binance', pair:'USDT-BTC', cseq:1, data:{buy:entries([[10, 1]]), sell:[]}});
+        manager.getOrderBook('binance', 'USDT-BTC').buy[0].quantity = 5;
+        assert.deepStrictEqual(toArray(manager.getOrderBook('binance', 'USDT-BTC').buy), [[10, 1]]);
+    });
+
+    it('should drop order book when a gap is detected', function(){
+        manager.processOrderBook({exchange:'binance', pair:'USDT-BTC', cseq:1, data:{buy:entries([[10, 1]]), sell:[]}});
+        // older update should be ignored
+        manager.processOrderBookUpdate({exchange:'binance', pair:'USDT-BTC', cseq:1, data:{buy:entries([[9, 1, 'update']])}});
+        assert.strictEqual(events.length, 1);
+        manager.processOrderBookUpdate({exchange:'binance', pair:'USDT-BTC', cseq:3, data:{buy:entries([[9, 1, 'update']])}});
+        assert.deepStrictEqual(events[1], {exchange:'binance', pair:'USDT-BTC', expectedCseq:2, cseq:3});
+        assert.strictEqual(manager.getOrderBook('binance', 'USDT-BTC'), null);
+    });
+
+});
@@ -0,0 +1,87 @@
+"use strict";
+const assert = require('assert');
+const PrometheusExporter = require('../lib/prometheus-exporter');
+
+/**
+ * @param {object} stats
+ * @return {object} object implementing getStats
+ */
+const getClient = (stats) => {
+    return {getStats:() => stats};
+};
+
+const getStats = (obj) => {
+    return Object.assign({
+        connectionCounter:2,
+        isConnected:true,
+        isReady:false,
+        connectionUptime:1500,
+        readyUptime:null,
+        lastMessageAge:250,
+        queueLength:0,
+        pendingCommands:1,
+        commands:{sent:3,failed:1},
+        messages:{rpc:10,tickerMonitor:0,notifications:{ticker:{binance:{'USDT-BTC':4}}}}
+    }, obj);
+};
+
+describe('PrometheusExporter', function(){
+
+    it('should render metrics using text exposition format', function(){
+        let exporter = new PrometheusExporter();
+        exporter.addClient(getClient(getStats()), {name:'main'});
+        let lines = exporter.getMetrics().split('\n');
+        [
+            '# HELP cewsc_connections_total Number of connections established',
+            '# TYPE cewsc_connections_total counter',
+            'cewsc_connections_total{name="main"} 2',
+            '# TYPE cewsc_connected gauge',
+            'cewsc_connected{name="main"} 1',
+            'cewsc_ready{name="main"} 0',
+            'cewsc_connection_uptime_seconds{name="main"} 1.5',
+            'cewsc_last_message_age_seconds{name="main"} 0.25',
+            'cewsc_pending_commands{name="main"} 1',
+            'cewsc_commands_sent_total{name="main"} 3',
+            'cewsc_commands_failed_total{name="main"} 1',
+            'cewsc_messages_received_total{name="main",connection="rpc"} 10',
+            'cewsc_messages_received_total{name="main",connection="tickerMonitor"} 0',
+            'cewsc_notifications_received_total{name="main",type="ticker",exchange="binance",pair="USDT-BTC"} 4'
+        ].forEach((line) => {
+            assert.ok(lines.includes(line), `'${line}' is missing`);
+        });
+        // null values should not be rendered
+        assert.ok(!lines.some((line) => line.startsWith('cewsc_ready_uptime_seconds')));
+        // output should end with a line feed
+        assert.strictEqual(lines[lines.length - 1], '');
+    });
+
+    it('should only render HELP & TYPE once per metric when using multiple clients', function(){
+        let exporter = new PrometheusExporter({prefix:'app'});
+        exporter.addClient(getClient(getStats()), {name:'a'});
+        exporter.addClient(getClient(getStats({connectionCounter:5})), {name:'b'});
+        let lines = exporter.getMetrics().split('\n');
+        assert.strictEqual(lines.filter((line) => '# TYPE app_connections_total counter' == line).length, 1);
+        let index = lines.indexOf('# TYPE app_connections_total counter');
+        assert.deepStrictEqual(lines.slice(index + 1, index + 3), ['app_connections_total{name="a"} 2', 'app_connections_total{name="b"} 5']);
+    });
+
+    it('should escape label values', function(){
+        let exporter = new PrometheusExporter();
+        exporter.addClient(getClient(getStats()), {name:'a"b\\c\nd'});
+        assert.ok(exporter.getMetrics().includes('cewsc_connected{name="a\\"b\\\\c\\nd"} 1'));
+    });
+
+    it('should not render anything once clients were removed', function(){
+        let exporter = new PrometheusExporter();
+        let client = getClient(getStats());
+        exporter.addClient(client);
+        assert.ok(exporter.getMetrics().includes('cewsc_connected 1'));
+        exporter.removeClient(client);
+        assert.strictEqual(exporter.getMetrics(), '');
+    });
+
+    it('should reject invalid prefix', function(){
+        assert.throws(() => new PrometheusExporter({prefix:'1-invalid'}), /prefix/);
+    });
+
+});
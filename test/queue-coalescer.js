@@ -0,0 +1,152 @@
+"use strict";
+const assert = require('assert');
+const QueueCoalescer = require('../lib/queue-coalescer');
+
+/**
+ * Coalesces a list of commands and returns the list of messages which would be sent
+ *
+ * @param {array} commands list of [command, params]
+ * @return {array} list of [command, params]
+ */
+const coalesce = (commands) => {
+    let coalescer = new QueueCoalescer();
+    let messages = commands.map((c, index) => {
+        return {m:c[0], p:c[1], i:index + 1};
+    });
+    let list = [];
+    coalescer.coalesce(messages).forEach((e) => {
+        e.messages.forEach((message) => {
+            list.push([message.m, message.p]);
+        });
+    });
+    return list;
+};
+
+describe('QueueCoalescer', function(){
+
+    it('should merge subscriptions for the same exchange & type', function(){
+        let list = coalesce([
+            ['subscribeToTickers', {exchange:'binance', pairs:['USDT-BTC'], reset:false}],
+            ['subscribeToTickers', {exchange:'binance', pairs:['USDT-ETH'], reset:false}],
+            ['subscribeToTickers', {exchange:'kucoin', pairs:['USDT-BTC'], reset:false}]
+        ]);
+        assert.deepStrictEqual(list, [
+            ['subscribeToTickers', {exchange:'binance', pairs:['USDT-BTC','USDT-ETH'], reset:false}],
+            ['subscribeToTickers', {exchange:'kucoin', pairs:['USDT-BTC'], reset:false}]
+        ]);
+    });
+
+    it('should keep original message when nothing was merged', function(){
+        let coalescer = new QueueCoalescer();
+        let message = {m:'subscribeToTickers', p:{exchange:'binance', pairs:['USDT-BTC'], reset:false}, i:1};
+        let list = coalescer.coalesce([message]);
+        assert.strictEqual(list[0].messages[0], message);
+    });
+
+    it('should only unsubscribe when a subscription is followed by an unsubscription for the same pair', function(){
+        let list = coalesce([
+            ['subscribeToTickers', {exchange:'binance', pairs:['USDT-BTC','USDT-ETH'], reset:false}],
+            ['unsubscribeFromTickers', {exchange:'binance', pairs:['USDT-BTC']}]
+        ]);
+        assert.deepStrictEqual(list, [
+            ['subscribeToTickers', {exchange:'binance', pairs:['USDT-ETH'], reset:false}],
+            ['unsubscribeFromTickers', {exchange:'binance', pairs:['USDT-BTC']}]
+        ]);
+    });
+
+    it('should only subscribe when an unsubscription is followed by a subscription for the same pair', function(){
+        let list = coalesce([
+            ['unsubscribeFromTickers', {exchange:'binance', pairs:['USDT-BTC']}],
+            ['subscribeToTickers', {exchange:'binance', pairs:['USDT-BTC'], reset:false}]
+        ]);
+        assert.deepStrictEqual(list, [
+            ['subscribeToTickers', {exchange:'binance', pairs:['USDT-BTC'], reset:false}]
+        ]);
+    });
+
+    it('should discard previous commands after a reset', function(){
+        let list = coalesce([
+            ['subscribeToOrderBooks', {exchange:'binance', pairs:['USDT-BTC'], reset:false}],
+            ['unsubscribeFromOrderBooks', {exchange:'binance', pairs:['USDT-NEO']}],
+            ['subscribeToOrderBooks', {exchange:'binance', pairs:['USDT-ETH'], reset:true}]
+        ]);
+        assert.deepStrictEqual(list, [
+            ['subscribeToOrderBooks', {exchange:'binance', pairs:['USDT-ETH'], reset:true}]
+        ]);
+    });
+
+    it('should replace all commands with unsubscribeFromAll*', function(){
+        let list = coalesce([
+            ['subscribeToTrades', {exchange:'binance', pairs:['USDT-BTC'], reset:false}],
+            ['unsubscribeFromAllTrades', {exchange:'binance'}]
+        ]);
+        assert.deepStrictEqual(list, [
+            ['unsubscribeFromAllTrades', {exchange:'binance'}]
+        ]);
+    });
+
+    it('should not merge commands across other commands', function(){
+        let list = coalesce([
+            ['subscribeToTickers', {exchange:'binance', pairs:['USDT-BTC'], reset:false}],
+            ['unsubscribe', {exchange:'binance'}],
+            ['subscribeToTickers', {exchange:'binance', pairs:['USDT-ETH'], reset:false}]
+        ]);
+        assert.deepStrictEqual(list, [
+            ['subscribeToTickers', {exchange:'binance', pairs:['USDT-BTC'], reset:false}],
+            ['unsubscribe', {exchange:'binance'}],
+            ['subscribeToTickers', {exchange:'binance', pairs:['USDT-ETH'], reset:false}]
+        ]);
+    });
+
+    describe('klines', function(){
+
+        it('should merge subscriptions per interval', function(){
+            let list = coalesce([
+                ['subscribeToKlines', {exchange:'binance', pairs:['USDT-BTC'], interval:'5m', reset:false}],
+                ['subscribeToKlines', {exchange:'binance', pairs:['USDT-ETH'], interval:'1h', reset:false}],
+                ['subscribeToKlines', {exchange:'binance', pairs:['USDT-ETH'], interval:'5m', reset:false}]
+            ]);
+            assert.deepStrictEqual(list, [
+                ['subscribeToKlines', {exchange:'binance', pairs:['USDT-BTC','USDT-ETH'], reset:false, interval:'5m'}],
+                ['subscribeToKlines', {exchange:'binance', pairs:['USDT-ETH'], reset:false, interval:'1h'}]
+            ]);
+        });
+
+        it('should keep pair subscribed when subscription follows an unsubscription without interval', function(){
+            let list = coalesce([
+                ['subscribeToKlines', {exchange:'binance', pairs:['USDT-BTC'], interval:'5m', reset:false}],
+                ['unsubscribeFromKlines', {exchange:'binance', pairs:['USDT-BTC']}],
+                ['subscribeToKlines', {exchange:'binance', pairs:['USDT-BTC'], interval:'5m', reset:false}]
+            ]);
+            assert.deepStrictEqual(list, [
+                ['unsubscribeFromKlines', {exchange:'binance', pairs:['USDT-BTC']}],
+                ['subscribeToKlines', {exchange:'binance', pairs:['USDT-BTC'], reset:false, interval:'5m'}]
+            ]);
+        });
+
+        it('should discard subscriptions for all intervals when unsubscribing without interval', function(){
+            let list = coalesce([
+                ['subscribeToKlines', {exchange:'binance', pairs:['USDT-BTC','USDT-ETH'], interval:'5m', reset:false}],
+                ['subscribeToKlines', {exchange:'binance', pairs:['USDT-BTC'], interval:'1h', reset:false}],
+                ['unsubscribeFromKlines', {exchange:'binance', pairs:['USDT-BTC'], interval:'1d'}],
+                ['unsubscribeFromKlines', {exchange:'binance', pairs:['USDT-BTC']}]
+            ]);
+            assert.deepStrictEqual(list, [
+                ['unsubscribeFromKlines', {exchange:'binance', pairs:['USDT-BTC']}],
+                ['subscribeToKlines', {exchange:'binance', pairs:['USDT-ETH'], reset:false, interval:'5m'}]
+            ]);
+        });
+
+        it('should only unsubscribe from interval when subscription is followed by an unsubscription for the same interval', function(){
+            let list = coalesce([
+                ['subscribeToKlines', {exchange:'binance', pairs:['USDT-BTC'], interval:'5m', reset:false}],
+                ['unsubscribeFromKlines', {exchange:'binance', pairs:['USDT-BTC'], interval:'5m'}]
+            ]);
+            assert.deepStrictEqual(list, [
+                ['unsubscribeFromKlines', {exchange:'binance', pairs:['USDT-BTC'], interval:'5m'}]
+            ]);
+        });
+
+    });
+
+});
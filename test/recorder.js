@@ -0,0 +1,95 @@
+"use strict";
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Recorder = require('../lib/recorder');
+const {waitFor, wait} = require('./helpers');
+
+/**
+ * @param {string} file
+ * @return {object[]} list of recorded entries
+ */
+const readEntries = (file) => {
+    return fs.readFileSync(file, 'utf8').split('\n').filter((line) => '' != line).map((line) => JSON.parse(line));
+};
+
+/**
+ * Closes recorder and waits for entries to be written
+ *
+ * @param {Recorder} recorder
+ * @param {integer} count expected number of entries
+ * @return {object[]} list of recorded entries
+ */
+const close = async (recorder, count) => {
+    recorder.close();
+    for (let i = 0; i < 100; ++i)
+    {
+        // ignore partially written lines
+        if (fs.existsSync(recorder.getFile()) && fs.readFileSync(recorder.getFile(), 'utf8').endsWith('\n'))
+        {
+            let entries = readEntries(recorder.getFile());
+            if (entries.length >= count)
+            {
+                return entries;
+            }
+        }
+        await wait(20);
+    }
+    throw new Error(`${count} entries were not written to '${recorder.getFile()}'`);
+};
+
+describe('Recorder', function(){
+
+    let dir;
+
+    beforeEach(function(){
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cewsc-recorder-'));
+    });
+
+    afterEach(function(){
+        fs.rmSync(dir, {recursive:true, force:true});
+    });
+
+    it('should record messages & events', async function(){
+        let file = path.join(dir, 'feed.jsonl');
+        let recorder = new Recorder(file);
+        recorder.recordEvent('rpc', 'connected', {connectionId:1});
+        recorder.recordMessage('rpc', Buffer.from('{"n":"ticker"}'));
+        let entries = await close(recorder, 2);
+        assert.deepStrictEqual(entries.map((e) => [e.source, e.event, e.data, e.message]), [
+            ['rpc', 'connected', {connectionId:1}, undefined],
+            ['rpc', undefined, undefined, '{"n":"ticker"}']
+        ]);
+    });
+
+    it('should keep all messages in order when file cannot be written fast enough', async function(){
+        let file = path.join(dir, 'feed.jsonl');
+        let recorder = new Recorder(file);
+        let message = 'x'.repeat(1024);
+        for (let i = 0; i < 200; ++i)
+        {
+            recorder.recordMessage('rpc', `${i}:${message}`);
+        }
+        let entries = await close(recorder, 200);
+        assert.strictEqual(entries.length, 200);
+        entries.forEach((e, index) => {
+            assert.ok(e.message.startsWith(`${index}:`));
+        });
+    });
+
+    it('should open file again after an error', async function(){
+        let subdir = path.join(dir, 'records');
+        let file = path.join(subdir, 'feed.jsonl');
+        let recorder = new Recorder(file);
+        let error = waitFor(recorder, 'error');
+        recorder.recordMessage('rpc', 'message1');
+        let err = await error;
+        assert.strictEqual(err.code, 'ENOENT');
+        fs.mkdirSync(subdir);
+        recorder.recordMessage('rpc', 'message2');
+        let entries = await close(recorder, 1);
+        assert.deepStrictEqual(entries.map((e) => e.message), ['message2']);
+    });
+
+});
@@ -0,0 +1,96 @@
+"use strict";
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Recorder = require('../lib/recorder');
+const ReplayClient = require('../lib/replay-client');
+const {waitFor, wait} = require('./helpers');
+
+describe('ReplayClient', function(){
+
+    let dir;
+    let file;
+    let client;
+
+    beforeEach(function(){
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cewsc-replay-'));
+        file = path.join(dir, 'feed.jsonl');
+        client = null;
+    });
+
+    afterEach(function(){
+        if (null !== client)
+        {
+            client.disconnect();
+        }
+        fs.rmSync(dir, {recursive:true, force:true});
+    });
+
+    it('should replay recorded notifications', async function(){
+        let recorder = new Recorder(file);
+        recorder.recordEvent('rpc', 'connected', {connectionId:1});
+        recorder.recordMessage('rpc', JSON.stringify({hello:{sid:'sid', isNew:true}}));
+        [['USDT-BTC', 1], ['USDT-BTC', 2], ['USDT-ETH', 3]].forEach((e) => {
+            recorder.recordMessage('rpc', JSON.stringify({n:'ticker', d:{exchange:'binance', pair:e[0], data:{last:e[1]}}}));
+        });
+        recorder.close();
+        // wait for file to be written
+        for (let i = 0; i < 100; ++i)
+        {
+            if (fs.existsSync(file) && 5 == fs.readFileSync(file, 'utf8').split('\n').filter((line) => '' != line).length)
+            {
+                break;
+            }
+            await wait(20);
+        }
+
+        client = new ReplayClient(file, {speed:0, autoConnect:false});
+        let events = [];
+        ['connected', 'ready', 'ticker'].forEach((eventName) => {
+            client.on(eventName, (evt) => {
+                events.push('ticker' == eventName ? `${eventName}:${evt.pair}:${evt.data.last}` : eventName);
+            });
+        });
+        let end = waitFor(client, 'end');
+        client.connect();
+        let evt = await end;
+        assert.deepStrictEqual(events, ['connected', 'ready', 'ticker:USDT-BTC:1', 'ticker:USDT-BTC:2', 'ticker:USDT-ETH:3']);
+        assert.strictEqual(evt.messages, 5);
+    });
+
+    it('should emit replayError when a line is invalid', async function(){
+        let lines = [
+            JSON.stringify({timestamp:0, source:'rpc', message:JSON.stringify({hello:{sid:'sid', isNew:true}})}),
+            JSON.stringify({timestamp:1, source:'rpc', message:JSON.stringify({n:'ticker', d:{exchange:'binance', pair:'USDT-BTC', data:{last:1}}})}),
+            '{invalid',
+            JSON.stringify({timestamp:2, source:'rpc', message:JSON.stringify({n:'ticker', d:{exchange:'binance', pair:'USDT-BTC', data:{last:2}}})})
+        ];
+        fs.writeFileSync(file, lines.join('\n') + '\n');
+        client = new ReplayClient(file, {speed:0, autoConnect:false});
+        let errors = [];
+        client.on('replayError', (evt) => {
+            errors.push(evt);
+        });
+        let tickers = [];
+        client.on('ticker', (evt) => {
+            tickers.push(evt.data.last);
+        });
+        let end = waitFor(client, 'end');
+        client.connect();
+        let evt = await end;
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].line, 3);
+        assert.ok(errors[0].error instanceof SyntaxError);
+        // invalid line should have been skipped
+        assert.deepStrictEqual(tickers, [1, 2]);
+        assert.strictEqual(evt.messages, 3);
+    });
+
+    it('should fail commands', async function(){
+        fs.writeFileSync(file, '');
+        client = new ReplayClient(file, {speed:0, autoConnect:false});
+        await assert.rejects(client.subscribeToTickers('binance', ['USDT-BTC']), (e) => 'unsupported' == e.code);
+    });
+
+});
@@ -0,0 +1,104 @@
+"use strict";
+const assert = require('assert');
+const TradeTracker = require('../lib/trade-tracker');
+
+/**
+ * @param {array} ids list of [id, timestamp]
+ * @return {object} 'trades' event
+ */
+const trades = (list) => {
+    return {exchange:'binance', pair:'USDT-BTC', data:list.map((e) => {
+        return {id:e[0], timestamp:e[1], quantity:1, rate:1, price:1, orderType:'buy'};
+    })};
+};
+
+describe('TradeTracker', function(){
+
+    let tracker;
+    let gaps;
+
+    const createTracker = (options) => {
+        tracker = new TradeTracker(options);
+        gaps = [];
+        tracker.on('gap', (evt) => {
+            gaps.push(evt);
+        });
+    };
+
+    beforeEach(function(){
+        createTracker();
+    });
+
+    it('should drop duplicate trades', function(){
+        tracker.processTrades(trades([[1, 100], [2, 101]]));
+        let evt = tracker.processTrades(trades([[2, 101], [3, 102]]));
+        assert.deepStrictEqual(evt.data.map((t) => t.id), [3]);
+        assert.strictEqual(tracker.processTrades(trades([[3, 102]])), null);
+    });
+
+    it('should ignore invalid notifications', function(){
+        let list = [
+            {exchange:'binance', pair:'USDT-BTC', data:null},
+            {exchange:'binance', pair:'USDT-BTC', data:{id:1}},
+            {exchange:'binance', pair:'USDT-BTC', data:[null]},
+            {exchange:'binance', data:[]},
+            null
+        ];
+        list.forEach((evt) => {
+            assert.strictEqual(tracker.processTrades(evt), evt);
+        });
+    });
+
+    it('should report a gap when trade ids are not consecutive', function(){
+        createTracker({sequentialIds:['binance']});
+        tracker.processTrades(trades([[1, 100], [2, 101]]));
+        tracker.processTrades(trades([[5, 102]]));
+        assert.strictEqual(gaps.length, 1);
+        assert.strictEqual(gaps[0].reason, 'sequence');
+        assert.deepStrictEqual([gaps[0].from.id, gaps[0].to.id], [2, 5]);
+    });
+
+    it('should report a gap after disconnection when trades do not overlap', function(){
+        tracker.processTrades(trades([[1, 100], [2, 101]]));
+        tracker.processConnectionLoss();
+        tracker.processTrades(trades([[10, 200]]));
+        assert.strictEqual(gaps.length, 1);
+        assert.strictEqual(gaps[0].reason, 'disconnection');
+    });
+
+    it('should not report a gap after disconnection when trades overlap', function(){
+        tracker.processTrades(trades([[1, 100], [2, 101]]));
+        tracker.processConnectionLoss();
+        tracker.processTrades(trades([[2, 101], [3, 102]]));
+        assert.strictEqual(gaps.length, 0);
+    });
+
+    it('should not report a gap after disconnection when first trades after reconnection are all duplicates', function(){
+        tracker.processTrades(trades([[1, 100], [2, 101]]));
+        tracker.processConnectionLoss();
+        assert.strictEqual(tracker.processTrades(trades([[2, 101]])), null);
+        tracker.processTrades(trades([[3, 102]]));
+        assert.strictEqual(gaps.length, 0);
+    });
+
+    it('should use trade ids after disconnection for exchanges with sequential ids', function(){
+        createTracker({sequentialIds:true});
+        tracker.processTrades(trades([[1, 100], [2, 101]]));
+        tracker.processConnectionLoss();
+        tracker.processTrades(trades([[3, 500]]));
+        assert.strictEqual(gaps.length, 0);
+        tracker.processConnectionLoss();
+        tracker.processTrades(trades([[5, 600]]));
+        assert.strictEqual(gaps.length, 1);
+        assert.strictEqual(gaps[0].reason, 'disconnection');
+    });
+
+    it('should not report a gap once state was removed', function(){
+        tracker.processTrades(trades([[1, 100]]));
+        tracker.processConnectionLoss();
+        tracker.remove();
+        tracker.processTrades(trades([[10, 200]]));
+        assert.strictEqual(gaps.length, 0);
+    });
+
+});